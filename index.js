@@ -3,11 +3,12 @@
  * Main entry point - initialization and event handlers
  */
 
-import { ensureScratchPadExists } from './src/storage.js';
+import { ensureScratchPadExists, purgeExpiredTrash, pruneChatSummaries, saveMetadata } from './src/storage.js';
 import { getSettings, loadSettingsUI, initSettingsListeners, populateConnectionProfiles, applyTextSize, getDisplayMode } from './src/settings.js';
 import { registerCommands, initPopupFunctions } from './src/commands.js';
-import { isChatActive } from './src/generation.js';
-import { initUI, disposeUI, openScratchPad, closeScratchPad, refreshScratchPadUI, isScratchPadOpen, resetScratchPadUIState } from './src/ui/index.js';
+import { initPromptPresetSettings } from './src/ui/promptPresets.js';
+import { isChatActive, subscribeToQueue, getUnreadAnswerCount, pruneQuestionQueue } from './src/generation.js';
+import { initUI, disposeUI, openScratchPad, closeScratchPad, refreshScratchPadUI, isScratchPadOpen, resetScratchPadUIState, askAboutMessage } from './src/ui/index.js';
 
 const MODULE_NAME = 'scratchPad';
 const EXTENSION_NAME = 'Scratch Pad';
@@ -105,6 +106,7 @@ function appendSettingsHTML(html) {
     // Initialize settings UI
     loadSettingsUI();
     initSettingsListeners();
+    initPromptPresetSettings();
     populateConnectionProfiles();
 }
 
@@ -162,12 +164,98 @@ function addScratchPadButton(retries = 10) {
     }
 }
 
+let queueUnsubscribe = null;
+
+/**
+ * Show the number of answers finished in the background on the Scratch Pad menu entry
+ */
+function updateMenuUnreadCount() {
+    const count = getUnreadAnswerCount();
+
+    for (const id of ['scratch_pad_button', 'scratch_pad_wand_button']) {
+        const button = document.getElementById(id);
+        if (!button) continue;
+
+        let badge = button.querySelector('.sp-unread-count');
+        if (count === 0) {
+            badge?.remove();
+            continue;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'sp-unread-count';
+            button.appendChild(badge);
+        }
+        badge.textContent = String(count);
+        badge.title = `${count} answer${count !== 1 ? 's' : ''} ready`;
+    }
+}
+
+const ASK_MESSAGE_BUTTON_HTML = '<div title="Ask Scratch Pad about this message" class="mes_button sp-ask-message-button fa-solid fa-clipboard-question interactable" tabindex="0"></div>';
+
+/**
+ * Add the "Ask about this message" button to the extra actions of every main chat message
+ */
+function addMessageActionButton() {
+    // The template covers messages rendered from now on, the loop covers those already shown
+    const containers = document.querySelectorAll('#message_template .extraMesButtons, #chat .mes .extraMesButtons');
+    for (const container of containers) {
+        if (!container.querySelector('.sp-ask-message-button')) {
+            container.insertAdjacentHTML('afterbegin', ASK_MESSAGE_BUTTON_HTML);
+        }
+    }
+}
+
+/**
+ * Handle clicks on "Ask about this message" buttons
+ * @param {MouseEvent} e Click event
+ */
+function handleMessageActionClick(e) {
+    const button = e.target.closest?.('.sp-ask-message-button');
+    if (!button) return;
+
+    const messageIndex = Number(button.closest('.mes')?.getAttribute('mesid'));
+    if (!Number.isInteger(messageIndex)) return;
+
+    if (!isChatActive()) {
+        toastr.warning('Open a chat to use Scratch Pad');
+        return;
+    }
+    askAboutMessage(messageIndex);
+}
+
+/**
+ * Purge trashed threads/messages older than the configured retention period
+ */
+function purgeOldTrash() {
+    const purged = purgeExpiredTrash(getSettings().trashRetentionDays);
+    if (purged > 0) {
+        saveMetadata().catch(err => console.error('[ScratchPad] Failed to save after purging trash:', err));
+    }
+}
+
+/**
+ * Drop cached chat summaries whose messages were edited, deleted or branched away
+ */
+function pruneStaleSummaries() {
+    const { chat } = SillyTavern.getContext();
+    if (pruneChatSummaries(chat) > 0) {
+        saveMetadata().catch(err => console.error('[ScratchPad] Failed to save after pruning summaries:', err));
+    }
+}
+
 /**
  * Handle chat change event
  */
 function handleChatChanged() {
     // Ensure scratch pad data exists for new chat
     ensureScratchPadExists();
+    purgeOldTrash();
+    pruneStaleSummaries();
+    const droppedQuestions = pruneQuestionQueue();
+    if (droppedQuestions > 0) {
+        toastr.info(`Dropped ${droppedQuestions} queued question${droppedQuestions !== 1 ? 's' : ''} whose thread no longer exists`);
+    }
     resetScratchPadUIState();
 
     // Refresh UI if open
@@ -208,13 +296,21 @@ async function init() {
 
     // Add button to UI
     addScratchPadButton();
+    addMessageActionButton();
+    document.addEventListener('click', handleMessageActionClick);
+    if (queueUnsubscribe) queueUnsubscribe();
+    queueUnsubscribe = subscribeToQueue(updateMenuUnreadCount);
 
     // Ensure scratch pad exists for current chat
     ensureScratchPadExists();
+    purgeOldTrash();
 
     // Listen for chat changes
     if (eventSource && event_types) {
         eventSource.on(event_types.CHAT_CHANGED, handleChatChanged);
+        for (const eventType of [event_types.MESSAGE_EDITED, event_types.MESSAGE_DELETED, event_types.MESSAGE_SWIPED]) {
+            if (eventType) eventSource.on(eventType, pruneStaleSummaries);
+        }
     }
 
     // Auto-open if pinned mode is enabled and a chat is active
@@ -250,14 +346,23 @@ function dispose() {
     // Unregister event listeners
     if (eventSource && event_types) {
         eventSource.off(event_types.CHAT_CHANGED, handleChatChanged);
+        for (const eventType of [event_types.MESSAGE_EDITED, event_types.MESSAGE_DELETED, event_types.MESSAGE_SWIPED]) {
+            if (eventType) eventSource.off(eventType, pruneStaleSummaries);
+        }
     }
 
     // Dispose UI (listeners, drawer, backdrop, body classes)
     disposeUI();
+    if (queueUnsubscribe) {
+        queueUnsubscribe();
+        queueUnsubscribe = null;
+    }
 
     // Remove DOM elements added during init
     document.getElementById('scratch_pad_button')?.remove();
     document.getElementById('scratch_pad_wand_button')?.remove();
+    document.removeEventListener('click', handleMessageActionClick);
+    document.querySelectorAll('.sp-ask-message-button').forEach(button => button.remove());
     document.getElementById('scratch_pad_styles')?.remove();
     document.getElementById('scratch_pad_settings')?.remove();
 }
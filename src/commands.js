@@ -3,8 +3,9 @@
  * Handles slash command registration
  */
 
-import { clearAllThreads, findThreadByName, saveMetadata } from './storage.js';
-import { openScratchPad, openThread, showQuickPopup, showQuickPopupRaw, closeScratchPad } from './ui/index.js';
+import { clearAllThreads, findThreadByName, getThread, restoreFromTrash, saveMetadata } from './storage.js';
+import { openScratchPad, openThread, askAboutMessage, showQuickPopup, showQuickPopupRaw, closeScratchPad, refreshScratchPadUI, exportThreadsToFile, importThreadsFromText, importThreadsFromFile } from './ui/index.js';
+import { showUndoToast } from './ui/components.js';
 import { isChatActive } from './generation.js';
 
 /**
@@ -12,7 +13,7 @@ import { isChatActive } from './generation.js';
  */
 export function registerCommands() {
     const context = SillyTavern.getContext();
-    const { SlashCommandParser, SlashCommand, SlashCommandArgument, ARGUMENT_TYPE } = context;
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = context;
 
     if (!SlashCommandParser || !SlashCommand) {
         console.error('[ScratchPad] SlashCommandParser not available');
@@ -36,10 +37,24 @@ export function registerCommands() {
             const message = unnamedArgs ? unnamedArgs.toString().trim() : '';
             console.log('[ScratchPad CMD] Parsed message:', message);
 
+            // Optional chat message (1-based) the question is about
+            let focusMessageIndex = null;
+            if (namedArgs?.message !== undefined && namedArgs.message !== '') {
+                const messageNumber = parseInt(namedArgs.message, 10);
+                const { chat } = SillyTavern.getContext();
+                if (Number.isNaN(messageNumber) || messageNumber < 1 || messageNumber > (chat?.length || 0)) {
+                    toastr.warning(`No chat message #${namedArgs.message}`);
+                    return '';
+                }
+                focusMessageIndex = messageNumber - 1;
+            }
+
             if (message) {
                 // Create new thread and show popup with response
                 console.log('[ScratchPad CMD] Showing quick popup with message');
-                await showQuickPopup(message);
+                await showQuickPopup(message, focusMessageIndex !== null ? { focusMessageIndex } : {});
+            } else if (focusMessageIndex !== null) {
+                askAboutMessage(focusMessageIndex);
             } else {
                 // Open scratch pad UI
                 console.log('[ScratchPad CMD] Opening scratch pad UI');
@@ -51,6 +66,14 @@ export function registerCommands() {
         },
         aliases: ['sp', 'ooc'],
         returns: 'nothing',
+        namedArgumentList: SlashCommandNamedArgument ? [
+            SlashCommandNamedArgument.fromProps({
+                name: 'message',
+                description: 'Chat message number to ask about (sent with its surrounding messages)',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                isRequired: false
+            })
+        ] : [],
         unnamedArgumentList: [
             SlashCommandArgument.fromProps({
                 description: 'Optional message to start a new thread with',
@@ -67,6 +90,8 @@ export function registerCommands() {
                 <ul>
                     <li><code>/sp</code> - Open the scratch pad interface</li>
                     <li><code>/sp What is the character's motivation?</code> - Quick question with popup response</li>
+                    <li><code>/sp message=12 Why did she say that?</code> - Quick question about chat message #12</li>
+                    <li><code>/sp message=12</code> - Start a new thread about chat message #12</li>
                 </ul>
             </div>
         `
@@ -150,16 +175,15 @@ export function registerCommands() {
             }
 
             const confirmed = await callGenericPopup(
-                'Are you sure you want to delete all scratch pad threads? This cannot be undone.',
+                'Move all scratch pad threads for this chat to the trash? You can restore them from the Trash tab.',
                 POPUP_TYPE.CONFIRM,
                 null,
                 { okButton: 'Yes, Delete All', cancelButton: 'Cancel' }
             );
 
             if (confirmed) {
-                clearAllThreads();
+                const entries = clearAllThreads() || [];
                 await saveMetadata();
-                toastr.success('All scratch pad threads have been deleted');
 
                 // Refresh UI if open
                 const drawer = document.getElementById('scratch-pad-drawer');
@@ -167,6 +191,15 @@ export function registerCommands() {
                     closeScratchPad();
                     openScratchPad();
                 }
+
+                showUndoToast('All scratch pad threads have been moved to the trash.', async () => {
+                    // Entries are in thread order, so each thread returns to its original position
+                    for (const entry of entries) {
+                        restoreFromTrash(entry.id);
+                    }
+                    await saveMetadata();
+                    refreshScratchPadUI();
+                });
             }
 
             return '';
@@ -175,7 +208,7 @@ export function registerCommands() {
         returns: 'nothing',
         helpString: `
             <div>
-                Clears all Scratch Pad threads for the current chat (with confirmation).
+                Moves all Scratch Pad threads for the current chat to the trash (with confirmation).
             </div>
         `
     }));
@@ -197,7 +230,6 @@ export function registerCommands() {
             }
 
             // Try to find thread by ID first, then by name
-            const { getThread } = await import('./storage.js');
             let thread = getThread(searchTerm);
 
             if (!thread) {
@@ -234,6 +266,108 @@ export function registerCommands() {
             </div>
         `
     }));
+
+    // /scratchpad-export or /sp-export [thread_id or name]
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scratchpad-export',
+        callback: async (namedArgs, unnamedArgs) => {
+            if (!isChatActive()) {
+                toastr.warning('Open a chat to use Scratch Pad');
+                return '';
+            }
+
+            const searchTerm = unnamedArgs ? unnamedArgs.toString().trim() : '';
+            if (!searchTerm) {
+                exportThreadsToFile();
+                return '';
+            }
+
+            const thread = getThread(searchTerm) || findThreadByName(searchTerm);
+            if (!thread) {
+                toastr.warning(`Thread "${searchTerm}" not found`);
+                return '';
+            }
+
+            exportThreadsToFile([thread.id]);
+            return '';
+        },
+        aliases: ['sp-export'],
+        returns: 'nothing',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Thread ID or name to export (exports all threads if omitted)',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false
+            })
+        ],
+        helpString: `
+            <div>
+                Downloads Scratch Pad threads as a JSON bundle that can be imported into another chat.
+            </div>
+            <div>
+                <strong>Usage:</strong>
+                <ul>
+                    <li><code>/sp-export</code> - Export all threads in the current chat</li>
+                    <li><code>/sp-export Character Analysis</code> - Export a single thread by name or ID</li>
+                </ul>
+            </div>
+        `
+    }));
+
+    // /scratchpad-import or /sp-import [mode=merge|replace] [bundle JSON]
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'scratchpad-import',
+        callback: async (namedArgs, unnamedArgs) => {
+            if (!isChatActive()) {
+                toastr.warning('Open a chat to use Scratch Pad');
+                return '';
+            }
+
+            const mode = namedArgs?.mode ? namedArgs.mode.toString().trim().toLowerCase() : null;
+            if (mode && mode !== 'merge' && mode !== 'replace') {
+                toastr.warning('Import mode must be "merge" or "replace"');
+                return '';
+            }
+
+            const text = unnamedArgs ? unnamedArgs.toString().trim() : '';
+            const imported = text
+                ? await importThreadsFromText(text, mode)
+                : await importThreadsFromFile();
+
+            return String(imported);
+        },
+        aliases: ['sp-import'],
+        returns: 'number of imported threads',
+        namedArgumentList: SlashCommandNamedArgument ? [
+            SlashCommandNamedArgument.fromProps({
+                name: 'mode',
+                description: 'Merge into or replace the current chat\'s threads (asks if omitted)',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['merge', 'replace'],
+                isRequired: false
+            })
+        ] : [],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Bundle JSON to import (opens a file picker if omitted)',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false
+            })
+        ],
+        helpString: `
+            <div>
+                Imports Scratch Pad threads from a JSON bundle created with <code>/sp-export</code>.
+                Colliding thread IDs are regenerated.
+            </div>
+            <div>
+                <strong>Usage:</strong>
+                <ul>
+                    <li><code>/sp-import</code> - Pick a bundle file and choose merge or replace</li>
+                    <li><code>/sp-import mode=merge {{var::bundle}}</code> - Merge bundle JSON passed as text</li>
+                </ul>
+            </div>
+        `
+    }));
 }
 
 // Make popup functions available
@@ -3,13 +3,18 @@
  * Handles AI generation and prompt building
  */
 
-import { getSettings } from './settings.js';
-import { getThread, updateThread, addMessage, updateMessage, getMessage, saveMetadata, DEFAULT_CONTEXT_SETTINGS, getThreadContextSettings, ensureSwipeFields, addSwipe, setActiveSwipe, deleteSwipe, syncSwipeToMessage } from './storage.js';
+import { getSettings, getOocPrompt } from './settings.js';
+import { getThread, updateThread, addMessage, updateMessage, getMessage, saveMetadata, markThreadModified, DEFAULT_CONTEXT_SETTINGS, getThreadContextSettings, ensureSwipeFields, addSwipe, setActiveSwipe, deleteSwipe, syncSwipeToMessage, hashChatMessages, hashText, getChatSummary, saveChatSummary } from './storage.js';
 import { parseThinkingFromText, extractReasoningFromResult, mergeReasoningCandidates, createHiddenReasoningCandidate } from './reasoning.js';
-import { isStreamingSupported, streamGeneration, buildStreamReasoning } from './streaming.js';
+import { isStreamingSupported, streamGeneration, requestGeneration, buildStreamReasoning } from './streaming.js';
 import { appendAuthorsNoteToMessages, appendAuthorsNoteToPromptParts } from './authorsNote.js';
+import { getWorldInfoContext, appendWorldInfoToMessages, appendWorldInfoToPromptParts } from './worldInfo.js';
+import { getActiveSamplerOverrides } from './samplers.js';
 
 const TITLE_REGEX = /^\*\*Title:\s*(.+?)\*\*\s*/m;
+const TITLE_INSTRUCTION = 'At the very beginning of your first response in this new conversation, provide a brief title (3-6 words) for this discussion on its own line, formatted as: **Title: [Your Title Here]**\n\nThen provide your response.';
+const CONTINUE_INSTRUCTION = 'Continue your last response from exactly where it stopped. Do not repeat any of it and do not add a preamble.';
+const MESSAGE_NUMBERING_INSTRUCTION = 'Roleplay chat messages are numbered by their position in the chat (#1 is the first message). When you refer to specific messages, cite them by number, e.g. "#12" or "messages #12-#15".';
 
 /**
  * Build character context from character data
@@ -40,6 +45,59 @@ function buildCharacterContext(char) {
     return parts.join('\n\n');
 }
 
+/**
+ * Get the characters in the active group chat
+ * @param {Object} [context] SillyTavern context
+ * @returns {Array<Object>} Member character objects in group order, or empty array outside group chats
+ */
+export function getGroupMembers(context = SillyTavern.getContext()) {
+    const { groups, groupId, characters } = context;
+    if (groupId === undefined || groupId === null) return [];
+
+    const group = groups?.find(g => String(g.id) === String(groupId));
+    if (!group || !Array.isArray(group.members)) return [];
+
+    return group.members
+        .map(avatar => characters?.find(char => char.avatar === avatar))
+        .filter(Boolean);
+}
+
+/**
+ * Build character context for a group chat from its members' cards
+ * @param {Array<Object>} members Group member character objects
+ * @param {string[]|null} selectedAvatars Avatars of the members to include (null = all)
+ * @returns {string} Formatted character context
+ */
+function buildGroupCharacterContext(members, selectedAvatars) {
+    const included = Array.isArray(selectedAvatars)
+        ? members.filter(char => selectedAvatars.includes(char.avatar))
+        : members;
+
+    return included
+        .map(char => buildCharacterContext(char))
+        .filter(Boolean)
+        .join('\n\n---\n\n');
+}
+
+/**
+ * Build user persona context from the active persona
+ * @param {Object} [context] SillyTavern context
+ * @returns {string} Formatted persona context, or empty string if the persona has no description
+ */
+function buildPersonaContext(context = SillyTavern.getContext()) {
+    const description = context.powerUserSettings?.persona_description;
+    if (typeof description !== 'string' || !description.trim()) return '';
+
+    const parts = [];
+
+    if (context.name1) {
+        parts.push(`Persona Name: ${context.name1}`);
+    }
+    parts.push(`Description: ${description.trim()}`);
+
+    return parts.join('\n\n');
+}
+
 /**
  * Get the Author's Note from the current chat's metadata
  * @returns {string} Author's Note text, or empty string if not set
@@ -72,24 +130,80 @@ function getStSystemPrompt(context = SillyTavern.getContext()) {
 /**
  * Format chat history for context
  * @param {Array} chat Chat messages array
+ * @param {Object} [options]
+ * @param {boolean} [options.labelUserByName=false] Label user messages with the persona name (group chats have many speakers)
+ * @param {Map<Object, number>} [options.messageNumbers] Message numbers (1-based position in the main chat) to prefix messages with
  * @returns {string} Formatted chat history
  */
-function formatChatHistory(chat) {
+function formatChatHistory(chat, { labelUserByName = false, messageNumbers = null } = {}) {
     if (!chat || chat.length === 0) return '';
 
     return chat.map(msg => {
-        const role = msg.is_user ? 'User' : (msg.name || 'Character');
-        return `${role}: ${msg.mes}`;
+        const role = msg.is_user
+            ? (labelUserByName && msg.name) || 'User'
+            : (msg.name || 'Character');
+        const number = messageNumbers?.get(msg);
+        return `${number ? `#${number} ` : ''}${role}: ${msg.mes}`;
     }).join('\n\n');
 }
 
+/**
+ * Number the messages of the main chat by their position (1-based, like the range inputs and
+ * /sp message=). These are not SillyTavern's message IDs, which start at 0; the UI shows both.
+ * @param {Array} chat Chat messages array
+ * @returns {Map<Object, number>} Message numbers
+ */
+function getMessageNumbers(chat) {
+    return new Map((chat || []).map((msg, index) => [msg, index + 1]));
+}
+
+/**
+ * Get the main chat message a thread is focused on ("Ask about this message")
+ * @param {Array} chat Chat messages array
+ * @param {Object} settings Thread context settings
+ * @returns {number|null} Chat index, or null if the thread has no (existing) focus message
+ */
+function getFocusMessageIndex(chat, settings) {
+    const index = settings.focusMessageIndex;
+    if (!Number.isInteger(index) || index < 0 || !chat || index >= chat.length) return null;
+    return index;
+}
+
+/**
+ * Quote the message a focused thread asks about
+ * @param {Array} chat Chat messages array
+ * @param {number} index Chat index
+ * @param {boolean} [labelUserByName=false] Label user messages with the persona name
+ * @returns {string} Quoted message
+ */
+function formatFocusMessage(chat, index, labelUserByName = false) {
+    const message = chat[index];
+    return formatChatHistory([message], { labelUserByName, messageNumbers: new Map([[message, index + 1]]) });
+}
+
 function selectChatHistory(chat, settings) {
     if (!chat || chat.length === 0) return [];
 
+    // Focused threads send the surrounding messages instead of the configured range.
+    // The window includes the focus message for World Info scanning; buildPrompt quotes it separately.
+    const focusIndex = getFocusMessageIndex(chat, settings);
+    if (focusIndex !== null) {
+        const windowSize = Math.max(0, settings.focusMessageWindow ?? 3);
+        return chat.slice(Math.max(0, focusIndex - windowSize), focusIndex + windowSize + 1);
+    }
+
     const rangeMode = settings.chatHistoryRangeMode || 'all';
     const rangeStart = settings.chatHistoryRangeStart;
     const rangeEnd = settings.chatHistoryRangeEnd;
 
+    if (rangeMode === 'selected') {
+        const indices = [...new Set(settings.chatHistorySelectedIndices || [])]
+            .filter(index => Number.isInteger(index) && index >= 0 && index < chat.length)
+            .sort((a, b) => a - b);
+        if (indices.length === 0) return applyLimitFallback(chat, settings);
+        return indices.map(index => chat[index]);
+    }
+
     if (rangeMode !== 'all') {
         const total = chat.length;
         let startIndex = 0;
@@ -133,7 +247,9 @@ function formatThreadHistory(messages) {
         .filter(m => m.status === 'complete')
         .map(msg => {
             const role = msg.role === 'user' ? 'User' : 'Assistant';
-            return `${role}: ${msg.content}`;
+            // Start block content such as quotes on its own line so the Markdown stays intact
+            const separator = /^\s*(>|```|[-*] |\d+\. )/.test(msg.content || '') ? '\n' : ' ';
+            return `${role}:${separator}${msg.content}`;
         }).join('\n\n');
 }
 
@@ -198,64 +314,104 @@ export function generateFallbackTitle(question) {
     return question.substring(0, maxLength) + '...';
 }
 
-// Mutex lock for profile switching to prevent race conditions
-let profileSwitchLock = Promise.resolve();
+// Connection shared by the running generations. Generations on the same connection profile run
+// side by side; one that needs a different profile waits until they finish, since the profile is
+// switched in SillyTavern's live settings.
+let connectionProfile = null;
+let connectionUsers = 0;
+let connectionReady = Promise.resolve(null);
+let isConnectionReleasing = false;
+let connectionWaiters = [];
+
+/**
+ * Wait until the connection is released by the running generations
+ * @returns {Promise<void>}
+ */
+function waitForConnection() {
+    return new Promise(resolve => connectionWaiters.push(resolve));
+}
 
 /**
- * Switch to a different connection profile temporarily
+ * Switch to a connection profile
  * @param {string} profileName Profile name
- * @param {Function} generateFn Function to execute with the profile
- * @returns {Promise<*>} Result from generateFn
+ * @returns {Promise<string>} Profile that was active before the switch
  */
-async function generateWithProfile(profileName, generateFn) {
+async function switchConnectionProfile(profileName) {
     const { executeSlashCommandsWithOptions } = SillyTavern.getContext();
 
-    if (!profileName || !executeSlashCommandsWithOptions) {
-        return await generateFn();
+    // Get current profile
+    let currentProfile = '';
+    const profileResult = await executeSlashCommandsWithOptions('/profile', { handleParserErrors: false, handleExecutionErrors: false });
+    if (profileResult && profileResult.pipe) {
+        currentProfile = profileResult.pipe.trim();
     }
 
-    // Wait for any pending profile switches to complete
-    await profileSwitchLock;
+    // Switch to alternative profile
+    const safeProfileName = profileName.replace(/\|/g, '').replace(/^\//gm, '');
+    await executeSlashCommandsWithOptions(`/profile ${safeProfileName}`, { handleParserErrors: false, handleExecutionErrors: false });
+    return currentProfile;
+}
 
-    // Create a new lock that will be released when we're done
-    let releaseLock;
-    profileSwitchLock = new Promise(resolve => { releaseLock = resolve; });
+/**
+ * Restore the connection profile that was active before a switch
+ * @param {string} previousProfile Profile returned by switchConnectionProfile()
+ */
+async function restoreConnectionProfile(previousProfile) {
+    const { executeSlashCommandsWithOptions } = SillyTavern.getContext();
+    try {
+        // /profile returns '<None>' when no profile is active, and
+        // /profile <None> clears the active profile back to default.
+        // Fall back to '<None>' if the pipe was unexpectedly empty.
+        const restoreProfile = previousProfile || '<None>';
+        const safeRestoreProfile = restoreProfile.replace(/\|/g, '').replace(/^\//gm, '');
+        await executeSlashCommandsWithOptions(`/profile ${safeRestoreProfile}`, { handleParserErrors: false, handleExecutionErrors: false });
+    } catch (e) {
+        console.warn('[ScratchPad] Could not restore profile:', e);
+        toastr.warning('Could not restore your previous connection profile. You may need to switch back manually.', 'Scratch Pad');
+    }
+}
 
-    let currentProfile = '';
-    let didSwitch = false;
+/**
+ * Run a generation on a connection profile (temporarily switched to).
+ * Waits while other generations use a different profile.
+ * @param {string|null} profileName Profile name, or null for the current connection
+ * @param {Function} generateFn Function to execute with the profile
+ * @returns {Promise<*>} Result from generateFn
+ */
+async function generateWithProfile(profileName, generateFn) {
+    const { executeSlashCommandsWithOptions } = SillyTavern.getContext();
+    const profile = profileName && executeSlashCommandsWithOptions ? profileName : null;
 
-    try {
-        // Get current profile
-        const profileResult = await executeSlashCommandsWithOptions('/profile', { handleParserErrors: false, handleExecutionErrors: false });
-        if (profileResult && profileResult.pipe) {
-            currentProfile = profileResult.pipe.trim();
-        }
+    while (connectionUsers > 0 && (isConnectionReleasing || connectionProfile !== profile)) {
+        await waitForConnection();
+    }
 
-        // Switch to alternative profile
-        const safeProfileName = profileName.replace(/\|/g, '').replace(/^\//gm, '');
-        await executeSlashCommandsWithOptions(`/profile ${safeProfileName}`, { handleParserErrors: false, handleExecutionErrors: false });
-        didSwitch = true;
+    connectionUsers++;
+    if (connectionUsers === 1) {
+        connectionProfile = profile;
+        connectionReady = profile ? switchConnectionProfile(profile) : Promise.resolve(null);
+    }
 
-        // Execute generation
-        const result = await generateFn();
-        return result;
+    try {
+        await connectionReady;
+        return await generateFn();
     } finally {
-        // Restore original profile
-        if (didSwitch) {
-            try {
-                // /profile returns '<None>' when no profile is active, and
-                // /profile <None> clears the active profile back to default.
-                // Fall back to '<None>' if the pipe was unexpectedly empty.
-                const restoreProfile = currentProfile || '<None>';
-                const safeRestoreProfile = restoreProfile.replace(/\|/g, '').replace(/^\//gm, '');
-                await executeSlashCommandsWithOptions(`/profile ${safeRestoreProfile}`, { handleParserErrors: false, handleExecutionErrors: false });
-            } catch (e) {
-                console.warn('[ScratchPad] Could not restore profile:', e);
-                toastr.warning('Could not restore your previous connection profile. You may need to switch back manually.', 'Scratch Pad');
+        if (connectionUsers === 1) {
+            // Nobody may join while the previous profile is restored
+            isConnectionReleasing = true;
+            const previousProfile = await connectionReady.catch(() => null);
+            if (previousProfile !== null) {
+                await restoreConnectionProfile(previousProfile);
             }
+            isConnectionReleasing = false;
+        }
+
+        connectionUsers--;
+        if (connectionUsers === 0) {
+            const waiters = connectionWaiters;
+            connectionWaiters = [];
+            waiters.forEach(resolve => resolve());
         }
-        // Release the lock
-        releaseLock();
     }
 }
 
@@ -283,6 +439,16 @@ export function getEffectiveProfileForThread(threadId) {
     return null;
 }
 
+/**
+ * Run a thread's generation on its connection profile
+ * @param {string} threadId Thread ID
+ * @param {Function} generateFn Generation function
+ * @returns {Promise<*>} Result from generateFn
+ */
+async function generateForThread(threadId, generateFn) {
+    return await generateWithProfile(getEffectiveProfileForThread(threadId), generateFn);
+}
+
 function buildReasoningPayload(responseText, streamReasoning = null, resultReasoning = null, hiddenReasoning = null) {
     const parsed = parseThinkingFromText(responseText);
     const merged = mergeReasoningCandidates(streamReasoning, resultReasoning, parsed.reasoning, hiddenReasoning);
@@ -298,6 +464,89 @@ function buildReasoningPayload(responseText, streamReasoning = null, resultReaso
     };
 }
 
+/**
+ * Build the messages array for the API request: the system prompt followed by the prompt
+ * (concatenated format) or the prebuilt messages (multi-message format), with macros substituted.
+ * @param {Object} promptData Output of buildPrompt(): { systemPrompt, prompt } or { systemPrompt, messages }
+ * @param {Object} [context] SillyTavern context
+ * @returns {Array<{role: string, content: string}>} Request messages
+ */
+function buildRequestMessages({ systemPrompt, prompt, messages }, context = SillyTavern.getContext()) {
+    const substitute = context.substituteParams || ((text) => text);
+    const msgs = [];
+    if (systemPrompt) {
+        msgs.push({ role: 'system', content: substitute(systemPrompt) });
+    }
+    if (messages) {
+        for (const msg of messages) {
+            msgs.push({ role: msg.role, content: substitute(msg.content) });
+        }
+    } else {
+        msgs.push({ role: 'user', content: substitute(prompt) });
+    }
+    return msgs;
+}
+
+/**
+ * Check whether the active API continues a trailing assistant message (prefill).
+ * Text completion prompts simply end with the partial answer; for Chat Completion only
+ * Claude and sources with "Continue prefill" enabled treat it as the start of the reply.
+ * @param {Object} [context] SillyTavern context
+ * @returns {boolean} True if the partial answer can be sent as a prefill
+ */
+function supportsAssistantPrefill(context = SillyTavern.getContext()) {
+    if (context.mainApi !== 'openai') return true;
+    const settings = context.chatCompletionSettings || {};
+    return settings.chat_completion_source === 'claude' || Boolean(settings.continue_prefill);
+}
+
+/**
+ * Append a partial answer to the request messages, followed by an explicit instruction
+ * to continue when the API does not support prefill
+ * @param {Array<{role: string, content: string}>} messages Request messages
+ * @param {{text: string, prefill: boolean}|null} continuation Partial answer to continue
+ * @returns {Array<{role: string, content: string}>} Request messages
+ */
+function appendContinuation(messages, continuation) {
+    if (!continuation) return messages;
+    const result = [...messages, { role: 'assistant', content: continuation.text }];
+    if (!continuation.prefill) {
+        result.push({ role: 'user', content: CONTINUE_INSTRUCTION });
+    }
+    return result;
+}
+
+/**
+ * Build the generateRaw arguments for a prompt, passing a continuation's partial answer
+ * as generateRaw's prefill when the API supports it
+ * @param {Object} promptData { systemPrompt, prompt } or { systemPrompt, messages }
+ * @param {{text: string, prefill: boolean}|null} continuation Partial answer to continue
+ * @param {Object} context SillyTavern context
+ * @returns {Object} generateRaw arguments
+ */
+function buildRawGenerationArgs(promptData, continuation, context) {
+    if (continuation?.prefill) {
+        return { prompt: buildRequestMessages(promptData, context), prefill: continuation.text };
+    }
+    if (continuation || promptData.messages) {
+        return { prompt: appendContinuation(buildRequestMessages(promptData, context), continuation) };
+    }
+    return { systemPrompt: promptData.systemPrompt, prompt: promptData.prompt };
+}
+
+/**
+ * Call generateRaw with a thread's sampler overrides. generateRaw only takes the response
+ * length per call, so the other samplers come from the main settings.
+ * @param {Object} context SillyTavern context
+ * @param {Object} args generateRaw arguments
+ * @param {Object|null} samplerOverrides Thread sampler overrides
+ * @returns {Promise<string>} Generated text
+ */
+async function generateRawWithOverrides(context, args, samplerOverrides) {
+    const responseLength = getActiveSamplerOverrides(samplerOverrides)?.maxTokens;
+    return await context.generateRaw(responseLength ? { ...args, responseLength } : args);
+}
+
 /**
  * Unified generation helper.
  * When streaming is supported and onToken is provided, uses direct SSE streaming.
@@ -309,60 +558,33 @@ function buildReasoningPayload(responseText, streamReasoning = null, resultReaso
  * @param {string} [options.prompt] User prompt (concatenated format)
  * @param {Array} [options.messages] Pre-built messages array (multi-message format)
  * @param {Function} [options.onToken] Callback for streaming tokens: (accumulatedText, false)
+ * @param {Object|null} [options.samplerOverrides] Thread sampler overrides
+ * @param {{text: string, prefill: boolean}|null} [options.continuation] Partial answer to continue
+ * @param {AbortSignal} [options.signal] Signal that aborts the streaming request
  * @returns {Promise<{text: string, streamReasoning: Object|null, resultReasoning: Object|null}>}
  */
-async function callGeneration({ systemPrompt, prompt, messages: prebuiltMessages, onToken }) {
+async function callGeneration({ systemPrompt, prompt, messages: prebuiltMessages, onToken, samplerOverrides = null, continuation = null, signal = undefined }) {
     const context = SillyTavern.getContext();
     const currentApi = context.mainApi;
     let generationResult;
     const startedAt = Date.now();
 
-    /**
-     * Build the messages array for the API request.
-     * When prebuiltMessages is provided (multi-message mode), prepend the system prompt
-     * and apply substituteParams. Otherwise, build the traditional 2-message array.
-     */
-    function buildMessages() {
-        if (prebuiltMessages) {
-            const msgs = [];
-            if (systemPrompt) {
-                msgs.push({ role: 'system', content: context.substituteParams(systemPrompt) });
-            }
-            for (const msg of prebuiltMessages) {
-                msgs.push({ role: msg.role, content: context.substituteParams(msg.content) });
-            }
-            return msgs;
-        }
-        const msgs = [];
-        if (systemPrompt) {
-            msgs.push({ role: 'system', content: context.substituteParams(systemPrompt) });
-        }
-        msgs.push({ role: 'user', content: context.substituteParams(prompt) });
-        return msgs;
-    }
+    const promptData = { systemPrompt, prompt, messages: prebuiltMessages };
+    const buildMessages = () => appendContinuation(buildRequestMessages(promptData, context), continuation);
 
     // Try streaming first when supported and a token callback is provided
     if (onToken && currentApi === 'openai' && isStreamingSupported()) {
         try {
             const messages = buildMessages();
 
-            const controller = new AbortController();
-            activeAbortController = controller;
-
             let accumulatedText = '';
             let accumulatedReasoning = '';
 
-            try {
-                for await (const chunk of streamGeneration({ messages, signal: controller.signal })) {
-                    if (chunk.text) accumulatedText += chunk.text;
-                    if (chunk.reasoning) accumulatedReasoning += chunk.reasoning;
-                    if (chunk.text) {
-                        onToken(accumulatedText, false);
-                    }
-                }
-            } finally {
-                if (activeAbortController === controller) {
-                    activeAbortController = null;
+            for await (const chunk of streamGeneration({ messages, signal, samplerOverrides })) {
+                if (chunk.text) accumulatedText += chunk.text;
+                if (chunk.reasoning) accumulatedReasoning += chunk.reasoning;
+                if (chunk.text) {
+                    onToken(accumulatedText, false);
                 }
             }
 
@@ -382,7 +604,11 @@ async function callGeneration({ systemPrompt, prompt, messages: prebuiltMessages
         try {
             const messages = buildMessages();
 
-            const data = await context.sendGenerationRequest('quiet', { prompt: messages });
+            // sendGenerationRequest reads the samplers from the live settings, so overrides are sent
+            // with a request built from a copy of them instead
+            const data = getActiveSamplerOverrides(samplerOverrides)
+                ? await requestGeneration({ messages, signal, samplerOverrides })
+                : await context.sendGenerationRequest('quiet', { prompt: messages });
             const text = context.extractMessageFromData(data) || '';
             const resultReasoning = extractReasoningFromResult(data);
             generationResult = { text, streamReasoning: null, resultReasoning };
@@ -391,27 +617,14 @@ async function callGeneration({ systemPrompt, prompt, messages: prebuiltMessages
                 throw err;
             }
             console.warn('[ScratchPad] sendGenerationRequest failed, falling back to generateRaw:', err.message);
-            if (prebuiltMessages) {
-                // For multi-message mode, pass the messages array to generateRaw
-                const messages = buildMessages();
-                const result = await context.generateRaw({ prompt: messages });
-                generationResult = { text: result || '', streamReasoning: null, resultReasoning: null };
-            } else {
-                const result = await context.generateRaw({ systemPrompt, prompt });
-                generationResult = { text: result || '', streamReasoning: null, resultReasoning: null };
-            }
+            const result = await generateRawWithOverrides(context, buildRawGenerationArgs(promptData, continuation, context), samplerOverrides);
+            generationResult = { text: result || '', streamReasoning: null, resultReasoning: null };
         }
     }
 
     if (!generationResult) {
-        if (prebuiltMessages) {
-            const messages = buildMessages();
-            const result = await context.generateRaw({ prompt: messages });
-            generationResult = { text: result || '', streamReasoning: null, resultReasoning: null };
-        } else {
-            const result = await context.generateRaw({ systemPrompt, prompt });
-            generationResult = { text: result || '', streamReasoning: null, resultReasoning: null };
-        }
+        const result = await generateRawWithOverrides(context, buildRawGenerationArgs(promptData, continuation, context), samplerOverrides);
+        generationResult = { text: result || '', streamReasoning: null, resultReasoning: null };
     }
 
     const durationMs = Date.now() - startedAt;
@@ -461,31 +674,17 @@ async function callGeneration({ systemPrompt, prompt, messages: prebuiltMessages
  * @param {string} [options.systemPrompt] System prompt
  * @param {string} [options.prompt] User prompt (concatenated format)
  * @param {Array} [options.messages] Pre-built messages array (multi-message format)
+ * @param {Object|null} [options.samplerOverrides] Thread sampler overrides
+ * @param {{text: string, prefill: boolean}|null} [options.continuation] Partial answer to continue
  * @returns {Promise<{text: string, streamReasoning: null, resultReasoning: null}>}
  */
-async function callStandardGeneration({ systemPrompt = '', prompt = '', messages: prebuiltMessages = null }) {
+async function callStandardGeneration({ systemPrompt = '', prompt = '', messages: prebuiltMessages = null, samplerOverrides = null, continuation = null }) {
     const context = SillyTavern.getContext();
     const startedAt = Date.now();
 
-    function buildMessages() {
-        const substitute = context.substituteParams || ((text) => text);
-        const msgs = [];
-        if (systemPrompt) {
-            msgs.push({ role: 'system', content: substitute(systemPrompt) });
-        }
-        for (const msg of prebuiltMessages || []) {
-            msgs.push({ role: msg.role, content: substitute(msg.content) });
-        }
-        return msgs;
-    }
-
     try {
-        let text;
-        if (prebuiltMessages) {
-            text = await context.generateRaw({ prompt: buildMessages() });
-        } else {
-            text = await context.generateRaw({ systemPrompt, prompt });
-        }
+        const args = buildRawGenerationArgs({ systemPrompt, prompt, messages: prebuiltMessages }, continuation, context);
+        const text = await generateRawWithOverrides(context, args, samplerOverrides);
 
         // Report token usage (approximate, mirrors the custom generation path)
         try {
@@ -521,7 +720,7 @@ async function callStandardGeneration({ systemPrompt = '', prompt = '', messages
 
 /**
  * Extract swipe context (user question + sliced thread) from a thread/message pair.
- * Used by both buildPromptForSwipe (custom generation) and standard generation swipe path.
+ * Used by both the custom and standard generation swipe paths.
  * @param {string} threadId Thread ID
  * @param {string} messageId Target assistant message ID
  * @returns {Object|null} { userQuestion, contextThread } or null
@@ -591,6 +790,7 @@ export async function generateRawPromptResponse(userPrompt, threadId, onStream =
     assistantMessage.noContext = true;
     assistantMessage.gen_started = new Date().toISOString();
     assistantMessage.gen_finished = null;
+    const generation = registerGeneration(threadId, assistantMessage.id);
 
     await saveMetadata();
 
@@ -600,36 +800,20 @@ export async function generateRawPromptResponse(userPrompt, threadId, onStream =
 
         const doGenerate = globalSettings.useStandardGeneration
             ? async () => {
-                const generationId = `sp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                activeGenerationId = generationId;
-                try {
-                    const result = await callStandardGeneration({ systemPrompt: '', prompt: userPrompt });
-                    if (onStream) onStream(result.text, true);
-                    return result;
-                } finally {
-                    if (activeGenerationId === generationId) activeGenerationId = null;
-                }
+                throwIfCancelled(generation);
+                const result = await callStandardGeneration({ systemPrompt: '', prompt: userPrompt });
+                if (onStream) onStream(result.text, true);
+                return result;
             }
             : async () => {
-                const generationId = `sp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                activeGenerationId = generationId;
-                try {
-                    const onToken = onStream ? (partialText) => onStream(partialText, false) : undefined;
-                    const result = await callGeneration({ systemPrompt: '', prompt: userPrompt, onToken });
-                    if (onStream) onStream(result.text, true);
-                    return result;
-                } finally {
-                    if (activeGenerationId === generationId) activeGenerationId = null;
-                }
+                throwIfCancelled(generation);
+                const onToken = onStream ? (partialText) => onStream(partialText, false) : undefined;
+                const result = await callGeneration({ systemPrompt: '', prompt: userPrompt, onToken, signal: generation.abortController.signal });
+                if (onStream) onStream(result.text, true);
+                return result;
             };
 
-        let result;
-        const effectiveProfile = getEffectiveProfileForThread(threadId);
-        if (effectiveProfile) {
-            result = await generateWithProfile(effectiveProfile, doGenerate);
-        } else {
-            result = await doGenerate();
-        }
+        const result = await generateWithProfile(getEffectiveProfileForThread(threadId), doGenerate);
 
         genFinished = new Date().toISOString();
         const responseText = result.text || '';
@@ -639,7 +823,7 @@ export async function generateRawPromptResponse(userPrompt, threadId, onStream =
         const responseWithoutThinking = reasoningPayload.cleanedResponse;
 
         // Check if generation was cancelled
-        if (checkAndResetCancellation()) {
+        if (generation.cancelled) {
             updateMessage(threadId, assistantMessage.id, {
                 content: responseText || '',
                 thinking: combinedThinking,
@@ -674,7 +858,7 @@ export async function generateRawPromptResponse(userPrompt, threadId, onStream =
     } catch (error) {
         genFinished = genFinished || new Date().toISOString();
         // Check if this was a cancellation
-        if (checkAndResetCancellation()) {
+        if (generation.cancelled) {
             const thread = getThread(threadId);
             if (thread) {
                 const msgIndex = thread.messages.findIndex(m => m.id === assistantMessage.id);
@@ -682,7 +866,7 @@ export async function generateRawPromptResponse(userPrompt, threadId, onStream =
                     thread.messages.splice(msgIndex, 1);
                 }
             }
-            await saveMetadata();
+            await saveThreadChanges(threadId);
             return { success: false, cancelled: true };
         }
 
@@ -700,136 +884,492 @@ export async function generateRawPromptResponse(userPrompt, threadId, onStream =
         await saveMetadata();
 
         return { success: false, error: error.message };
+    } finally {
+        unregisterGeneration(generation);
+    }
+}
+
+/**
+ * Estimated characters per token, used when SillyTavern's tokenizer is unavailable
+ */
+const CHARS_PER_TOKEN_ESTIMATE = 3.35;
+
+/**
+ * Extra tokens counted per prompt section or message for headers, separators and role wrappers
+ */
+const PROMPT_ITEM_OVERHEAD_TOKENS = 4;
+
+/**
+ * Count tokens with SillyTavern's tokenizer for the active model
+ * @param {string} text Text to count
+ * @param {Object} [context] SillyTavern context
+ * @returns {Promise<number>} Token count (estimated if no tokenizer is available)
+ */
+async function countTokens(text, context = SillyTavern.getContext()) {
+    if (!text) return 0;
+
+    try {
+        if (typeof context.getTokenCountAsync === 'function') {
+            return await context.getTokenCountAsync(text);
+        }
+        if (typeof context.getTokenCount === 'function') {
+            return context.getTokenCount(text);
+        }
+    } catch (e) {
+        console.warn('[ScratchPad] Token counting failed, using an estimate:', e);
+    }
+
+    return Math.ceil(text.length / CHARS_PER_TOKEN_ESTIMATE);
+}
+
+/**
+ * Get the number of tokens the prompt may use: the active connection's max context
+ * minus the tokens reserved for the response
+ * @param {Object} [context] SillyTavern context
+ * @param {number|null} [responseLength] Response length to reserve instead of the connection's (a thread's max tokens override)
+ * @returns {number|null} Token budget, or null if the context size is unknown
+ */
+function getPromptTokenBudget(context = SillyTavern.getContext(), responseLength = null) {
+    const ccSettings = context.chatCompletionSettings;
+    const useChatCompletion = context.mainApi === 'openai' && ccSettings;
+
+    const maxContext = Number(useChatCompletion ? ccSettings.openai_max_context : context.maxContext);
+    if (!Number.isFinite(maxContext) || maxContext <= 0) return null;
+
+    const responseTokens = responseLength ?? (useChatCompletion
+        ? (Number(ccSettings.openai_max_tokens) || 0)
+        : (Number(context.textCompletionSettings?.amount_gen) || 0));
+    return Math.max(0, maxContext - responseTokens);
+}
+
+/**
+ * Group thread messages into question/answer pairs: each question with the answers that follow it
+ * @param {Array} threadHistory Thread messages, oldest first
+ * @returns {Array<Array>} Message groups, oldest first
+ */
+function groupThreadPairs(threadHistory) {
+    const pairs = [];
+    for (const msg of threadHistory) {
+        if (msg.role === 'user' || pairs.length === 0) {
+            pairs.push([msg]);
+        } else {
+            pairs[pairs.length - 1].push(msg);
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Trim the oldest chat messages and thread question/answer pairs until the prompt fits the token budget.
+ * Fixed sections (system prompts, character card, persona, World Info, Author's Note, question) are never trimmed.
+ * @param {Object} options
+ * @param {string[]} options.fixedTexts Texts that are always sent
+ * @param {Array} options.chatHistory Selected chat messages, oldest first
+ * @param {Array} options.threadHistory Completed thread messages, oldest first
+ * @param {'chat_first'|'thread_first'} options.trimOrder Which history to trim first
+ * @param {number|null} [options.responseLength] Response length to reserve instead of the connection's
+ * @returns {Promise<Object>} { chatHistory, threadHistory, trimmedChat, trimmedThread }
+ */
+async function fitHistoryToBudget({ fixedTexts, chatHistory, threadHistory, trimOrder, responseLength = null }) {
+    const untrimmed = { chatHistory, threadHistory, trimmedChat: 0, trimmedThread: 0 };
+    const context = SillyTavern.getContext();
+    const budget = getPromptTokenBudget(context, responseLength);
+    if (budget === null) return untrimmed;
+
+    let fixedTokens = 0;
+    for (const text of fixedTexts.filter(Boolean)) {
+        fixedTokens += await countTokens(text, context) + PROMPT_ITEM_OVERHEAD_TOKENS;
+    }
+
+    // Count whole sections first; most prompts fit and need no per-message counts
+    const chatText = formatChatHistory(chatHistory);
+    const threadText = formatThreadHistory(threadHistory);
+    let total = fixedTokens
+        + await countTokens(chatText, context) + chatHistory.length * PROMPT_ITEM_OVERHEAD_TOKENS
+        + await countTokens(threadText, context) + threadHistory.length * PROMPT_ITEM_OVERHEAD_TOKENS;
+    if (total <= budget) return untrimmed;
+
+    // Thread messages are dropped a question/answer pair at a time so no answer loses its question
+    const units = { chat: [], thread: [] };
+    for (const msg of chatHistory) {
+        units.chat.push({ size: 1, cost: await countTokens(formatChatHistory([msg]), context) + PROMPT_ITEM_OVERHEAD_TOKENS });
+    }
+    for (const pair of groupThreadPairs(threadHistory)) {
+        units.thread.push({ size: pair.length, cost: await countTokens(formatThreadHistory(pair), context) + pair.length * PROMPT_ITEM_OVERHEAD_TOKENS });
+    }
+    total = fixedTokens + [...units.chat, ...units.thread].reduce((sum, unit) => sum + unit.cost, 0);
+
+    const dropped = { chat: 0, thread: 0 };
+    for (const section of trimOrder === 'thread_first' ? ['thread', 'chat'] : ['chat', 'thread']) {
+        for (const unit of units[section]) {
+            if (total <= budget) break;
+            total -= unit.cost;
+            dropped[section] += unit.size;
+        }
+    }
+
+    if (total > budget) {
+        console.warn(`[ScratchPad] Prompt needs about ${total} tokens without any history, but only ${budget} are available.`);
+    } else {
+        console.info(`[ScratchPad] Trimmed ${dropped.chat} chat and ${dropped.thread} thread message(s) to fit ${budget} tokens.`);
+    }
+
+    return {
+        chatHistory: chatHistory.slice(dropped.chat),
+        threadHistory: threadHistory.slice(dropped.thread),
+        trimmedChat: dropped.chat,
+        trimmedThread: dropped.thread
+    };
+}
+
+const SUMMARY_SYSTEM_PROMPT = 'You summarize roleplay chat logs so they can be used as reference later. Be factual and concise.';
+
+/**
+ * Split the selected chat history into summary chunks and recent messages that are sent verbatim.
+ * Chunks are aligned to multiples of the chunk size from the start of the chat, so their
+ * ranges (and cached summaries) stay the same as the chat grows.
+ * @param {number} selectionStart Index of the first selected message
+ * @param {number} selectionEnd Index of the last selected message (inclusive)
+ * @param {number} chunkSize Messages per chunk
+ * @param {number} recentCount Messages at the end that are always sent verbatim
+ * @returns {{chunks: Array<{start: number, end: number}>, verbatimStart: number}}
+ */
+function planSummaryChunks(selectionStart, selectionEnd, chunkSize, recentCount) {
+    const lastSummarizable = selectionEnd - recentCount;
+    const chunks = [];
+    let start = selectionStart;
+
+    while (true) {
+        const end = (Math.floor(start / chunkSize) + 1) * chunkSize - 1;
+        if (end > lastSummarizable) break;
+        chunks.push({ start, end });
+        start = end + 1;
+    }
+
+    return { chunks, verbatimStart: start };
+}
+
+/**
+ * Generate a summary of a range of chat messages
+ * @param {Array} messages Chat messages in the range
+ * @param {number} start First message index
+ * @param {number} end Last message index (inclusive)
+ * @param {AbortSignal} [signal] Signal of the generation the summary is made for
+ * @returns {Promise<string>} Summary text
+ */
+async function summarizeChatRange(messages, start, end, signal = undefined) {
+    const prompt = `Summarize this part of a roleplay chat (messages ${start + 1}-${end + 1}). Keep names, key events, decisions, facts revealed about the characters and setting, and unresolved plot threads. Write in past tense, in at most 200 words.
+
+--- CHAT MESSAGES ---
+${formatChatHistory(messages, {
+        labelUserByName: getGroupMembers().length > 0,
+        messageNumbers: new Map(messages.map((msg, offset) => [msg, start + offset + 1]))
+    })}
+
+Respond with ONLY the summary.`;
+
+    const { text } = getSettings().useStandardGeneration
+        ? await callStandardGeneration({ systemPrompt: SUMMARY_SYSTEM_PROMPT, prompt })
+        : await callGeneration({ systemPrompt: SUMMARY_SYSTEM_PROMPT, prompt, signal });
+
+    return parseThinkingFromText(text || '').cleanedResponse.trim();
+}
+
+/**
+ * Replace the older part of the selected chat history with chunk summaries.
+ * Summaries are cached in the chat metadata by range and content hash, so only
+ * new or changed chunks are generated.
+ * @param {Array} chat Full chat
+ * @param {Array} selectedChat Selected history (a contiguous slice of chat)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] Only use cached summaries; if any are missing, send the history verbatim
+ * @param {Object|null} [options.generation] Generation the summaries are made for (stops when it is cancelled)
+ * @returns {Promise<{summaries: Array<{start: number, end: number, summary: string}>, recentChat: Array, pendingSummaries: number}>}
+ */
+async function summarizeOlderHistory(chat, selectedChat, { dryRun = false, generation = null } = {}) {
+    const settings = getSettings();
+    const unchanged = { summaries: [], recentChat: selectedChat, pendingSummaries: 0 };
+    if (!settings.summarizeOlderHistory || selectedChat.length === 0) return unchanged;
+
+    const selectionStart = chat.indexOf(selectedChat[0]);
+    if (selectionStart === -1) return unchanged;
+
+    // Hand-picked messages are sent as they are
+    const selectionEnd = selectionStart + selectedChat.length - 1;
+    if (chat[selectionEnd] !== selectedChat[selectedChat.length - 1]) return unchanged;
+    const { chunks, verbatimStart } = planSummaryChunks(
+        selectionStart,
+        selectionEnd,
+        Math.max(10, settings.summaryChunkSize || 50),
+        Math.max(0, settings.summaryRecentMessages ?? 50)
+    );
+    if (chunks.length === 0) return unchanged;
+
+    const planned = chunks.map(({ start, end }) => {
+        const messages = chat.slice(start, end + 1);
+        const hash = hashChatMessages(messages);
+        return { start, end, messages, hash, summary: getChatSummary(start, end, hash) };
+    });
+
+    const missing = planned.filter(chunk => !chunk.summary).length;
+    if (dryRun && missing > 0) {
+        return { ...unchanged, pendingSummaries: missing };
+    }
+    if (missing > 0) {
+        toastr.info(`Summarizing ${missing} part${missing !== 1 ? 's' : ''} of the older chat history...`, 'Scratch Pad');
+    }
+
+    for (const chunk of planned) {
+        if (chunk.summary) continue;
+        if (generation) {
+            throwIfCancelled(generation);
+        }
+
+        chunk.summary = await summarizeChatRange(chunk.messages, chunk.start, chunk.end, generation?.abortController.signal);
+        // A summary that finishes after Stop is dropped instead of cached, and no further chunks are summarized
+        if (generation) {
+            throwIfCancelled(generation);
+        }
+        if (!chunk.summary) {
+            throw new Error(`Could not summarize chat messages ${chunk.start + 1}-${chunk.end + 1}`);
+        }
+        saveChatSummary(chunk.start, chunk.end, chunk.hash, chunk.summary);
+        await saveMetadata();
     }
+
+    return {
+        summaries: planned.map(({ start, end, summary }) => ({ start, end, summary })),
+        recentChat: chat.slice(verbatimStart, selectionEnd + 1),
+        pendingSummaries: 0
+    };
+}
+
+/**
+ * Format chunk summaries for the prompt
+ * @param {Array<{start: number, end: number, summary: string}>} summaries Summaries, oldest first
+ * @returns {string} Formatted summaries
+ */
+function formatHistorySummaries(summaries) {
+    return summaries.map(({ start, end, summary }) => `Messages ${start + 1}-${end + 1}: ${summary}`).join('\n\n');
 }
 
 /**
  * Build the complete prompt for scratch pad generation
+ * Older chat history can be sent as cached summaries. Sections are counted with
+ * SillyTavern's tokenizer, and the oldest chat/thread messages are dropped when
+ * the prompt would not fit the active context size.
  * @param {string} userQuestion User's question
  * @param {Object} thread Thread object
  * @param {boolean} isFirstMessage Whether this is the first message in the thread
- * @returns {Object} { systemPrompt, prompt } or { systemPrompt, messages } when multi-message mode
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] Build without generating missing history summaries (for inspecting the prompt)
+ * @param {Object|null} [options.generation] Generation the prompt is built for
+ * @returns {Promise<Object>} { systemPrompt, prompt } or { systemPrompt, messages } when multi-message mode,
+ *   plus the labeled prompt sections, the number of summaries a dry run left out and the thread's sampler overrides
  */
-function buildPrompt(userQuestion, thread, isFirstMessage = false) {
+async function buildPrompt(userQuestion, thread, isFirstMessage = false, { dryRun = false, generation = null } = {}) {
     const context = SillyTavern.getContext();
     const { chat, characters, characterId } = context;
     const globalSettings = getSettings();
+    const groupMembers = getGroupMembers(context);
+    const isGroupChat = groupMembers.length > 0;
 
     // Use thread's context settings, falling back to defaults for missing values
     const contextSettings = thread?.contextSettings
         ? { ...DEFAULT_CONTEXT_SETTINGS, ...thread.contextSettings }
         : DEFAULT_CONTEXT_SETTINGS;
 
-    // Merge: thread settings for context options, global for oocSystemPrompt and chatHistoryLimit
+    // Merge: thread settings for context options, the thread's preset for the OOC prompt, global for chatHistoryLimit
     const settings = {
         ...contextSettings,
-        oocSystemPrompt: globalSettings.oocSystemPrompt,
-        chatHistoryLimit: globalSettings.chatHistoryLimit
+        oocSystemPrompt: getOocPrompt(contextSettings.promptPreset),
+        chatHistoryLimit: globalSettings.chatHistoryLimit,
+        focusMessageWindow: globalSettings.focusMessageWindow
     };
 
+    // Sampler overrides also change how much of the context the response reserves
+    const samplerOverrides = getActiveSamplerOverrides(contextSettings.samplerOverrides);
+    const responseLength = samplerOverrides?.maxTokens ?? null;
+
+    // Character threads can opt out of the open chat's history (they span many chats)
+    const includeChatHistory = !settings.characterCardOnly && !(thread?.character && settings.useCurrentChatHistory === false);
+
     // OOC system instruction
     let systemPrompt = settings.oocSystemPrompt;
 
     // Add title instruction only for first message
-    if (isFirstMessage) {
-        systemPrompt += '\n\nAt the very beginning of your first response in this new conversation, provide a brief title (3-6 words) for this discussion on its own line, formatted as: **Title: [Your Title Here]**\n\nThen provide your response.';
+    const titleInstruction = isFirstMessage ? TITLE_INSTRUCTION : '';
+    if (titleInstruction) {
+        systemPrompt += `\n\n${titleInstruction}`;
+    }
+
+    // Collect the prompt sections
+    let stSystemPrompt = '';
+    if (settings.includeSystemPrompt) {
+        try {
+            stSystemPrompt = getStSystemPrompt(context);
+        } catch (e) {
+            console.warn('[ScratchPad] Could not retrieve system prompt:', e);
+        }
+    }
+
+    let charContext = '';
+    if (settings.includeCharacterCard || settings.characterCardOnly) {
+        if (isGroupChat) {
+            charContext = buildGroupCharacterContext(groupMembers, settings.groupMembers);
+        } else if (characterId !== undefined && characters[characterId]) {
+            charContext = buildCharacterContext(characters[characterId]);
+        }
     }
 
+    const personaContext = settings.includePersona ? buildPersonaContext(context) : '';
+    const authorsNote = settings.includeAuthorsNote ? getAuthorsNote() : '';
+
+    const selectedChat = includeChatHistory && chat && chat.length > 0 ? selectChatHistory(chat, settings) : [];
+    // World Info gets the same share of the prompt budget as in a normal generation (unlimited if unknown)
+    const worldInfo = settings.worldInfoMode && settings.worldInfoMode !== 'off'
+        ? await getWorldInfoContext(settings, selectedChat, getPromptTokenBudget(context, responseLength) ?? Number.MAX_SAFE_INTEGER)
+        : '';
+    const { summaries, recentChat, pendingSummaries } = await summarizeOlderHistory(chat || [], selectedChat, { dryRun, generation });
+    const historySummary = formatHistorySummaries(summaries);
+    const focusIndex = getFocusMessageIndex(chat, settings);
+    const focusMessage = focusIndex !== null ? formatFocusMessage(chat, focusIndex, isGroupChat) : '';
+    // The focus message is quoted on its own, so the history around it leaves it out
+    const historyChat = focusIndex !== null ? recentChat.filter(msg => msg !== chat[focusIndex]) : recentChat;
+    const messageNumbers = getMessageNumbers(chat);
+
+    // Chat messages are sent with their numbers so answers can refer to them
+    const numberingInstruction = selectedChat.length > 0 || focusMessage ? MESSAGE_NUMBERING_INSTRUCTION : '';
+    if (numberingInstruction) {
+        systemPrompt += `\n\n${numberingInstruction}`;
+    }
+    const completedThreadMessages = !settings.characterCardOnly && thread?.messages
+        ? thread.messages.filter(m => m.status === 'complete')
+        : [];
+
+    const { chatHistory: budgetedChat, threadHistory: budgetedThread } = await fitHistoryToBudget({
+        fixedTexts: [systemPrompt, stSystemPrompt, charContext, personaContext, worldInfo, authorsNote, historySummary, focusMessage, userQuestion],
+        chatHistory: historyChat,
+        threadHistory: completedThreadMessages,
+        trimOrder: globalSettings.contextTrimOrder,
+        responseLength
+    });
+
+    const chatHistory = formatChatHistory(budgetedChat, { labelUserByName: isGroupChat, messageNumbers });
+    const threadHistory = formatThreadHistory(budgetedThread);
+    const sections = [
+        { key: 'instructions', label: 'OOC instructions', text: [settings.oocSystemPrompt, numberingInstruction].filter(Boolean).join('\n\n') },
+        { key: 'title', label: 'Title instruction', text: titleInstruction },
+        { key: 'systemPrompt', label: 'SillyTavern system prompt', text: stSystemPrompt },
+        { key: 'character', label: isGroupChat ? 'Group character cards' : 'Character card', text: charContext },
+        { key: 'persona', label: 'User persona', text: personaContext },
+        { key: 'worldInfo', label: 'World Info', text: worldInfo },
+        { key: 'authorsNote', label: "Author's Note", text: authorsNote },
+        { key: 'summary', label: `Summary of earlier chat history (${summaries.length} part${summaries.length !== 1 ? 's' : ''})`, text: historySummary },
+        { key: 'chatHistory', label: `Roleplay chat history (${budgetedChat.length} message${budgetedChat.length !== 1 ? 's' : ''})`, text: chatHistory },
+        { key: 'focusMessage', label: 'Message in question', text: focusMessage },
+        { key: 'threadHistory', label: `Scratch Pad discussion (${budgetedThread.length} message${budgetedThread.length !== 1 ? 's' : ''})`, text: threadHistory },
+        { key: 'question', label: 'Question', text: userQuestion },
+    ].filter(section => section.text);
+
     // Multi-message format: return structured messages array
     if (globalSettings.useMultiMessageFormat) {
         const messages = [];
 
         // ST system prompt as a system message
-        if (settings.includeSystemPrompt) {
-            try {
-                const stContext = SillyTavern.getContext();
-                const stSystemPrompt = getStSystemPrompt(stContext);
-                if (stSystemPrompt) {
-                    messages.push({ role: 'system', content: stSystemPrompt });
-                }
-            } catch (e) {
-                console.warn('[ScratchPad] Could not retrieve system prompt:', e);
-            }
+        if (stSystemPrompt) {
+            messages.push({ role: 'system', content: stSystemPrompt });
         }
 
         // Character card as a system message
-        if ((settings.includeCharacterCard || settings.characterCardOnly) && characterId !== undefined && characters[characterId]) {
-            const charContext = buildCharacterContext(characters[characterId]);
-            if (charContext) {
-                messages.push({ role: 'system', content: charContext });
-            }
+        if (charContext) {
+            messages.push({ role: 'system', content: charContext });
+        }
+
+        // User persona as a system message
+        if (personaContext) {
+            messages.push({ role: 'system', content: `User persona:\n\n${personaContext}` });
         }
 
+        // World Info as a system message
+        appendWorldInfoToMessages(messages, worldInfo);
+
         // Author's Note as a system message
-        appendAuthorsNoteToMessages(messages, settings.includeAuthorsNote, getAuthorsNote());
+        appendAuthorsNoteToMessages(messages, settings.includeAuthorsNote, authorsNote);
+
+        // Summaries of older chat history as a system message
+        if (historySummary) {
+            messages.push({ role: 'system', content: `Summary of earlier roleplay chat history:\n\n${historySummary}` });
+        }
 
         // Chat history as a system message
-        if (!settings.characterCardOnly && chat && chat.length > 0) {
-            const selectedChat = selectChatHistory(chat, settings);
-            const chatHistory = formatChatHistory(selectedChat);
-            if (chatHistory) {
-                messages.push({ role: 'system', content: `Roleplay chat history:\n\n${chatHistory}` });
-            }
+        if (chatHistory) {
+            messages.push({ role: 'system', content: `Roleplay chat history:\n\n${chatHistory}` });
         }
 
-        // Thread history as alternating user/assistant messages
-        if (!settings.characterCardOnly && thread && thread.messages && thread.messages.length > 0) {
-            const threadMessages = buildThreadMessages(thread.messages);
-            messages.push(...threadMessages);
+        // The message this thread is about as a system message
+        if (focusMessage) {
+            messages.push({ role: 'system', content: `The user's questions are about this roleplay chat message:\n\n${focusMessage}` });
         }
 
+        // Thread history as alternating user/assistant messages
+        messages.push(...buildThreadMessages(budgetedThread));
+
         // Current user question
         messages.push({ role: 'user', content: userQuestion });
 
-        return { systemPrompt, messages };
+        return { systemPrompt, messages, sections, pendingSummaries, samplerOverrides };
     }
 
     // Default: concatenated single-prompt format
     const parts = [];
 
     // Include SillyTavern's main system prompt if enabled
-    if (settings.includeSystemPrompt) {
-        try {
-            const stContext = SillyTavern.getContext();
-            const stSystemPrompt = getStSystemPrompt(stContext);
-            if (stSystemPrompt) {
-                parts.push('--- SYSTEM PROMPT ---');
-                parts.push(stSystemPrompt);
-            }
-        } catch (e) {
-            console.warn('[ScratchPad] Could not retrieve system prompt:', e);
-        }
+    if (stSystemPrompt) {
+        parts.push('--- SYSTEM PROMPT ---');
+        parts.push(stSystemPrompt);
     }
 
     // Character card (if enabled)
-    if ((settings.includeCharacterCard || settings.characterCardOnly) && characterId !== undefined && characters[characterId]) {
-        const charContext = buildCharacterContext(characters[characterId]);
-        if (charContext) {
-            parts.push('--- CHARACTER INFORMATION ---');
-            parts.push(charContext);
-        }
+    if (charContext) {
+        parts.push('--- CHARACTER INFORMATION ---');
+        parts.push(charContext);
+    }
+
+    // User persona (if enabled)
+    if (personaContext) {
+        parts.push('--- USER PERSONA ---');
+        parts.push(personaContext);
     }
 
+    // World Info
+    appendWorldInfoToPromptParts(parts, worldInfo);
+
     // Author's Note
-    appendAuthorsNoteToPromptParts(parts, settings.includeAuthorsNote, getAuthorsNote());
+    appendAuthorsNoteToPromptParts(parts, settings.includeAuthorsNote, authorsNote);
+
+    // Summaries of older chat history
+    if (historySummary) {
+        parts.push('--- SUMMARY OF EARLIER CHAT HISTORY ---');
+        parts.push(historySummary);
+    }
 
     // Chat history
-    if (!settings.characterCardOnly && chat && chat.length > 0) {
-        const selectedChat = selectChatHistory(chat, settings);
-        const chatHistory = formatChatHistory(selectedChat);
-        if (chatHistory) {
-            parts.push('--- ROLEPLAY CHAT HISTORY ---');
-            parts.push(chatHistory);
-        }
+    if (chatHistory) {
+        parts.push('--- ROLEPLAY CHAT HISTORY ---');
+        parts.push(chatHistory);
+    }
+
+    // The message this thread is about
+    if (focusMessage) {
+        parts.push('--- MESSAGE IN QUESTION ---');
+        parts.push(focusMessage);
     }
 
     // Thread history (for continuity)
-    if (!settings.characterCardOnly && thread && thread.messages && thread.messages.length > 0) {
-        const threadHistory = formatThreadHistory(thread.messages);
-        if (threadHistory) {
-            parts.push('--- PREVIOUS SCRATCH PAD DISCUSSION ---');
-            parts.push(threadHistory);
-        }
+    if (threadHistory) {
+        parts.push('--- PREVIOUS SCRATCH PAD DISCUSSION ---');
+        parts.push(threadHistory);
     }
 
     // User question
@@ -838,31 +1378,196 @@ function buildPrompt(userQuestion, thread, isFirstMessage = false) {
 
     return {
         systemPrompt: systemPrompt,
-        prompt: parts.join('\n\n')
+        prompt: parts.join('\n\n'),
+        sections,
+        pendingSummaries,
+        samplerOverrides
     };
 }
 
-// Track active generation for streaming token identification
-let activeGenerationId = null;
-let isCancellationRequested = false;
-let activeAbortController = null;
+/**
+ * Build a compact fingerprint of the context a prompt was built from: a short hash per
+ * section and one over all of them. The title instruction is left out, so the first
+ * answer of a thread and its later swipes compare equal.
+ * @param {Array<{key: string, text: string}>} sections Prompt sections from buildPrompt()
+ * @param {Object} [context] SillyTavern context
+ * @returns {{hash: string, sections: Object<string, string>}} Prompt fingerprint
+ */
+export function createPromptFingerprint(sections, context = SillyTavern.getContext()) {
+    const substitute = context.substituteParams || ((text) => text);
+    const hashes = {};
+    for (const { key, text } of sections || []) {
+        if (key === 'title') continue;
+        hashes[key] = hashText(substitute(text));
+    }
+
+    const combined = Object.entries(hashes).map(([key, hash]) => `${key}:${hash}`).join('|');
+    return { hash: hashText(combined), sections: hashes };
+}
+
+/**
+ * Compare a stored prompt fingerprint with the current one
+ * @param {Object|null} stored Fingerprint saved with an answer
+ * @param {Object} current Fingerprint of the prompt as it would be built now
+ * @returns {string[]|null} Keys of the sections that were added, removed or changed, or null without a stored fingerprint
+ */
+export function comparePromptFingerprints(stored, current) {
+    if (!stored?.sections) return null;
+    if (stored.hash === current.hash) return [];
+
+    const keys = new Set([...Object.keys(stored.sections), ...Object.keys(current.sections)]);
+    return [...keys].filter(key => stored.sections[key] !== current.sections[key]);
+}
+
+/**
+ * Build the prompt a question would be sent with, without generating anything.
+ * Summaries of older chat history that are not cached yet are not generated; that
+ * history is shown verbatim and counted in pendingSummaries.
+ * @param {string} userQuestion User's question
+ * @param {Object} thread Thread (or unsaved thread-like object) whose context settings and completed messages are used
+ * @param {Object} [options]
+ * @param {boolean} [options.isFirstMessage=false] Whether the question starts the thread
+ * @returns {Promise<Object>} { messages, sections, totalTokens, budget, fingerprint, pendingSummaries }
+ */
+export async function inspectPrompt(userQuestion, thread, { isFirstMessage = false } = {}) {
+    const context = SillyTavern.getContext();
+    const substitute = context.substituteParams || ((text) => text);
+    const promptData = await buildPrompt(userQuestion, thread, isFirstMessage, { dryRun: true });
+
+    const messages = buildRequestMessages(promptData, context);
+    const sections = [];
+    for (const section of promptData.sections) {
+        const text = substitute(section.text);
+        sections.push({ ...section, text, tokens: await countTokens(text, context) });
+    }
+
+    let totalTokens = 0;
+    for (const message of messages) {
+        totalTokens += await countTokens(message.content, context) + PROMPT_ITEM_OVERHEAD_TOKENS;
+    }
+
+    return {
+        messages,
+        sections,
+        totalTokens,
+        budget: getPromptTokenBudget(context, promptData.samplerOverrides?.maxTokens ?? null),
+        fingerprint: createPromptFingerprint(promptData.sections, context),
+        pendingSummaries: promptData.pendingSummaries
+    };
+}
+
+/**
+ * Rebuild the prompt of an assistant message's active swipe and compare it with the
+ * fingerprint stored when that swipe was generated
+ * @param {string} threadId Thread ID
+ * @param {string} messageId Assistant message ID
+ * @returns {Promise<Object|null>} inspectPrompt() result plus changedSections (null if no fingerprint was stored), or null
+ */
+export async function inspectMessagePrompt(threadId, messageId) {
+    const message = getMessage(threadId, messageId);
+    const swipeCtx = getSwipeContext(threadId, messageId);
+    if (!message || !swipeCtx) return null;
+
+    // Only the thread's first answer was sent with the title instruction; its swipes are not
+    const firstAnswer = getThread(threadId).messages.find(m => m.role === 'assistant');
+    const isFirstMessage = firstAnswer?.id === messageId && (message.swipeId ?? 0) === 0;
+
+    const inspection = await inspectPrompt(swipeCtx.userQuestion, swipeCtx.contextThread, { isFirstMessage });
+    return {
+        ...inspection,
+        changedSections: comparePromptFingerprints(message.promptFingerprint, inspection.fingerprint)
+    };
+}
+
+/**
+ * Running generations, keyed by thread and message
+ * @type {Map<string, {threadId: string, messageId: string, cancelled: boolean, abortController: AbortController}>}
+ */
+const activeGenerations = new Map();
+
+/**
+ * Get the registry key of a message's generation
+ * @param {string} threadId Thread ID
+ * @param {string} messageId Assistant message ID
+ * @returns {string} Registry key
+ */
+function getGenerationKey(threadId, messageId) {
+    return `${threadId}:${messageId}`;
+}
+
+/**
+ * Save a thread whose messages were changed directly instead of through the storage helpers
+ * @param {string} threadId Thread ID
+ */
+async function saveThreadChanges(threadId) {
+    markThreadModified(threadId);
+    await saveMetadata();
+}
+
+/**
+ * Register a generation for an assistant message
+ * @param {string} threadId Thread ID
+ * @param {string} messageId Assistant message ID
+ * @returns {Object|null} Generation handle, or null if the message is already being generated
+ */
+function registerGeneration(threadId, messageId) {
+    const key = getGenerationKey(threadId, messageId);
+    if (activeGenerations.has(key)) return null;
+
+    const generation = { threadId, messageId, cancelled: false, abortController: new AbortController() };
+    activeGenerations.set(key, generation);
+    return generation;
+}
+
+/**
+ * Remove a finished generation from the registry
+ * @param {Object} generation Generation handle
+ */
+function unregisterGeneration(generation) {
+    const key = getGenerationKey(generation.threadId, generation.messageId);
+    if (activeGenerations.get(key) === generation) {
+        activeGenerations.delete(key);
+    }
+
+    // Queued questions wait while their thread is generating. They are started after the
+    // caller is done, so cancelGeneration still sees when no generation is left.
+    if (questionQueue.some(item => item.status === 'queued')) {
+        queueMicrotask(processQueue);
+    }
+}
+
+/**
+ * Throw if a generation was cancelled (e.g. while it waited for the connection)
+ * @param {Object} generation Generation handle
+ */
+function throwIfCancelled(generation) {
+    if (generation.cancelled) {
+        throw new Error('Generation cancelled');
+    }
+}
 
 /**
- * Cancel any active generation
+ * Cancel running generations
+ * @param {string|null} [threadId] Only cancel generations in this thread (all threads if omitted)
+ * @param {string|null} [messageId] Only cancel the generation of this message
  * @returns {boolean} True if there was an active generation to cancel
  */
-export function cancelGeneration() {
-    if (activeGenerationId) {
-        isCancellationRequested = true;
-        activeGenerationId = null;
+export function cancelGeneration(threadId = null, messageId = null) {
+    const cancelled = [...activeGenerations.values()].filter(generation =>
+        (!threadId || generation.threadId === threadId) && (!messageId || generation.messageId === messageId));
+    if (cancelled.length === 0) return false;
+
+    for (const generation of cancelled) {
+        generation.cancelled = true;
+        unregisterGeneration(generation);
 
         // Abort our own streaming request if active
-        if (activeAbortController) {
-            try { activeAbortController.abort(); } catch { /* noop */ }
-            activeAbortController = null;
-        }
+        try { generation.abortController.abort(); } catch { /* noop */ }
+    }
 
-        // Try to stop SillyTavern's generation if possible
+    // SillyTavern can only stop all of its requests at once, so they are only stopped when no
+    // other generation is running; otherwise the cancelled request finishes and is discarded
+    if (activeGenerations.size === 0) {
         try {
             const context = SillyTavern.getContext();
             if (context.stopGeneration) {
@@ -871,28 +1576,262 @@ export function cancelGeneration() {
         } catch (e) {
             console.warn('[ScratchPad] Could not stop ST generation:', e);
         }
-
-        return true;
     }
-    return false;
+
+    return true;
 }
 
 /**
  * Check if generation is currently active
+ * @param {string|null} [threadId] Only check this thread (any thread if omitted)
+ * @param {string|null} [messageId] Only check this message
  * @returns {boolean} True if generation is active
  */
-export function isGenerationActive() {
-    return activeGenerationId !== null;
+export function isGenerationActive(threadId = null, messageId = null) {
+    if (threadId && messageId) {
+        return activeGenerations.has(getGenerationKey(threadId, messageId));
+    }
+    return [...activeGenerations.values()].some(generation => !threadId || generation.threadId === threadId);
+}
+
+/**
+ * Get the running generations
+ * @returns {Array<{threadId: string, messageId: string}>} Thread and message of each generation
+ */
+export function getActiveGenerations() {
+    return [...activeGenerations.values()].map(({ threadId, messageId }) => ({ threadId, messageId }));
+}
+
+/**
+ * Questions waiting to be sent or being sent in the background. Each question belongs to
+ * the chat it was asked in and waits there while another chat is open.
+ * @type {Array<{id: string, chatId: string|null, threadId: string, question: string, status: 'queued'|'running'}>}
+ */
+let questionQueue = [];
+
+/**
+ * Answers finished in the background and not seen yet, by chat and thread
+ * @type {Map<string|null, Map<string, number>>}
+ */
+const unreadAnswers = new Map();
+
+const queueListeners = new Set();
+let queueItemCounter = 0;
+
+/**
+ * Get the ID of the open chat, which queued questions and unread answers belong to
+ * @returns {string|null} Chat ID
+ */
+function getQueueChatId() {
+    return SillyTavern.getContext().getCurrentChatId?.() || null;
+}
+
+/**
+ * Get the unread answer counts of a chat's threads
+ * @param {string|null} chatId Chat ID
+ * @returns {Map<string, number>} Unread answers by thread
+ */
+function getChatUnreadAnswers(chatId) {
+    if (!unreadAnswers.has(chatId)) {
+        unreadAnswers.set(chatId, new Map());
+    }
+    return unreadAnswers.get(chatId);
+}
+
+/**
+ * Subscribe to question queue changes
+ * @param {Function} listener Called with {type, threadId, result} ('queued', 'started', 'finished', 'removed', 'read', 'pruned' or 'cleared')
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToQueue(listener) {
+    queueListeners.add(listener);
+    return () => queueListeners.delete(listener);
+}
+
+/**
+ * Notify queue listeners of a change
+ * @param {string} type Change type
+ * @param {string|null} [threadId] Affected thread
+ * @param {Object|null} [result] Generation result ('finished' only)
+ */
+function notifyQueueListeners(type, threadId = null, result = null) {
+    for (const listener of [...queueListeners]) {
+        try {
+            listener({ type, threadId, result });
+        } catch (error) {
+            console.error('[ScratchPad] Queue listener error:', error);
+        }
+    }
+}
+
+/**
+ * Get the number of questions the queue sends at the same time
+ * @returns {number} Parallelism (at least 1)
+ */
+function getQueueConcurrency() {
+    const value = parseInt(getSettings().queueConcurrency, 10);
+    return Number.isFinite(value) && value > 0 ? value : 1;
+}
+
+/**
+ * Start queued questions of the open chat while there is room for them. Questions in
+ * the same thread are sent one after another, in the order they were queued.
+ */
+function processQueue() {
+    let running = questionQueue.filter(item => item.status === 'running').length;
+    const limit = getQueueConcurrency();
+    const chatId = getQueueChatId();
+
+    for (const item of questionQueue) {
+        if (running >= limit) break;
+        if (item.status !== 'queued' || item.chatId !== chatId) continue;
+
+        const threadBusy = isGenerationActive(item.threadId)
+            || questionQueue.some(other => other.threadId === item.threadId && other.status === 'running');
+        if (threadBusy) continue;
+
+        item.status = 'running';
+        running++;
+        runQueuedQuestion(item);
+    }
+}
+
+/**
+ * Send a queued question and record its answer as unread
+ * @param {Object} item Queue item
+ */
+async function runQueuedQuestion(item) {
+    let result;
+    try {
+        // The question and pending answer are added before the first await, so listeners can show them
+        const response = generateScratchPadResponse(item.question, item.threadId);
+        notifyQueueListeners('started', item.threadId);
+        result = await response;
+    } catch (error) {
+        result = { success: false, error: error.message };
+    }
+
+    questionQueue = questionQueue.filter(other => other !== item);
+    // The thread can only be looked up while its chat is open
+    if (result.success && (item.chatId !== getQueueChatId() || getThread(item.threadId))) {
+        const chatUnread = getChatUnreadAnswers(item.chatId);
+        chatUnread.set(item.threadId, (chatUnread.get(item.threadId) || 0) + 1);
+    }
+
+    notifyQueueListeners('finished', item.threadId, result);
+    processQueue();
+}
+
+/**
+ * Queue a question to be sent in the background
+ * @param {string} threadId Thread ID
+ * @param {string} question User's question
+ * @returns {string|null} Queue item ID, or null if the thread doesn't exist
+ */
+export function enqueueQuestion(threadId, question) {
+    if (!getThread(threadId) || !question?.trim()) return null;
+
+    const item = {
+        id: `queue-${Date.now()}-${++queueItemCounter}`,
+        chatId: getQueueChatId(),
+        threadId,
+        question: question.trim(),
+        status: 'queued',
+    };
+    questionQueue.push(item);
+    notifyQueueListeners('queued', threadId);
+    processQueue();
+    return item.id;
+}
+
+/**
+ * Get the queued and running questions of the open chat
+ * @param {string|null} [threadId] Only get this thread's questions (all threads if omitted)
+ * @returns {Array<{id: string, threadId: string, question: string, status: string}>} Questions in queue order
+ */
+export function getQueuedQuestions(threadId = null) {
+    const chatId = getQueueChatId();
+    return questionQueue
+        .filter(item => item.chatId === chatId && (!threadId || item.threadId === threadId))
+        .map(item => ({ ...item }));
 }
 
 /**
- * Check and reset cancellation flag
- * @returns {boolean} True if cancellation was requested
+ * Remove questions of the open chat that haven't been sent yet (running ones are cancelled with cancelGeneration)
+ * @param {string|null} [threadId] Only remove this thread's questions (all threads if omitted)
+ * @returns {number} Number of removed questions
  */
-function checkAndResetCancellation() {
-    const wasCancelled = isCancellationRequested;
-    isCancellationRequested = false;
-    return wasCancelled;
+export function removeQueuedQuestions(threadId = null) {
+    const chatId = getQueueChatId();
+    const before = questionQueue.length;
+    questionQueue = questionQueue.filter(item => item.status !== 'queued'
+        || item.chatId !== chatId
+        || (threadId && item.threadId !== threadId));
+    const removed = before - questionQueue.length;
+    if (removed > 0) {
+        notifyQueueListeners('removed', threadId);
+    }
+    return removed;
+}
+
+/**
+ * Drop the open chat's waiting questions and unread answers whose threads no longer exist,
+ * then send its remaining questions (e.g. when the chat changes). Other chats keep theirs.
+ * @returns {number} Number of dropped questions
+ */
+export function pruneQuestionQueue() {
+    const chatId = getQueueChatId();
+    const before = questionQueue.length;
+    questionQueue = questionQueue.filter(item => item.status !== 'queued'
+        || item.chatId !== chatId
+        || getThread(item.threadId));
+    const dropped = before - questionQueue.length;
+
+    const chatUnread = unreadAnswers.get(chatId);
+    for (const threadId of chatUnread?.keys() || []) {
+        if (!getThread(threadId)) {
+            chatUnread.delete(threadId);
+        }
+    }
+
+    notifyQueueListeners('pruned');
+    processQueue();
+    return dropped;
+}
+
+/**
+ * Drop all waiting questions and unread answers, in every chat
+ */
+export function clearQuestionQueue() {
+    questionQueue = questionQueue.filter(item => item.status === 'running');
+    unreadAnswers.clear();
+    notifyQueueListeners('cleared');
+}
+
+/**
+ * Get the number of answers finished in the background in the open chat that haven't been seen
+ * @param {string|null} [threadId] Only count this thread's answers (all threads if omitted)
+ * @returns {number} Unread answers
+ */
+export function getUnreadAnswerCount(threadId = null) {
+    const chatUnread = unreadAnswers.get(getQueueChatId());
+    if (!chatUnread) return 0;
+    if (threadId) return chatUnread.get(threadId) || 0;
+    let total = 0;
+    for (const count of chatUnread.values()) {
+        total += count;
+    }
+    return total;
+}
+
+/**
+ * Mark a thread's background answers as seen
+ * @param {string} threadId Thread ID
+ */
+export function markThreadRead(threadId) {
+    if (unreadAnswers.get(getQueueChatId())?.delete(threadId)) {
+        notifyQueueListeners('read', threadId);
+    }
 }
 
 /**
@@ -926,6 +1865,7 @@ export async function generateScratchPadResponse(userQuestion, threadId, onStrea
     }
     assistantMessage.gen_started = new Date().toISOString();
     assistantMessage.gen_finished = null;
+    const generation = registerGeneration(threadId, assistantMessage.id);
 
     await saveMetadata();
 
@@ -938,47 +1878,36 @@ export async function generateScratchPadResponse(userQuestion, threadId, onStrea
         const promptThread = excludeMessagesFromThread(currentThread, [userMessage.id, assistantMessage.id]);
         const isFirstMessage = !currentThread.titled;
         const globalSettings = getSettings();
+        let promptFingerprint = null;
 
         const doGenerate = globalSettings.useStandardGeneration
             ? async () => {
-                const promptData = buildPrompt(userQuestion, promptThread, isFirstMessage);
-                const generationId = `sp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                activeGenerationId = generationId;
-                try {
-                    const result = await callStandardGeneration(promptData);
-                    if (onStream) onStream(result.text, true);
-                    return result;
-                } finally {
-                    if (activeGenerationId === generationId) activeGenerationId = null;
-                }
+                throwIfCancelled(generation);
+                const promptData = await buildPrompt(userQuestion, promptThread, isFirstMessage, { generation });
+                promptFingerprint = createPromptFingerprint(promptData.sections);
+                const result = await callStandardGeneration(promptData);
+                if (onStream) onStream(result.text, true);
+                return result;
             }
             : async () => {
-                const promptData = buildPrompt(userQuestion, promptThread, isFirstMessage);
-                const generationId = `sp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                activeGenerationId = generationId;
-                try {
-                    const onToken = onStream ? (partialText) => onStream(partialText, false) : undefined;
-                    const result = await callGeneration({
-                        systemPrompt: promptData.systemPrompt,
-                        prompt: promptData.prompt,
-                        messages: promptData.messages,
-                        onToken,
-                    });
-                    if (onStream) onStream(result.text, true);
-                    return result;
-                } finally {
-                    if (activeGenerationId === generationId) activeGenerationId = null;
-                }
+                throwIfCancelled(generation);
+                const promptData = await buildPrompt(userQuestion, promptThread, isFirstMessage, { generation });
+                promptFingerprint = createPromptFingerprint(promptData.sections);
+                const onToken = onStream ? (partialText) => onStream(partialText, false) : undefined;
+                const result = await callGeneration({
+                    systemPrompt: promptData.systemPrompt,
+                    prompt: promptData.prompt,
+                    messages: promptData.messages,
+                    onToken,
+                    samplerOverrides: promptData.samplerOverrides,
+                    signal: generation.abortController.signal,
+                });
+                if (onStream) onStream(result.text, true);
+                return result;
             };
 
         // Execute with profile switching if enabled
-        let result;
-        const effectiveProfile = getEffectiveProfileForThread(threadId);
-        if (effectiveProfile) {
-            result = await generateWithProfile(effectiveProfile, doGenerate);
-        } else {
-            result = await doGenerate();
-        }
+        const result = await generateForThread(threadId, doGenerate);
 
         genFinished = new Date().toISOString();
         const responseText = result.text || '';
@@ -999,7 +1928,7 @@ export async function generateScratchPadResponse(userQuestion, threadId, onStrea
         }
 
         // Check if generation was cancelled
-        if (checkAndResetCancellation()) {
+        if (generation.cancelled) {
             updateMessage(threadId, assistantMessage.id, {
                 content: responseText || '',
                 thinking: combinedThinking,
@@ -1017,6 +1946,7 @@ export async function generateScratchPadResponse(userQuestion, threadId, onStrea
             content: finalResponse,
             thinking: combinedThinking,
             reasoningMeta,
+            promptFingerprint,
             gen_started: assistantMessage.gen_started,
             gen_finished: genFinished,
             status: 'complete'
@@ -1028,7 +1958,7 @@ export async function generateScratchPadResponse(userQuestion, threadId, onStrea
 
     } catch (error) {
         genFinished = genFinished || new Date().toISOString();
-        if (checkAndResetCancellation()) {
+        if (generation.cancelled) {
             const thread = getThread(threadId);
             if (thread) {
                 const msgIndex = thread.messages.findIndex(m => m.id === assistantMessage.id);
@@ -1036,7 +1966,7 @@ export async function generateScratchPadResponse(userQuestion, threadId, onStrea
                     thread.messages.splice(msgIndex, 1);
                 }
             }
-            await saveMetadata();
+            await saveThreadChanges(threadId);
             return { success: false, cancelled: true };
         }
 
@@ -1054,23 +1984,11 @@ export async function generateScratchPadResponse(userQuestion, threadId, onStrea
         await saveMetadata();
 
         return { success: false, error: error.message };
+    } finally {
+        unregisterGeneration(generation);
     }
 }
 
-/**
- * Build prompt for a swipe regeneration
- * Slices thread messages to before the target message so all swipes see the same context
- * @param {string} threadId Thread ID
- * @param {string} messageId Target assistant message ID
- * @returns {Object|null} { systemPrompt, prompt, userQuestion } or { systemPrompt, messages, userQuestion } or null
- */
-function buildPromptForSwipe(threadId, messageId) {
-    const swipeCtx = getSwipeContext(threadId, messageId);
-    if (!swipeCtx) return null;
-    const promptData = buildPrompt(swipeCtx.userQuestion, swipeCtx.contextThread, false);
-    return { ...promptData, userQuestion: swipeCtx.userQuestion };
-}
-
 /**
  * Generate a new swipe for an existing assistant message
  * @param {string} threadId Thread ID
@@ -1089,17 +2007,13 @@ export async function generateSwipe(threadId, messageId, onStream = null) {
 
     const globalSettings = getSettings();
 
-    // Build prompt / context for swipe
-    let swipeCtx = null;
-    let promptData = null;
-    if (globalSettings.useStandardGeneration) {
-        swipeCtx = getSwipeContext(threadId, messageId);
-        if (!swipeCtx) return { success: false, error: 'Could not build prompt for swipe' };
-        promptData = buildPrompt(swipeCtx.userQuestion, swipeCtx.contextThread, false);
-    } else {
-        promptData = buildPromptForSwipe(threadId, messageId);
-        if (!promptData) return { success: false, error: 'Could not build prompt for swipe' };
-    }
+    // Resolve the swipe's context now (all swipes see the messages before the target);
+    // the prompt itself is built after any profile switch so it fits that profile's context size
+    const swipeCtx = getSwipeContext(threadId, messageId);
+    if (!swipeCtx) return { success: false, error: 'Could not build prompt for swipe' };
+
+    const generation = registerGeneration(threadId, messageId);
+    if (!generation) return { success: false, error: 'A response is already being generated for this message' };
 
     // Initialize swipe fields and add empty swipe
     ensureSwipeFields(message);
@@ -1112,47 +2026,38 @@ export async function generateSwipe(threadId, messageId, onStream = null) {
     message.gen_started = genStarted;
     message.gen_finished = null;
     message.status = 'pending';
-    await saveMetadata();
+    await saveThreadChanges(threadId);
 
     let genFinished = null;
+    let promptFingerprint = null;
     try {
         const doGenerate = globalSettings.useStandardGeneration
             ? async () => {
-                const generationId = `sp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                activeGenerationId = generationId;
-                try {
-                    const result = await callStandardGeneration(promptData);
-                    if (onStream) onStream(result.text, true);
-                    return result;
-                } finally {
-                    if (activeGenerationId === generationId) activeGenerationId = null;
-                }
+                throwIfCancelled(generation);
+                const promptData = await buildPrompt(swipeCtx.userQuestion, swipeCtx.contextThread, false, { generation });
+                promptFingerprint = createPromptFingerprint(promptData.sections);
+                const result = await callStandardGeneration(promptData);
+                if (onStream) onStream(result.text, true);
+                return result;
             }
             : async () => {
-                const generationId = `sp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                activeGenerationId = generationId;
-                try {
-                    const onToken = onStream ? (partialText) => onStream(partialText, false) : undefined;
-                    const result = await callGeneration({
-                        systemPrompt: promptData.systemPrompt,
-                        prompt: promptData.prompt,
-                        messages: promptData.messages,
-                        onToken,
-                    });
-                    if (onStream) onStream(result.text, true);
-                    return result;
-                } finally {
-                    if (activeGenerationId === generationId) activeGenerationId = null;
-                }
+                throwIfCancelled(generation);
+                const promptData = await buildPrompt(swipeCtx.userQuestion, swipeCtx.contextThread, false, { generation });
+                promptFingerprint = createPromptFingerprint(promptData.sections);
+                const onToken = onStream ? (partialText) => onStream(partialText, false) : undefined;
+                const result = await callGeneration({
+                    systemPrompt: promptData.systemPrompt,
+                    prompt: promptData.prompt,
+                    messages: promptData.messages,
+                    onToken,
+                    samplerOverrides: promptData.samplerOverrides,
+                    signal: generation.abortController.signal,
+                });
+                if (onStream) onStream(result.text, true);
+                return result;
             };
 
-        let result;
-        const effectiveProfile = getEffectiveProfileForThread(threadId);
-        if (effectiveProfile) {
-            result = await generateWithProfile(effectiveProfile, doGenerate);
-        } else {
-            result = await doGenerate();
-        }
+        const result = await generateForThread(threadId, doGenerate);
 
         genFinished = new Date().toISOString();
         const responseText = result.text || '';
@@ -1168,13 +2073,13 @@ export async function generateSwipe(threadId, messageId, onStream = null) {
         }
 
         // Check cancellation
-        if (checkAndResetCancellation()) {
+        if (generation.cancelled) {
             // Remove the empty swipe and restore previous
             deleteSwipe(threadId, messageId, newSwipeIndex);
             setActiveSwipe(threadId, messageId, Math.min(previousSwipeId, (message.swipes?.length || 1) - 1));
             message.status = 'complete';
             syncSwipeToMessage(message);
-            await saveMetadata();
+            await saveThreadChanges(threadId);
             return { success: false, cancelled: true, response: responseText || '' };
         }
 
@@ -1185,20 +2090,21 @@ export async function generateSwipe(threadId, messageId, onStream = null) {
         message.swipeTimestamps[newSwipeIndex] = new Date().toISOString();
         message.swipeGenStarted[newSwipeIndex] = genStarted;
         message.swipeGenFinished[newSwipeIndex] = genFinished;
+        message.swipePromptFingerprints[newSwipeIndex] = promptFingerprint;
         message.status = 'complete';
         syncSwipeToMessage(message);
-        await saveMetadata();
+        await saveThreadChanges(threadId);
 
         return { success: true, response: finalResponse, thinking: combinedThinking, reasoningMeta, swipeIndex: newSwipeIndex, gen_started: genStarted, gen_finished: genFinished };
 
     } catch (error) {
         genFinished = genFinished || new Date().toISOString();
-        if (checkAndResetCancellation()) {
+        if (generation.cancelled) {
             deleteSwipe(threadId, messageId, newSwipeIndex);
             setActiveSwipe(threadId, messageId, Math.min(previousSwipeId, (message.swipes?.length || 1) - 1));
             message.status = 'complete';
             syncSwipeToMessage(message);
-            await saveMetadata();
+            await saveThreadChanges(threadId);
             return { success: false, cancelled: true };
         }
 
@@ -1209,9 +2115,118 @@ export async function generateSwipe(threadId, messageId, onStream = null) {
         setActiveSwipe(threadId, messageId, Math.min(previousSwipeId, (message.swipes?.length || 1) - 1));
         message.status = 'complete';
         syncSwipeToMessage(message);
-        await saveMetadata();
+        await saveThreadChanges(threadId);
 
         return { success: false, error: error.message };
+    } finally {
+        unregisterGeneration(generation);
+    }
+}
+
+/**
+ * Continue a truncated assistant answer. The answer's context is sent again with the
+ * active swipe's text as an assistant prefill (or followed by an explicit instruction to
+ * continue when the API has no prefill), and the continuation is appended to the swipe.
+ * @param {string} threadId Thread ID
+ * @param {string} messageId Target assistant message ID
+ * @param {Function} onStream Callback for streaming updates, receives the whole answer so far
+ * @returns {Promise<Object>} { success, response, thinking, reasoningMeta, error, cancelled }
+ */
+export async function continueMessage(threadId, messageId, onStream = null) {
+    const message = getMessage(threadId, messageId);
+    if (!message || message.role !== 'assistant') {
+        return { success: false, error: 'Assistant message not found' };
+    }
+    if (message.status !== 'complete' || !message.content) {
+        return { success: false, error: 'Only finished answers can be continued' };
+    }
+
+    const globalSettings = getSettings();
+
+    const swipeCtx = getSwipeContext(threadId, messageId);
+    if (!swipeCtx) return { success: false, error: 'Could not build prompt for continuation' };
+
+    const generation = registerGeneration(threadId, messageId);
+    if (!generation) return { success: false, error: 'A response is already being generated for this message' };
+
+    ensureSwipeFields(message);
+    const swipeIndex = message.swipeId;
+    const partialText = message.content;
+    // The answer keeps the start of its first generation; a continuation only moves its finish
+    const genStarted = message.swipeGenStarted[swipeIndex] ?? new Date().toISOString();
+    message.status = 'pending';
+    await saveThreadChanges(threadId);
+
+    const onContinuation = onStream
+        ? (continuationText, isComplete) => onStream(partialText + continuationText, isComplete)
+        : undefined;
+
+    let genFinished = null;
+    try {
+        const doGenerate = async () => {
+            throwIfCancelled(generation);
+            // Resolved after any profile switch, since prefill support depends on the API
+            const continuation = { text: partialText, prefill: supportsAssistantPrefill() };
+            const promptData = await buildPrompt(swipeCtx.userQuestion, swipeCtx.contextThread, false, { generation });
+            const result = globalSettings.useStandardGeneration
+                ? await callStandardGeneration({ ...promptData, continuation })
+                : await callGeneration({
+                    systemPrompt: promptData.systemPrompt,
+                    prompt: promptData.prompt,
+                    messages: promptData.messages,
+                    onToken: onContinuation ? (text) => onContinuation(text, false) : undefined,
+                    samplerOverrides: promptData.samplerOverrides,
+                    continuation,
+                    signal: generation.abortController.signal,
+                });
+            if (onContinuation) onContinuation(result.text, true);
+            return result;
+        };
+
+        const result = await generateForThread(threadId, doGenerate);
+
+        genFinished = new Date().toISOString();
+        const continuationText = result.text || '';
+        const reasoningPayload = buildReasoningPayload(continuationText, result.streamReasoning, result.resultReasoning, result.hiddenReasoning);
+        const wasCancelled = generation.cancelled;
+
+        // A cancelled continuation keeps whatever arrived before the cancel
+        if (wasCancelled && !reasoningPayload.cleanedResponse) {
+            message.status = 'complete';
+            await saveThreadChanges(threadId);
+            return { success: false, cancelled: true, response: partialText };
+        }
+
+        const response = partialText + reasoningPayload.cleanedResponse;
+        const thinking = [message.swipeThinking[swipeIndex], reasoningPayload.thinking].filter(Boolean).join('\n\n') || null;
+        const reasoningMeta = reasoningPayload.thinking ? reasoningPayload.reasoningMeta : message.swipeReasoningMeta[swipeIndex];
+
+        message.swipes[swipeIndex] = response;
+        message.swipeThinking[swipeIndex] = thinking;
+        message.swipeReasoningMeta[swipeIndex] = reasoningMeta;
+        message.swipeTimestamps[swipeIndex] = genFinished;
+        message.swipeGenFinished[swipeIndex] = genFinished;
+        message.status = 'complete';
+        syncSwipeToMessage(message);
+        await saveThreadChanges(threadId);
+
+        if (wasCancelled) {
+            return { success: false, cancelled: true, response };
+        }
+        return { success: true, response, thinking, reasoningMeta, gen_started: genStarted, gen_finished: genFinished };
+
+    } catch (error) {
+        message.status = 'complete';
+        await saveThreadChanges(threadId);
+
+        if (generation.cancelled) {
+            return { success: false, cancelled: true, response: partialText };
+        }
+
+        console.error('[ScratchPad] Continue generation error:', error);
+        return { success: false, error: error.message };
+    } finally {
+        unregisterGeneration(generation);
     }
 }
 
@@ -1239,7 +2254,7 @@ export async function retryMessage(threadId, messageId, onStream = null) {
         deleteSwipe(threadId, messageId, failedIdx);
         message.status = 'complete';
         syncSwipeToMessage(message);
-        await saveMetadata();
+        await saveThreadChanges(threadId);
         return await generateSwipe(threadId, messageId, onStream);
     }
 
@@ -1272,7 +2287,7 @@ export async function retryMessage(threadId, messageId, onStream = null) {
         thread.messages.splice(userMsgIndex, 1);
     }
 
-    await saveMetadata();
+    await saveThreadChanges(threadId);
 
     // Re-generate
     return await generateScratchPadResponse(userQuestion, threadId, onStream);
@@ -1405,13 +2420,7 @@ Respond with ONLY the title, nothing else. Do not use quotes or formatting.`;
             };
 
         // Execute with profile switching if enabled
-        let response;
-        const effectiveProfile = getEffectiveProfileForThread(thread.id);
-        if (effectiveProfile) {
-            response = await generateWithProfile(effectiveProfile, doGenerate);
-        } else {
-            response = await doGenerate();
-        }
+        const response = await generateWithProfile(getEffectiveProfileForThread(thread.id), doGenerate);
 
         // Clean up the response (remove quotes, extra whitespace, etc.)
         let title = (response || '').trim();
@@ -0,0 +1,93 @@
+/**
+ * Per-thread sampler and length overrides for Scratch Pad generations.
+ * Overrides are applied to a copy of the settings for each request; SillyTavern's live
+ * settings are never changed, so the main chat and saved settings are unaffected.
+ */
+
+/**
+ * Sampler override fields, mapped to SillyTavern's Chat Completion settings keys
+ */
+const CHAT_COMPLETION_KEYS = Object.freeze({
+    temperature: 'temp_openai',
+    topP: 'top_p_openai',
+    topK: 'top_k_openai',
+    frequencyPenalty: 'freq_pen_openai',
+    presencePenalty: 'pres_pen_openai',
+    repetitionPenalty: 'repetition_penalty_openai',
+    maxTokens: 'openai_max_tokens',
+    seed: 'seed',
+    reasoningEffort: 'reasoning_effort',
+});
+
+/**
+ * Sampler override fields, mapped to SillyTavern's Text Completion settings keys
+ * (only used to show the main values; generateRaw only takes the response length per call)
+ */
+const TEXT_COMPLETION_KEYS = Object.freeze({
+    temperature: 'temp',
+    topP: 'top_p',
+    topK: 'top_k',
+    frequencyPenalty: 'freq_pen',
+    presencePenalty: 'presence_pen',
+    repetitionPenalty: 'rep_pen',
+    seed: 'seed',
+});
+
+/**
+ * Names of the fields a thread can override
+ */
+export const SAMPLER_OVERRIDE_FIELDS = Object.freeze(Object.keys(CHAT_COMPLETION_KEYS));
+
+/**
+ * Get the overrides that are actually set
+ * @param {Object|null} overrides Thread sampler overrides (unset fields are null or missing)
+ * @returns {Object|null} Set overrides, or null if none are set
+ */
+export function getActiveSamplerOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object') return null;
+
+    const active = {};
+    for (const field of SAMPLER_OVERRIDE_FIELDS) {
+        const value = overrides[field];
+        if (value === null || value === undefined || value === '') continue;
+        if (field !== 'reasoningEffort' && !Number.isFinite(value)) continue;
+        active[field] = value;
+    }
+    return Object.keys(active).length > 0 ? active : null;
+}
+
+/**
+ * Get a copy of the Chat Completion settings with sampler overrides applied
+ * @param {Object} settings Chat Completion settings (oai_settings)
+ * @param {Object|null} overrides Thread sampler overrides
+ * @returns {Object} Settings to build the request from
+ */
+export function applySamplerOverrides(settings, overrides) {
+    const active = getActiveSamplerOverrides(overrides);
+    if (!active) return settings;
+
+    const result = { ...settings };
+    for (const [field, value] of Object.entries(active)) {
+        result[CHAT_COMPLETION_KEYS[field]] = value;
+    }
+    return result;
+}
+
+/**
+ * Get the main settings' values of the overridable samplers for the active API
+ * @returns {Object} Values by override field (missing when the API has no such setting)
+ */
+export function getMainSamplerValues() {
+    const context = SillyTavern.getContext();
+    const useChatCompletion = context.mainApi === 'openai';
+    const settings = useChatCompletion ? context.chatCompletionSettings : context.textCompletionSettings;
+    const keys = useChatCompletion ? CHAT_COMPLETION_KEYS : TEXT_COMPLETION_KEYS;
+
+    const values = {};
+    for (const [field, key] of Object.entries(keys)) {
+        if (settings?.[key] !== undefined && settings[key] !== null) {
+            values[field] = settings[key];
+        }
+    }
+    return values;
+}
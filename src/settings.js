@@ -16,7 +16,11 @@ const DEFAULT_SETTINGS = Object.freeze({
     characterCardOnly: false,
     includeSystemPrompt: false,
     includeAuthorsNote: false,
+    includePersona: false,
+    worldInfoMode: 'off', // Default World Info mode for new threads: 'off' or 'activated'
     oocSystemPrompt: DEFAULT_OOC_PROMPT,
+    promptPresets: [], // Named OOC prompts ("modes"): [{ id, name, prompt }]
+    promptPreset: null, // Preset for new threads and the one edited in the settings (null = default prompt)
     useAlternativeApi: false,
     connectionProfile: '',
     textSize: 14, // Default text size in pixels
@@ -25,7 +29,15 @@ const DEFAULT_SETTINGS = Object.freeze({
     soundOnComplete: false, // Play notification sound when generation finishes
     displayMode: 'drawer', // Display mode: 'drawer' (overlay), 'pinned' (sidebar), 'fullscreen'
     useMultiMessageFormat: false, // Send structured multi-message array instead of concatenated prompt
-    useStandardGeneration: false // Use ST's generateRaw helper for compatibility mode
+    useStandardGeneration: false, // Use ST's generateRaw helper for compatibility mode
+    trashRetentionDays: 30, // Days before deleted threads/messages are purged (0 = never)
+    threadSortOrder: 'updated', // Thread list order: 'updated', 'created', 'name', 'messages' or 'custom'
+    contextTrimOrder: 'chat_first', // Which history to trim first when the prompt exceeds the context size: 'chat_first' or 'thread_first'
+    summarizeOlderHistory: false, // Send cached chunk summaries instead of older chat messages
+    summaryChunkSize: 50, // Chat messages per summary chunk
+    summaryRecentMessages: 50, // Most recent chat messages that are always sent verbatim
+    focusMessageWindow: 3, // "Ask about this message": chat messages sent before and after the message
+    queueConcurrency: 1 // Queued questions sent at the same time
 });
 
 /**
@@ -50,7 +62,7 @@ export function getSettings() {
     // Ensure all default keys exist
     for (const key of Object.keys(DEFAULT_SETTINGS)) {
         if (!Object.hasOwn(extensionSettings[MODULE_NAME], key)) {
-            extensionSettings[MODULE_NAME][key] = DEFAULT_SETTINGS[key];
+            extensionSettings[MODULE_NAME][key] = structuredClone(DEFAULT_SETTINGS[key]);
         }
     }
 
@@ -69,13 +81,6 @@ export function updateSettings(updates) {
     saveSettingsDebounced();
 }
 
-/**
- * Reset OOC prompt to default
- */
-export function resetOocPrompt() {
-    updateSettings({ oocSystemPrompt: DEFAULT_OOC_PROMPT });
-}
-
 /**
  * Get the default OOC prompt
  * @returns {string} Default OOC prompt
@@ -84,6 +89,156 @@ export function getDefaultOocPrompt() {
     return DEFAULT_OOC_PROMPT;
 }
 
+/**
+ * Format identifier for exported prompt preset files
+ */
+export const PROMPT_PRESET_BUNDLE_FORMAT = 'sillytavern-scratchpad-prompt-presets';
+
+/**
+ * Current schema version for exported prompt preset files
+ */
+export const PROMPT_PRESET_BUNDLE_VERSION = 1;
+
+/**
+ * Get the saved OOC prompt presets
+ * @returns {Array<{id: string, name: string, prompt: string}>} Presets
+ */
+export function getPromptPresets() {
+    const settings = getSettings();
+    if (!Array.isArray(settings.promptPresets)) {
+        settings.promptPresets = [];
+    }
+    return settings.promptPresets;
+}
+
+/**
+ * Get a prompt preset by ID
+ * @param {string|null} presetId Preset ID
+ * @returns {Object|null} Preset or null (the default prompt)
+ */
+export function getPromptPreset(presetId) {
+    if (!presetId) return null;
+    return getPromptPresets().find(preset => preset.id === presetId) || null;
+}
+
+/**
+ * Get the OOC prompt of a preset
+ * Threads whose preset was deleted fall back to the default prompt.
+ * @param {string|null} presetId Preset ID, or null for the default prompt
+ * @returns {string} OOC system prompt
+ */
+export function getOocPrompt(presetId) {
+    return getPromptPreset(presetId)?.prompt ?? getSettings().oocSystemPrompt;
+}
+
+/**
+ * Make a preset name unique among the saved presets by appending a number
+ * @param {string} name Wanted name
+ * @param {string|null} [ignoreId=null] Preset whose own name does not count (when renaming)
+ * @returns {string} Unique name
+ */
+function getUniquePresetName(name, ignoreId = null) {
+    const taken = new Set(getPromptPresets().filter(p => p.id !== ignoreId).map(p => p.name.toLowerCase()));
+    taken.add('default');
+    let unique = name;
+    for (let n = 2; taken.has(unique.toLowerCase()); n++) {
+        unique = `${name} (${n})`;
+    }
+    return unique;
+}
+
+/**
+ * Create a prompt preset
+ * @param {string} name Preset name (made unique)
+ * @param {string} prompt OOC system prompt
+ * @returns {Object|null} New preset, or null if the name is empty
+ */
+export function createPromptPreset(name, prompt) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return null;
+
+    const preset = {
+        id: `preset-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        name: getUniquePresetName(trimmed),
+        prompt: String(prompt ?? '')
+    };
+    getPromptPresets().push(preset);
+    updateSettings({});
+    return preset;
+}
+
+/**
+ * Rename a prompt preset
+ * @param {string} presetId Preset ID
+ * @param {string} name New name (made unique)
+ * @returns {Object|null} Updated preset or null
+ */
+export function renamePromptPreset(presetId, name) {
+    const preset = getPromptPreset(presetId);
+    const trimmed = String(name || '').trim();
+    if (!preset || !trimmed) return null;
+
+    preset.name = getUniquePresetName(trimmed, presetId);
+    updateSettings({});
+    return preset;
+}
+
+/**
+ * Delete a prompt preset. Threads using it fall back to the default prompt.
+ * @param {string} presetId Preset ID
+ * @returns {boolean} True if deleted
+ */
+export function deletePromptPreset(presetId) {
+    const presets = getPromptPresets();
+    const index = presets.findIndex(preset => preset.id === presetId);
+    if (index === -1) return false;
+
+    presets.splice(index, 1);
+    const settings = getSettings();
+    updateSettings({ promptPreset: settings.promptPreset === presetId ? null : settings.promptPreset });
+    return true;
+}
+
+/**
+ * Serialize prompt presets into a versioned JSON bundle
+ * @param {string[]|null} [presetIds=null] IDs of presets to export, or null for all
+ * @returns {Object} Preset bundle
+ */
+export function exportPromptPresets(presetIds = null) {
+    const presets = getPromptPresets().filter(preset => !Array.isArray(presetIds) || presetIds.includes(preset.id));
+    return {
+        format: PROMPT_PRESET_BUNDLE_FORMAT,
+        version: PROMPT_PRESET_BUNDLE_VERSION,
+        presets: presets.map(({ name, prompt }) => ({ name, prompt }))
+    };
+}
+
+/**
+ * Add the presets of an exported bundle. Names that are already taken get a number appended.
+ * @param {*} bundle Parsed bundle
+ * @returns {{success: boolean, imported?: number, error?: string}} Result
+ */
+export function importPromptPresets(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== PROMPT_PRESET_BUNDLE_FORMAT) {
+        return { success: false, error: 'Not a Scratch Pad prompt preset file' };
+    }
+    if (bundle.version > PROMPT_PRESET_BUNDLE_VERSION) {
+        return { success: false, error: 'The file was exported by a newer version of Scratch Pad' };
+    }
+    if (!Array.isArray(bundle.presets)) {
+        return { success: false, error: 'The file contains no presets' };
+    }
+
+    let imported = 0;
+    for (const preset of bundle.presets) {
+        if (typeof preset?.prompt !== 'string') continue;
+        if (createPromptPreset(preset.name, preset.prompt)) {
+            imported++;
+        }
+    }
+    return { success: true, imported };
+}
+
 /**
  * Get the current display mode
  * @returns {'drawer'|'pinned'|'fullscreen'} Display mode
@@ -152,10 +307,16 @@ export function loadSettingsUI() {
         authorsNoteToggle.checked = settings.includeAuthorsNote;
     }
 
-    // OOC system prompt textarea
-    const oocPromptTextarea = document.getElementById('sp_ooc_prompt');
-    if (oocPromptTextarea) {
-        oocPromptTextarea.value = settings.oocSystemPrompt;
+    // Include persona toggle
+    const personaToggle = document.getElementById('sp_include_persona');
+    if (personaToggle) {
+        personaToggle.checked = settings.includePersona;
+    }
+
+    // World Info mode select
+    const worldInfoModeSelect = document.getElementById('sp_world_info_mode');
+    if (worldInfoModeSelect) {
+        worldInfoModeSelect.value = settings.worldInfoMode;
     }
 
     // Use alternative API toggle
@@ -211,12 +372,50 @@ export function loadSettingsUI() {
         soundToggle.checked = settings.soundOnComplete;
     }
 
+    // Question queue parallelism
+    const queueConcurrencyInput = document.getElementById('sp_queue_concurrency');
+    if (queueConcurrencyInput) {
+        queueConcurrencyInput.value = settings.queueConcurrency;
+    }
+
     // Display mode select
     const displayModeSelect = document.getElementById('sp_display_mode');
     if (displayModeSelect) {
         displayModeSelect.value = settings.displayMode || 'drawer';
     }
 
+    // Context trim order select
+    const trimOrderSelect = document.getElementById('sp_context_trim_order');
+    if (trimOrderSelect) {
+        trimOrderSelect.value = settings.contextTrimOrder;
+    }
+
+    // Older history summaries
+    const summarizeToggle = document.getElementById('sp_summarize_older_history');
+    if (summarizeToggle) {
+        summarizeToggle.checked = settings.summarizeOlderHistory;
+    }
+    const summaryChunkInput = document.getElementById('sp_summary_chunk_size');
+    if (summaryChunkInput) {
+        summaryChunkInput.value = settings.summaryChunkSize;
+    }
+    const summaryRecentInput = document.getElementById('sp_summary_recent_messages');
+    if (summaryRecentInput) {
+        summaryRecentInput.value = settings.summaryRecentMessages;
+    }
+
+    // "Ask about this message" window input
+    const focusWindowInput = document.getElementById('sp_focus_message_window');
+    if (focusWindowInput) {
+        focusWindowInput.value = settings.focusMessageWindow;
+    }
+
+    // Trash retention input
+    const trashRetentionInput = document.getElementById('sp_trash_retention_days');
+    if (trashRetentionInput) {
+        trashRetentionInput.value = settings.trashRetentionDays;
+    }
+
     // Multi-message format toggle
     const multiMsgToggle = document.getElementById('sp_multi_message_format');
     if (multiMsgToggle) {
@@ -305,22 +504,19 @@ export function initSettingsListeners() {
         });
     }
 
-    // OOC system prompt textarea
-    const oocPromptTextarea = document.getElementById('sp_ooc_prompt');
-    if (oocPromptTextarea) {
-        bindOnce(oocPromptTextarea, 'input', (e) => {
-            updateSettings({ oocSystemPrompt: e.target.value });
+    // Include persona toggle
+    const personaToggle = document.getElementById('sp_include_persona');
+    if (personaToggle) {
+        bindOnce(personaToggle, 'change', (e) => {
+            updateSettings({ includePersona: e.target.checked });
         });
     }
 
-    // Reset OOC prompt button
-    const resetButton = document.getElementById('sp_reset_ooc_prompt');
-    if (resetButton) {
-        bindOnce(resetButton, 'click', () => {
-            resetOocPrompt();
-            if (oocPromptTextarea) {
-                oocPromptTextarea.value = DEFAULT_OOC_PROMPT;
-            }
+    // World Info mode select
+    const worldInfoModeSelect = document.getElementById('sp_world_info_mode');
+    if (worldInfoModeSelect) {
+        bindOnce(worldInfoModeSelect, 'change', (e) => {
+            updateSettings({ worldInfoMode: e.target.value });
         });
     }
 
@@ -386,6 +582,17 @@ export function initSettingsListeners() {
         });
     }
 
+    // Question queue parallelism
+    const queueConcurrencyInput = document.getElementById('sp_queue_concurrency');
+    if (queueConcurrencyInput) {
+        bindOnce(queueConcurrencyInput, 'input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            if (value >= 1) {
+                updateSettings({ queueConcurrency: value });
+            }
+        });
+    }
+
     // Display mode select
     const displayModeSelect = document.getElementById('sp_display_mode');
     if (displayModeSelect) {
@@ -394,6 +601,56 @@ export function initSettingsListeners() {
         });
     }
 
+    // Context trim order select
+    const trimOrderSelect = document.getElementById('sp_context_trim_order');
+    if (trimOrderSelect) {
+        bindOnce(trimOrderSelect, 'change', (e) => {
+            updateSettings({ contextTrimOrder: e.target.value });
+        });
+    }
+
+    // Older history summaries
+    const summarizeToggle = document.getElementById('sp_summarize_older_history');
+    if (summarizeToggle) {
+        bindOnce(summarizeToggle, 'change', (e) => {
+            updateSettings({ summarizeOlderHistory: e.target.checked });
+        });
+    }
+    const summaryChunkInput = document.getElementById('sp_summary_chunk_size');
+    if (summaryChunkInput) {
+        bindOnce(summaryChunkInput, 'input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            if (value >= 10) {
+                updateSettings({ summaryChunkSize: value });
+            }
+        });
+    }
+    const summaryRecentInput = document.getElementById('sp_summary_recent_messages');
+    if (summaryRecentInput) {
+        bindOnce(summaryRecentInput, 'input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            updateSettings({ summaryRecentMessages: Number.isNaN(value) || value < 0 ? 0 : value });
+        });
+    }
+
+    // "Ask about this message" window input
+    const focusWindowInput = document.getElementById('sp_focus_message_window');
+    if (focusWindowInput) {
+        bindOnce(focusWindowInput, 'input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            updateSettings({ focusMessageWindow: Number.isNaN(value) || value < 0 ? 0 : value });
+        });
+    }
+
+    // Trash retention input
+    const trashRetentionInput = document.getElementById('sp_trash_retention_days');
+    if (trashRetentionInput) {
+        bindOnce(trashRetentionInput, 'input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            updateSettings({ trashRetentionDays: Number.isNaN(value) || value < 0 ? 0 : value });
+        });
+    }
+
     // Multi-message format toggle
     const multiMsgToggle = document.getElementById('sp_multi_message_format');
     if (multiMsgToggle) {
@@ -452,10 +709,18 @@ export function getCurrentContextSettings() {
         chatHistoryRangeMode: settings.chatHistoryRangeMode,
         chatHistoryRangeStart: settings.chatHistoryRangeStart,
         chatHistoryRangeEnd: settings.chatHistoryRangeEnd,
+        chatHistorySelectedIndices: [],
+        focusMessageIndex: null,
         characterCardOnly: settings.characterCardOnly,
         includeCharacterCard: settings.includeCharacterCard,
         includeSystemPrompt: settings.includeSystemPrompt,
         includeAuthorsNote: settings.includeAuthorsNote,
+        includePersona: settings.includePersona,
+        groupMembers: null,
+        worldInfoMode: settings.worldInfoMode,
+        worldInfoBooks: [],
+        promptPreset: getPromptPreset(settings.promptPreset) ? settings.promptPreset : null,
+        samplerOverrides: null,
         connectionProfile: settings.useAlternativeApi ? settings.connectionProfile : null
     };
 }
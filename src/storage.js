@@ -15,13 +15,24 @@ export const DEFAULT_CONTEXT_SETTINGS = Object.freeze({
     chatHistoryRangeMode: 'all',
     chatHistoryRangeStart: null,
     chatHistoryRangeEnd: null,
+    chatHistorySelectedIndices: [], // 'selected' range mode: main chat indices (0-based) to send
+    focusMessageIndex: null, // "Ask about this message": main chat index (0-based) the thread is about
     characterCardOnly: false,
     includeCharacterCard: true,
     includeSystemPrompt: false,
     includeAuthorsNote: false,
-    connectionProfile: null
+    includePersona: false,
+    groupMembers: null, // Group chats: avatars of the members whose cards are sent (null = all members)
+    worldInfoMode: 'off', // 'off', 'activated' (entries the chat history activates) or 'books' (all entries of worldInfoBooks)
+    worldInfoBooks: [],
+    promptPreset: null, // OOC prompt preset ID (null = the default prompt from the settings)
+    samplerOverrides: null, // { temperature, topP, topK, frequencyPenalty, presencePenalty, repetitionPenalty, maxTokens, seed, reasoningEffort } (unset = main settings)
+    connectionProfile: null,
+    useCurrentChatHistory: true // Character-scoped threads only: send the open chat's history
 });
 
+let sharedThreadsDirty = false;
+
 /**
  * Generate a unique ID for threads and messages
  * @returns {string} Unique identifier
@@ -40,6 +51,8 @@ export function getTimestamp() {
 
 /**
  * Ensure scratch pad data structure exists in chatMetadata
+ * Only chat threads are stored here. Character threads stay in the extension settings and are
+ * merged in when reading (getThread, getThreadsForCurrentBranch), so they are never saved into a chat.
  * @returns {Object} The scratch pad data object
  */
 export function ensureScratchPadExists() {
@@ -52,7 +65,8 @@ export function ensureScratchPadExists() {
     if (!chatMetadata[MODULE_NAME]) {
         chatMetadata[MODULE_NAME] = {
             settings: {},
-            threads: []
+            threads: [],
+            trash: []
         };
     }
 
@@ -77,8 +91,14 @@ export function getScratchPadData() {
  * Save the current chat metadata to server
  */
 export async function saveMetadata() {
-    const { saveMetadata: saveMeta } = SillyTavern.getContext();
+    const { saveMetadata: saveMeta, saveSettingsDebounced } = SillyTavern.getContext();
     await saveMeta();
+
+    // Library and character threads live in extension settings, not chat metadata
+    if (sharedThreadsDirty) {
+        sharedThreadsDirty = false;
+        saveSettingsDebounced();
+    }
 }
 
 /**
@@ -97,7 +117,29 @@ export function getThreads() {
  */
 export function getThread(threadId) {
     const threads = getThreads();
-    return threads.find(t => t.id === threadId) || null;
+    return threads.find(t => t.id === threadId) || getCharacterThread(threadId) || getLibraryThread(threadId);
+}
+
+/**
+ * Get a thread that is about to be modified
+ * Library and character threads are marked so the next saveMetadata() also saves the extension settings.
+ * @param {string} threadId Thread ID
+ * @returns {Object|null} Thread object or null
+ */
+function getThreadForUpdate(threadId) {
+    const thread = getThread(threadId);
+    if (isSharedThread(thread)) {
+        sharedThreadsDirty = true;
+    }
+    return thread;
+}
+
+/**
+ * Mark a thread as modified after changing its messages directly
+ * @param {string} threadId Thread ID
+ */
+export function markThreadModified(threadId) {
+    getThreadForUpdate(threadId);
 }
 
 /**
@@ -167,7 +209,7 @@ export function createThread(name = 'New Thread', contextSettings = null) {
  * @returns {Object|null} Updated thread or null
  */
 export function updateThread(threadId, updates) {
-    const thread = getThread(threadId);
+    const thread = getThreadForUpdate(threadId);
     if (!thread) return null;
 
     Object.assign(thread, updates, { updatedAt: getTimestamp() });
@@ -175,33 +217,253 @@ export function updateThread(threadId, updates) {
 }
 
 /**
- * Delete a thread
+ * Delete a thread (moving it to the trash)
+ * Library and character threads go to the shared trash in the extension settings.
  * @param {string} threadId Thread ID
- * @returns {boolean} Success status
+ * @returns {Object|boolean} Trash entry, or false if not found
  */
 export function deleteThread(threadId) {
     const data = getScratchPadData();
     if (!data) return false;
 
     const index = data.threads.findIndex(t => t.id === threadId);
-    if (index === -1) return false;
+    if (index === -1) return deleteCharacterThread(threadId) || deleteLibraryThread(threadId);
 
-    data.threads.splice(index, 1);
-    return true;
+    const [thread] = data.threads.splice(index, 1);
+    return moveToTrash({ type: 'thread', thread, index });
 }
 
 /**
- * Clear all threads
- * @returns {boolean} Success status
+ * Clear all threads (moving them to the trash)
+ * @returns {Array|boolean} Trash entries, or false if no chat is active
  */
 export function clearAllThreads() {
     const data = getScratchPadData();
     if (!data) return false;
 
+    const entries = data.threads.map((thread, index) => moveToTrash({ type: 'thread', thread, index }));
     data.threads = [];
+    return entries;
+}
+
+/**
+ * Get the trash bin of the current chat (newest first)
+ * @returns {Array} Trash entries
+ */
+function getChatTrash() {
+    const data = ensureScratchPadExists();
+    if (!data) return [];
+
+    if (!Array.isArray(data.trash)) {
+        data.trash = [];
+    }
+    return data.trash;
+}
+
+/**
+ * Get the trash bin of library and character threads, kept in the extension settings (newest first)
+ * @returns {Array} Trash entries
+ */
+function getSharedTrash() {
+    const { extensionSettings } = SillyTavern.getContext();
+    if (!extensionSettings) return [];
+
+    if (!extensionSettings[MODULE_NAME]) {
+        extensionSettings[MODULE_NAME] = {};
+    }
+    if (!Array.isArray(extensionSettings[MODULE_NAME].trash)) {
+        extensionSettings[MODULE_NAME].trash = [];
+    }
+    return extensionSettings[MODULE_NAME].trash;
+}
+
+/**
+ * Get the avatar of the character a shared thread belongs to
+ * @param {Object} thread Thread object
+ * @returns {string|null} Avatar filename, or null for threads visible from every chat
+ */
+function getThreadOwnerAvatar(thread) {
+    return thread?.character?.avatar || thread?.library?.characterAvatar || null;
+}
+
+/**
+ * Check whether a shared trash entry is visible from the current chat, like the thread it came from
+ * @param {Object} entry Trash entry
+ * @returns {boolean} True if visible
+ */
+function isSharedTrashEntryVisible(entry) {
+    const owner = entry.type === 'thread' ? getThreadOwnerAvatar(entry.thread) : entry.characterAvatar;
+    return !owner || owner === getCurrentCharacterAvatar();
+}
+
+/**
+ * Get the trash visible from the current chat: its own deleted threads and messages,
+ * and those of the library and character threads it can open (newest first)
+ * @returns {Array} Trash entries
+ */
+export function getTrash() {
+    const shared = getSharedTrash().filter(isSharedTrashEntryVisible);
+    return [...getChatTrash(), ...shared].sort((a, b) => (Date.parse(b.deletedAt) || 0) - (Date.parse(a.deletedAt) || 0));
+}
+
+/**
+ * Add a deleted thread or message to the trash
+ * @param {Object} entry { type: 'thread', thread, index } or { type: 'message', threadId, threadName, message, index }
+ * @param {boolean} [shared=false] Whether the thread is a library or character thread
+ * @returns {Object} The stored trash entry
+ */
+function moveToTrash(entry, shared = false) {
+    const stored = { id: generateId(), deletedAt: getTimestamp(), ...entry };
+    if (shared) {
+        getSharedTrash().unshift(stored);
+        sharedThreadsDirty = true;
+    } else {
+        getChatTrash().unshift(stored);
+    }
+    return stored;
+}
+
+/**
+ * Find a trash entry in the chat or shared trash
+ * @param {string} entryId Trash entry ID
+ * @returns {{trash: Array, index: number, shared: boolean}|null} Containing trash and position, or null
+ */
+function findTrashEntry(entryId) {
+    const chatTrash = getChatTrash();
+    const chatIndex = chatTrash.findIndex(e => e.id === entryId);
+    if (chatIndex !== -1) return { trash: chatTrash, index: chatIndex, shared: false };
+
+    const sharedTrash = getSharedTrash();
+    const sharedIndex = sharedTrash.findIndex(e => e.id === entryId);
+    if (sharedIndex !== -1) return { trash: sharedTrash, index: sharedIndex, shared: true };
+
+    return null;
+}
+
+/**
+ * Get the list a trashed thread is restored into
+ * @param {Object} thread Trashed thread
+ * @returns {Array|null} Chat threads, the library, or the character's threads
+ */
+function getThreadStoreFor(thread) {
+    if (thread.character?.avatar) {
+        const store = getCharacterThreadStore();
+        if (!Array.isArray(store[thread.character.avatar])) {
+            store[thread.character.avatar] = [];
+        }
+        return store[thread.character.avatar];
+    }
+    if (thread.library) {
+        return getLibrary();
+    }
+    return ensureScratchPadExists()?.threads || null;
+}
+
+/**
+ * Restore a trashed thread or message to its original position
+ * @param {string} entryId Trash entry ID
+ * @returns {Object} { success, error }
+ */
+export function restoreFromTrash(entryId) {
+    const found = findTrashEntry(entryId);
+    if (!found) {
+        return { success: false, error: 'Item is no longer in the trash' };
+    }
+
+    const entry = found.trash[found.index];
+    if (entry.type === 'thread') {
+        const threads = getThreadStoreFor(entry.thread);
+        if (!threads) {
+            return { success: false, error: 'No active chat' };
+        }
+        if (getThread(entry.thread.id)) {
+            entry.thread.id = generateId();
+        }
+        threads.splice(Math.min(entry.index ?? 0, threads.length), 0, entry.thread);
+    } else {
+        const thread = getThreadForUpdate(entry.threadId);
+        if (!thread) {
+            return { success: false, error: `Thread "${entry.threadName || 'Unknown'}" no longer exists` };
+        }
+        thread.messages.splice(Math.min(entry.index ?? thread.messages.length, thread.messages.length), 0, entry.message);
+        thread.updatedAt = getTimestamp();
+    }
+
+    found.trash.splice(found.index, 1);
+    if (found.shared) {
+        sharedThreadsDirty = true;
+    }
+    return { success: true, error: null };
+}
+
+/**
+ * Permanently delete a trash entry
+ * @param {string} entryId Trash entry ID
+ * @returns {boolean} Success status
+ */
+export function purgeTrashEntry(entryId) {
+    const found = findTrashEntry(entryId);
+    if (!found) return false;
+
+    found.trash.splice(found.index, 1);
+    if (found.shared) {
+        sharedThreadsDirty = true;
+    }
     return true;
 }
 
+/**
+ * Permanently delete everything in the trash visible from the current chat
+ * @returns {number} Number of purged entries
+ */
+export function emptyTrash() {
+    const data = getScratchPadData();
+    let count = 0;
+    if (data && Array.isArray(data.trash)) {
+        count += data.trash.length;
+        data.trash = [];
+    }
+
+    const sharedTrash = getSharedTrash();
+    const kept = sharedTrash.filter(e => !isSharedTrashEntryVisible(e));
+    if (kept.length < sharedTrash.length) {
+        count += sharedTrash.length - kept.length;
+        sharedTrash.splice(0, sharedTrash.length, ...kept);
+        sharedThreadsDirty = true;
+    }
+    return count;
+}
+
+/**
+ * Permanently delete trash entries older than the retention period, in the chat and shared trash
+ * @param {number} retentionDays Days to keep deleted items (0 keeps them forever)
+ * @param {number} [now=Date.now()] Current time in ms
+ * @returns {number} Number of purged entries
+ */
+export function purgeExpiredTrash(retentionDays, now = Date.now()) {
+    if (!(retentionDays > 0)) return 0;
+
+    const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+    const isExpired = (e) => Date.parse(e.deletedAt) < cutoff;
+    let purged = 0;
+
+    const data = getScratchPadData();
+    if (data && Array.isArray(data.trash)) {
+        const kept = data.trash.filter(e => !isExpired(e));
+        purged += data.trash.length - kept.length;
+        data.trash = kept;
+    }
+
+    const sharedTrash = getSharedTrash();
+    const sharedKept = sharedTrash.filter(e => !isExpired(e));
+    if (sharedKept.length < sharedTrash.length) {
+        purged += sharedTrash.length - sharedKept.length;
+        sharedTrash.splice(0, sharedTrash.length, ...sharedKept);
+        sharedThreadsDirty = true;
+    }
+    return purged;
+}
+
 /**
  * Add a message to a thread
  * @param {string} threadId Thread ID
@@ -212,12 +474,14 @@ export function clearAllThreads() {
  * @returns {Object|null} Created message or null
  */
 export function addMessage(threadId, role, content, status = 'complete', chatMessageIndex = null) {
-    const thread = getThread(threadId);
+    const thread = getThreadForUpdate(threadId);
     if (!thread) return null;
 
-    // Capture current chat length if not provided
-    let messageIndex = chatMessageIndex;
-    if (messageIndex === null) {
+    // Capture current chat length if not provided.
+    // Library and character threads are shared across chats, so their messages are never branch-bound.
+    const shared = isSharedThread(thread);
+    let messageIndex = shared ? null : chatMessageIndex;
+    if (messageIndex === null && !shared) {
         const { chat } = SillyTavern.getContext();
         messageIndex = chat ? chat.length : null;
     }
@@ -250,7 +514,7 @@ export function addMessage(threadId, role, content, status = 'complete', chatMes
  * @returns {Object|null} Updated message or null
  */
 export function updateMessage(threadId, messageId, updates) {
-    const thread = getThread(threadId);
+    const thread = getThreadForUpdate(threadId);
     if (!thread) return null;
 
     const message = thread.messages.find(m => m.id === messageId);
@@ -276,24 +540,303 @@ export function getMessage(threadId, messageId) {
 }
 
 /**
- * Delete a message from a thread
+ * Edit a message's content, keeping the previous content in its editHistory
+ * For assistant messages the active swipe is edited.
  * @param {string} threadId Thread ID
  * @param {string} messageId Message ID
- * @returns {boolean} Success status
+ * @param {string} content New content
+ * @returns {Object|null} Updated message or null
+ */
+export function editMessage(threadId, messageId, content) {
+    const message = getMessage(threadId, messageId);
+    if (!message) return null;
+    if (message.content === content) return message;
+
+    const entry = { content: message.content, editedAt: getTimestamp() };
+    const editHistory = [...(Array.isArray(message.editHistory) ? message.editHistory : []), entry];
+
+    if (message.role === 'assistant') {
+        ensureSwipeFields(message);
+        entry.swipeId = message.swipeId;
+        message.swipes[message.swipeId] = content;
+        syncSwipeToMessage(message);
+        return updateMessage(threadId, messageId, { editHistory });
+    }
+
+    return updateMessage(threadId, messageId, { content, editHistory });
+}
+
+/**
+ * Delete a message from a thread (moving it to the trash)
+ * @param {string} threadId Thread ID
+ * @param {string} messageId Message ID
+ * @returns {Object|boolean} Trash entry, or false if not found
  */
 export function deleteMessage(threadId, messageId) {
-    const thread = getThread(threadId);
+    const thread = getThreadForUpdate(threadId);
     if (!thread) return false;
 
     const index = thread.messages.findIndex(m => m.id === messageId);
     if (index === -1) return false;
 
-    thread.messages.splice(index, 1);
+    const [message] = thread.messages.splice(index, 1);
     thread.updatedAt = getTimestamp();
 
+    if (isSharedThread(thread)) {
+        const characterAvatar = getThreadOwnerAvatar(thread);
+        return moveToTrash({ type: 'message', threadId, threadName: thread.name, message, index, characterAvatar }, true);
+    }
+    return moveToTrash({ type: 'message', threadId, threadName: thread.name, message, index });
+}
+
+/**
+ * Delete several messages from a thread (moving them to the trash)
+ * @param {string} threadId Thread ID
+ * @param {string[]} messageIds Message IDs
+ * @returns {Array} Trash entries, in deletion order
+ */
+export function deleteMessages(threadId, messageIds) {
+    const entries = [];
+    for (const id of messageIds) {
+        const entry = deleteMessage(threadId, id);
+        if (entry) {
+            entries.push(entry);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Restore messages removed by deleteMessages to their original positions
+ * @param {Array} entries Trash entries returned by deleteMessages
+ */
+export function restoreDeletedMessages(entries) {
+    // Restore in reverse so each message returns to its original position
+    for (const entry of [...entries].reverse()) {
+        restoreFromTrash(entry.id);
+    }
+}
+
+/**
+ * Get the IDs of a question/answer pair containing a message
+ * @param {string} threadId Thread ID
+ * @param {string} messageId User or assistant message ID
+ * @returns {string[]} [userId, assistantId], or an empty array if the message is not part of a pair
+ */
+export function getMessagePairIds(threadId, messageId) {
+    const thread = getThread(threadId);
+    if (!thread) return [];
+
+    const index = thread.messages.findIndex(m => m.id === messageId);
+    const message = thread.messages[index];
+    if (!message) return [];
+
+    if (message.role === 'user') {
+        const next = thread.messages[index + 1];
+        return next?.role === 'assistant' ? [message.id, next.id] : [];
+    }
+
+    const previous = thread.messages[index - 1];
+    return previous?.role === 'user' ? [previous.id, message.id] : [];
+}
+
+/**
+ * Per-swipe fields on assistant messages, dropped when forking with the active swipe only
+ */
+const SWIPE_FIELDS = ['swipes', 'swipeId', 'swipeThinking', 'swipeReasoningMeta', 'swipeTimestamps', 'swipeGenStarted', 'swipeGenFinished', 'swipePromptFingerprints'];
+
+/**
+ * Fork a thread into a new chat thread containing copies of the messages the current chat branch shows, up to and including one message
+ * @param {string} threadId Source thread ID
+ * @param {string} messageId Last message to copy
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSwipes=false] Copy every swipe instead of only the active one
+ * @returns {Object|null} The new thread or null
+ */
+export function forkThread(threadId, messageId, { includeSwipes = false } = {}) {
+    // Messages the current chat branch hides are not part of the conversation being forked
+    const source = getThreadForCurrentBranch(threadId);
+    if (!source) return null;
+
+    const index = source.messages.findIndex(m => m.id === messageId);
+    if (index === -1) return null;
+
+    const thread = createThread(`${source.name} (fork)`, source.contextSettings);
+    if (!thread) return null;
+
+    for (const original of source.messages.slice(0, index + 1)) {
+        if (original.status === 'pending') continue;
+
+        const message = structuredClone(original);
+        message.id = generateId();
+        if (message.role === 'assistant' && !includeSwipes) {
+            // Top-level fields already mirror the active swipe
+            for (const field of SWIPE_FIELDS) {
+                delete message[field];
+            }
+        }
+        thread.messages.push(message);
+    }
+
+    if (thread.contextSettings) {
+        delete thread.contextSettings.useCurrentChatHistory;
+    }
+    if (source.tags?.length) {
+        thread.tags = [...source.tags];
+    }
+    if (source.folder) {
+        thread.folder = source.folder;
+    }
+    thread.titled = true;
+    thread.forkedFrom = { threadId, messageId };
+    return thread;
+}
+
+/**
+ * Clean up a tag or folder name: collapse whitespace and drop characters the search operators use
+ * @param {string} value Raw name
+ * @returns {string} Cleaned name (may be empty)
+ */
+function cleanLabel(value) {
+    return String(value ?? '').replace(/"/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a tag list: cleaned, non-empty and unique (case-insensitive), keeping the first spelling
+ * @param {string[]|string} tags Tags, or a comma-separated string
+ * @returns {string[]} Normalized tags
+ */
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+    const seen = new Set();
+    const result = [];
+
+    for (const raw of list) {
+        const tag = cleanLabel(raw).replace(/,/g, '');
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) continue;
+        seen.add(key);
+        result.push(tag);
+    }
+
+    return result;
+}
+
+/**
+ * Set the tags of a thread
+ * Organizing a thread does not change its updatedAt time.
+ * @param {string} threadId Thread ID
+ * @param {string[]|string} tags Tags, or a comma-separated string
+ * @returns {string[]|null} Stored tags or null if the thread was not found
+ */
+export function setThreadTags(threadId, tags) {
+    const thread = getThreadForUpdate(threadId);
+    if (!thread) return null;
+
+    const normalized = normalizeTags(tags);
+    if (normalized.length > 0) {
+        thread.tags = normalized;
+    } else {
+        delete thread.tags;
+    }
+    return normalized;
+}
+
+/**
+ * Move a thread into a folder
+ * @param {string} threadId Thread ID
+ * @param {string|null} folder Folder name, or empty/null to remove it from its folder
+ * @returns {string|null|false} Stored folder name, null if unfiled, false if the thread was not found
+ */
+export function setThreadFolder(threadId, folder) {
+    const thread = getThreadForUpdate(threadId);
+    if (!thread) return false;
+
+    const name = cleanLabel(folder);
+    if (name) {
+        thread.folder = name;
+    } else {
+        delete thread.folder;
+    }
+    return name || null;
+}
+
+/**
+ * Pin or unpin a thread. Pinned threads are listed first; pinning an archived thread unarchives it.
+ * @param {string} threadId Thread ID
+ * @param {boolean} pinned Whether the thread is pinned
+ * @returns {boolean} Success status
+ */
+export function setThreadPinned(threadId, pinned) {
+    const thread = getThreadForUpdate(threadId);
+    if (!thread) return false;
+
+    if (pinned) {
+        thread.pinned = true;
+        delete thread.archived;
+    } else {
+        delete thread.pinned;
+    }
     return true;
 }
 
+/**
+ * Archive or unarchive a thread. Archiving a pinned thread unpins it.
+ * @param {string} threadId Thread ID
+ * @param {boolean} archived Whether the thread is archived
+ * @returns {boolean} Success status
+ */
+export function setThreadArchived(threadId, archived) {
+    const thread = getThreadForUpdate(threadId);
+    if (!thread) return false;
+
+    if (archived) {
+        thread.archived = true;
+        delete thread.pinned;
+    } else {
+        delete thread.archived;
+    }
+    return true;
+}
+
+/**
+ * Store a custom (drag and drop) order for threads
+ * @param {string[]} threadIds Thread IDs in their new order
+ */
+export function reorderThreads(threadIds) {
+    threadIds.forEach((threadId, index) => {
+        const thread = getThreadForUpdate(threadId);
+        if (thread) {
+            thread.sortOrder = index;
+        }
+    });
+}
+
+/**
+ * Sort orders available in the thread list
+ */
+export const THREAD_SORT_ORDERS = ['updated', 'created', 'name', 'messages', 'custom'];
+
+const THREAD_COMPARATORS = {
+    updated: (a, b) => (Date.parse(b.updatedAt) || 0) - (Date.parse(a.updatedAt) || 0),
+    created: (a, b) => (Date.parse(b.createdAt) || 0) - (Date.parse(a.createdAt) || 0),
+    name: (a, b) => (a.name || '').localeCompare(b.name || ''),
+    messages: (a, b) => (b.messages?.length || 0) - (a.messages?.length || 0),
+    // Threads that were never reordered (e.g. new ones) come first, in stored order
+    custom: (a, b) => (a.sortOrder ?? -1) - (b.sortOrder ?? -1)
+};
+
+/**
+ * Sort threads for display, with pinned threads first
+ * @param {Array} threads Threads to sort (not modified)
+ * @param {string} [order='updated'] One of THREAD_SORT_ORDERS
+ * @returns {Array} Sorted copy
+ */
+export function sortThreads(threads, order = 'updated') {
+    const compare = THREAD_COMPARATORS[order] || THREAD_COMPARATORS.updated;
+    return [...threads].sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || compare(a, b));
+}
+
 /**
  * Get context settings for a thread
  * Returns the thread's settings merged with defaults for any missing values
@@ -315,7 +858,7 @@ export function getThreadContextSettings(threadId) {
  * @returns {Object|null} Updated settings or null if thread not found
  */
 export function updateThreadContextSettings(threadId, updates) {
-    const thread = getThread(threadId);
+    const thread = getThreadForUpdate(threadId);
     if (!thread) return null;
 
     if (!thread.contextSettings) {
@@ -419,6 +962,16 @@ export function ensureSwipeFields(message) {
         message.swipeGenFinished = message.swipeGenFinished.slice(0, message.swipes.length);
     }
 
+    if (!Array.isArray(message.swipePromptFingerprints)) {
+        message.swipePromptFingerprints = message.swipes.map(() => message.promptFingerprint || null);
+    }
+    while (message.swipePromptFingerprints.length < message.swipes.length) {
+        message.swipePromptFingerprints.push(null);
+    }
+    if (message.swipePromptFingerprints.length > message.swipes.length) {
+        message.swipePromptFingerprints = message.swipePromptFingerprints.slice(0, message.swipes.length);
+    }
+
     if (!Number.isInteger(message.swipeId)) {
         message.swipeId = 0;
     }
@@ -468,6 +1021,9 @@ export function syncSwipeToMessage(message) {
     message.timestamp = message.swipeTimestamps?.[idx] ?? message.timestamp;
     message.gen_started = message.swipeGenStarted?.[idx] ?? message.gen_started ?? null;
     message.gen_finished = message.swipeGenFinished?.[idx] ?? message.gen_finished ?? null;
+    message.promptFingerprint = Array.isArray(message.swipePromptFingerprints)
+        ? message.swipePromptFingerprints[idx] ?? null
+        : message.promptFingerprint ?? null;
 }
 
 /**
@@ -493,11 +1049,12 @@ export function addSwipe(threadId, messageId, content, thinking = null, timestam
     message.swipeTimestamps.push(ts);
     message.swipeGenStarted.push(null);
     message.swipeGenFinished.push(null);
+    message.swipePromptFingerprints.push(null);
     message.swipeId = message.swipes.length - 1;
 
     syncSwipeToMessage(message);
 
-    const thread = getThread(threadId);
+    const thread = getThreadForUpdate(threadId);
     if (thread) thread.updatedAt = getTimestamp();
 
     return message;
@@ -521,6 +1078,7 @@ export function setActiveSwipe(threadId, messageId, index) {
 
     message.swipeId = index;
     syncSwipeToMessage(message);
+    markThreadModified(threadId);
 
     return message;
 }
@@ -552,6 +1110,9 @@ export function deleteSwipe(threadId, messageId, index) {
     if (Array.isArray(message.swipeGenFinished)) {
         message.swipeGenFinished.splice(index, 1);
     }
+    if (Array.isArray(message.swipePromptFingerprints)) {
+        message.swipePromptFingerprints.splice(index, 1);
+    }
     message.swipeTimestamps.splice(index, 1);
 
     if (message.swipes.length === 0) {
@@ -570,7 +1131,7 @@ export function deleteSwipe(threadId, messageId, index) {
 
     syncSwipeToMessage(message);
 
-    const thread = getThread(threadId);
+    const thread = getThreadForUpdate(threadId);
     if (thread) thread.updatedAt = getTimestamp();
 
     return message;
@@ -584,9 +1145,12 @@ export function getThreadsForCurrentBranch() {
     const threads = getThreads();
     const currentLength = getCurrentChatLength();
 
-    if (currentLength === null) return threads;
+    // Character threads are shared across chats and have no branch indices
+    const characterThreads = getCharacterThreads().map(thread => ({ ...thread, branchedMessages: [] }));
+
+    if (currentLength === null) return [...threads, ...characterThreads];
 
-    return threads.map(thread => {
+    const chatThreads = threads.map(thread => {
         const filteredMessages = [];
         const branchedMessages = [];
         for (const msg of thread.messages) {
@@ -600,4 +1164,469 @@ export function getThreadsForCurrentBranch() {
         }
         return { ...thread, messages: filteredMessages, branchedMessages };
     });
+
+    return [...chatThreads, ...characterThreads];
+}
+
+/**
+ * Identifier written into exported thread bundles
+ */
+export const THREAD_BUNDLE_FORMAT = 'sillytavern-scratchpad-threads';
+
+/**
+ * Current schema version for exported thread bundles.
+ * Bump when the bundle layout changes and add a migration in importThreads.
+ */
+export const THREAD_BUNDLE_VERSION = 1;
+
+/**
+ * Serialize threads into a versioned JSON bundle
+ * Threads are deep-copied with all swipe, reasoning, context and branch data intact.
+ * @param {string[]|null} [threadIds=null] IDs of threads to export, or null for all threads
+ * @returns {Object} Thread bundle
+ */
+export function exportThreads(threadIds = null) {
+    const context = SillyTavern.getContext();
+    const threads = getThreads();
+    const selected = Array.isArray(threadIds)
+        ? threads.filter(t => threadIds.includes(t.id))
+        : threads;
+
+    return {
+        format: THREAD_BUNDLE_FORMAT,
+        version: THREAD_BUNDLE_VERSION,
+        exportedAt: getTimestamp(),
+        source: {
+            chatId: context.getCurrentChatId?.() || null,
+            chatLength: getCurrentChatLength(),
+        },
+        threads: structuredClone(selected),
+    };
+}
+
+/**
+ * Validate a thread bundle before import
+ * @param {*} bundle Parsed bundle
+ * @returns {Object} { valid, error }
+ */
+export function validateThreadBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+        return { valid: false, error: 'Not a Scratch Pad export file' };
+    }
+    if (bundle.format !== THREAD_BUNDLE_FORMAT) {
+        return { valid: false, error: 'Not a Scratch Pad export file' };
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+        return { valid: false, error: 'Missing or invalid bundle version' };
+    }
+    if (bundle.version > THREAD_BUNDLE_VERSION) {
+        return { valid: false, error: `Bundle version ${bundle.version} is newer than supported (${THREAD_BUNDLE_VERSION})` };
+    }
+    if (!Array.isArray(bundle.threads)) {
+        return { valid: false, error: 'Bundle contains no thread list' };
+    }
+
+    for (const [index, thread] of bundle.threads.entries()) {
+        if (!thread || typeof thread !== 'object') {
+            return { valid: false, error: `Thread ${index + 1} is not an object` };
+        }
+        if (typeof thread.name !== 'string' || !Array.isArray(thread.messages)) {
+            return { valid: false, error: `Thread ${index + 1} is missing a name or messages` };
+        }
+        for (const message of thread.messages) {
+            if (!message || (message.role !== 'user' && message.role !== 'assistant') || typeof message.content !== 'string') {
+                return { valid: false, error: `Thread "${thread.name}" contains an invalid message` };
+            }
+        }
+    }
+
+    return { valid: true, error: null };
+}
+
+/**
+ * Import threads from a bundle into the current chat
+ * Colliding thread and message IDs are regenerated. When the bundle comes from
+ * a different chat, chatMessageIndex values past the current chat length are
+ * clamped so imported messages are not hidden as belonging to another branch.
+ * @param {Object} bundle Thread bundle (see exportThreads)
+ * @param {Object} [options]
+ * @param {'merge'|'replace'} [options.mode='merge'] Merge with or replace existing threads (replaced threads go to the trash)
+ * @returns {Object} { success, imported, error }
+ */
+export function importThreads(bundle, { mode = 'merge' } = {}) {
+    const validation = validateThreadBundle(bundle);
+    if (!validation.valid) {
+        return { success: false, imported: 0, error: validation.error };
+    }
+
+    const data = ensureScratchPadExists();
+    if (!data) {
+        return { success: false, imported: 0, error: 'No active chat' };
+    }
+
+    const context = SillyTavern.getContext();
+    const currentLength = getCurrentChatLength();
+    const sameChat = !!bundle.source?.chatId && bundle.source.chatId === (context.getCurrentChatId?.() || null);
+
+    if (mode === 'replace') {
+        clearAllThreads();
+    }
+    const existing = data.threads;
+    const usedThreadIds = new Set(existing.map(t => t.id));
+    const imported = [];
+
+    for (const source of bundle.threads) {
+        const thread = structuredClone(source);
+
+        if (!thread.id || usedThreadIds.has(thread.id)) {
+            thread.id = generateId();
+        }
+        usedThreadIds.add(thread.id);
+
+        const usedMessageIds = new Set();
+        for (const message of thread.messages) {
+            if (!message.id || usedMessageIds.has(message.id)) {
+                message.id = generateId();
+            }
+            usedMessageIds.add(message.id);
+
+            if (!sameChat && currentLength !== null && Number.isInteger(message.chatMessageIndex) && message.chatMessageIndex > currentLength) {
+                message.chatMessageIndex = currentLength;
+            }
+            if (message.role === 'assistant' && Array.isArray(message.swipes)) {
+                ensureSwipeFields(message);
+            }
+        }
+
+        thread.createdAt = thread.createdAt || getTimestamp();
+        thread.updatedAt = thread.updatedAt || thread.createdAt;
+        thread.contextSettings = thread.contextSettings ? { ...thread.contextSettings } : null;
+        thread.titled = thread.titled ?? true;
+
+        imported.push(thread);
+    }
+
+    data.threads = [...imported, ...existing];
+    return { success: true, imported: imported.length, error: null };
+}
+
+/**
+ * Get the global thread library from extension settings
+ * Library threads are shared across all chats and persisted with the extension settings.
+ * @returns {Array} Array of library threads
+ */
+export function getLibrary() {
+    const { extensionSettings } = SillyTavern.getContext();
+    if (!extensionSettings) return [];
+
+    if (!extensionSettings[MODULE_NAME]) {
+        extensionSettings[MODULE_NAME] = {};
+    }
+    if (!Array.isArray(extensionSettings[MODULE_NAME].library)) {
+        extensionSettings[MODULE_NAME].library = [];
+    }
+
+    return extensionSettings[MODULE_NAME].library;
+}
+
+/**
+ * Get a library thread by ID
+ * @param {string} threadId Thread ID
+ * @returns {Object|null} Thread object or null
+ */
+export function getLibraryThread(threadId) {
+    return getLibrary().find(t => t.id === threadId) || null;
+}
+
+/**
+ * Get the avatar filename of the current character (null in group chats or without a character)
+ * @returns {string|null} Avatar filename
+ */
+export function getCurrentCharacterAvatar() {
+    const { characters, characterId, groupId } = SillyTavern.getContext();
+    if (groupId || characterId === undefined || characterId === null) return null;
+    return characters?.[characterId]?.avatar || null;
+}
+
+/**
+ * Get library threads visible from the current chat
+ * Unscoped threads are always visible; character-scoped threads only with that character.
+ * @param {string|null} [characterAvatar] Avatar to filter by (defaults to the current character)
+ * @returns {Array} Array of library threads
+ */
+export function getLibraryThreadsForCharacter(characterAvatar = getCurrentCharacterAvatar()) {
+    return getLibrary().filter(t => !t.library?.characterAvatar || t.library.characterAvatar === characterAvatar);
+}
+
+/**
+ * Move a chat thread into the global library
+ * Message branch indices are cleared because they only make sense in the source chat.
+ * @param {string} threadId Thread ID
+ * @param {Object} [options]
+ * @param {string|null} [options.characterAvatar=null] Scope the thread to a character avatar
+ * @returns {Object|null} The promoted thread or null
+ */
+export function promoteThreadToLibrary(threadId, { characterAvatar = null } = {}) {
+    const data = getScratchPadData();
+    if (!data) return null;
+
+    const index = data.threads.findIndex(t => t.id === threadId);
+    if (index === -1) return null;
+
+    const { characters, getCurrentChatId } = SillyTavern.getContext();
+    const [thread] = data.threads.splice(index, 1);
+    const scopedCharacter = characterAvatar ? characters?.find(c => c.avatar === characterAvatar) : null;
+
+    for (const message of thread.messages) {
+        message.chatMessageIndex = null;
+    }
+
+    thread.library = {
+        characterAvatar: characterAvatar || null,
+        characterName: scopedCharacter?.name || null,
+        sourceChatId: getCurrentChatId?.() || null,
+        promotedAt: getTimestamp()
+    };
+
+    getLibrary().unshift(thread);
+    sharedThreadsDirty = true;
+    return thread;
+}
+
+/**
+ * Delete a thread from the library (moving it to the shared trash)
+ * @param {string} threadId Thread ID
+ * @returns {Object|boolean} Trash entry, or false if not found
+ */
+export function deleteLibraryThread(threadId) {
+    const library = getLibrary();
+    const index = library.findIndex(t => t.id === threadId);
+    if (index === -1) return false;
+
+    const [thread] = library.splice(index, 1);
+    sharedThreadsDirty = true;
+    return moveToTrash({ type: 'thread', thread, index }, true);
+}
+
+/**
+ * Check whether a thread is stored outside the chat (library or character thread)
+ * @param {Object} thread Thread object
+ * @returns {boolean} True for library and character threads
+ */
+function isSharedThread(thread) {
+    return !!(thread?.library || thread?.character);
+}
+
+/**
+ * Get the character thread store from extension settings, keyed by avatar filename
+ * @returns {Object} Map of avatar to thread array
+ */
+function getCharacterThreadStore() {
+    const { extensionSettings } = SillyTavern.getContext();
+    if (!extensionSettings) return {};
+
+    if (!extensionSettings[MODULE_NAME]) {
+        extensionSettings[MODULE_NAME] = {};
+    }
+    const store = extensionSettings[MODULE_NAME].characterThreads;
+    if (!store || typeof store !== 'object' || Array.isArray(store)) {
+        extensionSettings[MODULE_NAME].characterThreads = {};
+    }
+
+    return extensionSettings[MODULE_NAME].characterThreads;
+}
+
+/**
+ * Get threads bound to a character
+ * These appear in every chat with that character.
+ * @param {string|null} [characterAvatar] Avatar filename (defaults to the current character)
+ * @returns {Array} Array of character threads
+ */
+export function getCharacterThreads(characterAvatar = getCurrentCharacterAvatar()) {
+    if (!characterAvatar) return [];
+    return getCharacterThreadStore()[characterAvatar] || [];
+}
+
+/**
+ * Get a thread bound to the current character by ID
+ * @param {string} threadId Thread ID
+ * @returns {Object|null} Thread object or null
+ */
+export function getCharacterThread(threadId) {
+    return getCharacterThreads().find(t => t.id === threadId) || null;
+}
+
+/**
+ * Move a chat thread to the current character so it appears in all of their chats
+ * @param {string} threadId Thread ID
+ * @returns {Object|null} The bound thread or null
+ */
+export function bindThreadToCharacter(threadId) {
+    const data = getScratchPadData();
+    const avatar = getCurrentCharacterAvatar();
+    if (!data || !avatar) return null;
+
+    const index = data.threads.findIndex(t => t.id === threadId);
+    if (index === -1) return null;
+
+    const { characters, characterId } = SillyTavern.getContext();
+    const [thread] = data.threads.splice(index, 1);
+
+    for (const message of thread.messages) {
+        message.chatMessageIndex = null;
+    }
+
+    thread.character = {
+        avatar,
+        name: characters?.[characterId]?.name || null,
+        boundAt: getTimestamp()
+    };
+
+    const store = getCharacterThreadStore();
+    if (!Array.isArray(store[avatar])) {
+        store[avatar] = [];
+    }
+    store[avatar].unshift(thread);
+    sharedThreadsDirty = true;
+    return thread;
+}
+
+/**
+ * Move a character thread back into the current chat only
+ * @param {string} threadId Thread ID
+ * @returns {Object|null} The unbound thread or null
+ */
+export function unbindThreadFromCharacter(threadId) {
+    const data = ensureScratchPadExists();
+    const threads = getCharacterThreads();
+    const index = threads.findIndex(t => t.id === threadId);
+    if (!data || index === -1) return null;
+
+    const [thread] = threads.splice(index, 1);
+    delete thread.character;
+    if (thread.contextSettings) {
+        delete thread.contextSettings.useCurrentChatHistory;
+    }
+
+    data.threads.unshift(thread);
+    sharedThreadsDirty = true;
+    return thread;
+}
+
+/**
+ * Delete a thread bound to the current character (moving it to the shared trash)
+ * @param {string} threadId Thread ID
+ * @returns {Object|boolean} Trash entry, or false if not found
+ */
+export function deleteCharacterThread(threadId) {
+    const threads = getCharacterThreads();
+    const index = threads.findIndex(t => t.id === threadId);
+    if (index === -1) return false;
+
+    const [thread] = threads.splice(index, 1);
+    sharedThreadsDirty = true;
+    return moveToTrash({ type: 'thread', thread, index }, true);
+}
+
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+
+/**
+ * Feed text into a 32-bit FNV-1a hash
+ * @param {number} hash Current hash state
+ * @param {string} text Text to add
+ * @returns {number} New hash state
+ */
+function fnv1a(hash, text) {
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash;
+}
+
+/**
+ * Hash the authors and text of a range of chat messages (32-bit FNV-1a).
+ * Cached summaries store this hash so edited messages or a diverged branch invalidate them.
+ * @param {Array} messages Chat messages
+ * @returns {string} Hex hash
+ */
+export function hashChatMessages(messages) {
+    let hash = FNV_OFFSET_BASIS;
+    for (const msg of messages) {
+        hash = fnv1a(hash, `${msg?.name ?? ''}\u0000${msg?.is_user ? 1 : 0}\u0000${msg?.mes ?? ''}\u0001`);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Hash a string (32-bit FNV-1a)
+ * @param {string} text Text to hash
+ * @returns {string} Hex hash
+ */
+export function hashText(text) {
+    return (fnv1a(FNV_OFFSET_BASIS, text || '') >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Get the summary cache of the current chat
+ * Entries are keyed by message range and content hash: "start-end:hash" (0-based, inclusive).
+ * @returns {Object|null} Summary cache or null if no chat is active
+ */
+function getSummaryCache() {
+    const data = ensureScratchPadExists();
+    if (!data) return null;
+
+    if (!data.summaries || typeof data.summaries !== 'object') {
+        data.summaries = {};
+    }
+    return data.summaries;
+}
+
+/**
+ * Get a cached summary of chat messages
+ * @param {number} start First message index
+ * @param {number} end Last message index (inclusive)
+ * @param {string} hash Hash of the messages (see hashChatMessages)
+ * @returns {string|null} Summary text or null if not cached
+ */
+export function getChatSummary(start, end, hash) {
+    return getSummaryCache()?.[`${start}-${end}:${hash}`]?.summary ?? null;
+}
+
+/**
+ * Cache a summary of chat messages, replacing older summaries of the same range
+ * @param {number} start First message index
+ * @param {number} end Last message index (inclusive)
+ * @param {string} hash Hash of the messages (see hashChatMessages)
+ * @param {string} summary Summary text
+ */
+export function saveChatSummary(start, end, hash, summary) {
+    const cache = getSummaryCache();
+    if (!cache) return;
+
+    for (const key of Object.keys(cache)) {
+        if (key.startsWith(`${start}-${end}:`)) {
+            delete cache[key];
+        }
+    }
+    cache[`${start}-${end}:${hash}`] = { start, end, hash, summary, createdAt: getTimestamp() };
+}
+
+/**
+ * Drop cached summaries whose messages were edited, deleted or are missing from this branch
+ * @param {Array} chat Current chat messages
+ * @returns {number} Number of removed summaries
+ */
+export function pruneChatSummaries(chat) {
+    const cache = getScratchPadData()?.summaries;
+    if (!cache || !Array.isArray(chat)) return 0;
+
+    let removed = 0;
+    for (const [key, entry] of Object.entries(cache)) {
+        if (entry.end >= chat.length || hashChatMessages(chat.slice(entry.start, entry.end + 1)) !== entry.hash) {
+            delete cache[key];
+            removed++;
+        }
+    }
+    return removed;
 }
@@ -4,6 +4,7 @@
  */
 
 import { createReasoningMeta, REASONING_STATE, REASONING_SOURCE } from './reasoning.js';
+import { applySamplerOverrides } from './samplers.js';
 
 const GENERATE_URL = '/api/backends/chat-completions/generate';
 
@@ -114,15 +115,16 @@ export function isStreamingSupported() {
 }
 
 /**
- * Build the request body for a streaming chat-completion request.
+ * Build the request body for a chat-completion request.
  * Mirrors SillyTavern's createGenerationParameters but simplified for
  * our quiet-generation use case.
  * @param {Array} messages Chat messages array [{role, content}]
  * @param {Object} settings chatCompletionSettings (oai_settings)
  * @param {string} model Model name
+ * @param {boolean} [stream] Whether to stream the response
  * @returns {Object} Request body
  */
-function buildRequestBody(messages, settings, model) {
+function buildRequestBody(messages, settings, model, stream = true) {
     const source = settings.chat_completion_source;
 
     const body = {
@@ -134,7 +136,7 @@ function buildRequestBody(messages, settings, model) {
         presence_penalty: Number(settings.pres_pen_openai),
         top_p: Number(settings.top_p_openai),
         max_tokens: settings.openai_max_tokens,
-        stream: true,
+        stream,
         chat_completion_source: source,
         include_reasoning: Boolean(settings.show_thoughts),
         custom_prompt_post_processing: settings.custom_prompt_post_processing,
@@ -310,11 +312,12 @@ function extractTokens(data, source) {
  * @param {Object} options
  * @param {Array} options.messages Chat messages [{role, content}]
  * @param {AbortSignal} [options.signal] AbortSignal for cancellation
+ * @param {Object|null} [options.samplerOverrides] Thread sampler overrides applied on top of the main settings
  * @yields {{ text: string, reasoning: string }}
  */
-export async function* streamGeneration({ messages, signal }) {
+export async function* streamGeneration({ messages, signal, samplerOverrides = null }) {
     const context = SillyTavern.getContext();
-    const settings = context.chatCompletionSettings;
+    const settings = applySamplerOverrides(context.chatCompletionSettings, samplerOverrides);
     const model = context.getChatCompletionModel();
     const headers = context.getRequestHeaders();
     const source = settings.chat_completion_source;
@@ -396,6 +399,40 @@ export async function* streamGeneration({ messages, signal }) {
     }
 }
 
+/**
+ * Send a non-streaming chat-completion request.
+ * Used instead of sendGenerationRequest when sampler overrides apply, since that reads the
+ * samplers from SillyTavern's live settings.
+ * @param {Object} options
+ * @param {Array} options.messages Chat messages [{role, content}]
+ * @param {AbortSignal} [options.signal] AbortSignal for cancellation
+ * @param {Object|null} [options.samplerOverrides] Thread sampler overrides applied on top of the main settings
+ * @returns {Promise<Object>} Raw API response (as returned by sendGenerationRequest)
+ */
+export async function requestGeneration({ messages, signal, samplerOverrides = null }) {
+    const context = SillyTavern.getContext();
+    const settings = applySamplerOverrides(context.chatCompletionSettings, samplerOverrides);
+    const body = buildRequestBody(messages, settings, context.getChatCompletionModel(), false);
+
+    const response = await fetch(GENERATE_URL, {
+        method: 'POST',
+        headers: context.getRequestHeaders(),
+        body: JSON.stringify(body),
+        signal,
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        throw new Error(`Generation request failed (${response.status}): ${errorText.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    if (data?.error) {
+        throw new Error(data.error.message || 'Generation request failed');
+    }
+    return data;
+}
+
 /**
  * Build a streaming reasoning result from accumulated reasoning text.
  * Returns an object compatible with mergeReasoningCandidates.
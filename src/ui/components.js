@@ -164,7 +164,8 @@ export function createInput({ type = 'text', placeholder, value, className, onIn
  * Create a confirmation dialog
  * @param {string} message Confirmation message
  * @param {Object} options Dialog options
- * @returns {Promise<boolean>} User's choice
+ * @param {Array<{text: string, result: number}>} [options.customButtons] Extra buttons; clicking one resolves to its result
+ * @returns {Promise<boolean|number>} User's choice
  */
 export async function showConfirmDialog(message, options = {}) {
     const { callGenericPopup, POPUP_TYPE } = SillyTavern.getContext();
@@ -176,7 +177,8 @@ export async function showConfirmDialog(message, options = {}) {
             null,
             {
                 okButton: options.confirmText || 'Yes',
-                cancelButton: options.cancelText || 'Cancel'
+                cancelButton: options.cancelText || 'Cancel',
+                customButtons: options.customButtons
             }
         );
     }
@@ -219,6 +221,30 @@ export function showToast(message, type = 'info') {
     }
 }
 
+/**
+ * Show a toast that undoes an action when clicked
+ * @param {string} message Message to display
+ * @param {Function} onUndo Called when the toast is clicked
+ */
+export function showUndoToast(message, onUndo) {
+    if (typeof toastr === 'undefined') {
+        console.log(`[ScratchPad] success: ${message}`);
+        return;
+    }
+
+    toastr.success(`${message} Click to undo.`, '', {
+        timeOut: 8000,
+        extendedTimeOut: 4000,
+        closeButton: true,
+        onclick: () => {
+            Promise.resolve(onUndo()).catch(err => {
+                console.error('[ScratchPad] Undo failed:', err);
+                showToast('Undo failed', 'error');
+            });
+        }
+    });
+}
+
 /**
  * Debounce a function
  * @param {Function} fn Function to debounce
@@ -262,6 +288,58 @@ export function playCompletionSound() {
     }
 }
 
+/**
+ * Trigger a browser download for generated text content
+ * @param {string} content File content
+ * @param {string} filename Suggested file name
+ * @param {string} [mimeType='application/json'] MIME type
+ */
+export function downloadFile(content, filename, mimeType = 'application/json') {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Open a file picker and read the chosen file as text
+ * @param {string} [accept='.json,application/json'] Accepted file types
+ * @returns {Promise<string|null>} File contents, or null if nothing was chosen
+ */
+export function pickTextFile(accept = '.json,application/json') {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.style.display = 'none';
+        input.addEventListener('change', async () => {
+            const file = input.files?.[0];
+            input.remove();
+            if (!file) {
+                resolve(null);
+                return;
+            }
+            try {
+                resolve(await file.text());
+            } catch (err) {
+                console.error('[ScratchPad] Failed to read file:', err);
+                resolve(null);
+            }
+        });
+        input.addEventListener('cancel', () => {
+            input.remove();
+            resolve(null);
+        });
+        document.body.appendChild(input);
+        input.click();
+    });
+}
+
 /**
  * Icons used in the extension
  */
@@ -285,5 +363,21 @@ export const Icons = {
     swipe: '👈',
     chevronLeft: '\u2039',
     chevronRight: '\u203A',
-    copy: '📋'
+    copy: '📋',
+    exportFile: '⬇',
+    importFile: '⬆',
+    library: '📚',
+    character: '👤',
+    fork: '⑂',
+    select: '☑',
+    trash: '🗑',
+    restore: '↩',
+    tag: '🏷',
+    folder: '📁',
+    pinThread: '📌',
+    archive: '🗄',
+    quote: '❝',
+    inspect: '🔍',
+    continue: '⏩',
+    queue: '⏳'
 };
@@ -2,60 +2,104 @@
  * Conversation View component for Scratch Pad extension
  */
 
-import { getThread, getThreadForCurrentBranch, createThread, updateThread, updateThreadContextSettings, getThreadContextSettings, getMessage, saveMetadata, DEFAULT_CONTEXT_SETTINGS, ensureSwipeFields, setActiveSwipe, deleteSwipe, syncSwipeToMessage } from '../storage.js';
-import { generateScratchPadResponse, retryMessage, regenerateMessage, generateSwipe, parseThinking, generateThreadTitle, cancelGeneration, isGuidedGenerationsInstalled, triggerGuidedSwipe } from '../generation.js';
-import { formatTimestamp, renderMarkdown, createButton, showPromptDialog, showConfirmDialog, showToast, createSpinner, debounce, Icons, playCompletionSound } from './components.js';
+import { getThread, getThreadForCurrentBranch, createThread, forkThread, editMessage, deleteMessages, restoreDeletedMessages, getMessagePairIds, updateThread, updateThreadContextSettings, getThreadContextSettings, getMessage, saveMetadata, DEFAULT_CONTEXT_SETTINGS, ensureSwipeFields, setActiveSwipe, deleteSwipe, syncSwipeToMessage } from '../storage.js';
+import { generateScratchPadResponse, enqueueQuestion, getQueuedQuestions, removeQueuedQuestions, markThreadRead, getGroupMembers, retryMessage, regenerateMessage, generateSwipe, continueMessage, parseThinking, generateThreadTitle, cancelGeneration, isGenerationActive, isGuidedGenerationsInstalled, triggerGuidedSwipe, inspectPrompt, inspectMessagePrompt } from '../generation.js';
+import { formatTimestamp, renderMarkdown, createButton, showPromptDialog, showConfirmDialog, showToast, showUndoToast, createSpinner, debounce, Icons, playCompletionSound } from './components.js';
 import { speakText, isTTSAvailable } from '../tts.js';
-import { getSettings, getCurrentContextSettings, getConnectionProfiles } from '../settings.js';
+import { getSettings, getCurrentContextSettings, getConnectionProfiles, getPromptPreset } from '../settings.js';
+import { populatePromptPresetSelect } from './promptPresets.js';
 import { isPinnedMode, togglePinnedMode, isFullscreenMode, getConversationContainer } from './index.js';
 import { REASONING_STATE, normalizeReasoningMeta } from '../reasoning.js';
+import { showThreadExportDialog } from './threadExport.js';
+import { getWorldInfoNames } from '../worldInfo.js';
+import { showChatMessagePicker } from './messagePicker.js';
+import { linkMessageReferences, formatMessageNumber } from './messageRefs.js';
+import { showPromptInspector } from './promptInspector.js';
+import { getActiveSamplerOverrides, getMainSamplerValues } from '../samplers.js';
 
 let conversationContainer = null;
 let currentThreadId = null;
-let activeGenerationId = null;
 let pendingMessage = null;
+let pendingDraft = null;
+let newThreadContextOverrides = null;
 let cleanupFunctions = [];
 let currentViewportHandler = null;
 let currentViewportBusUnsubscribe = null;
 let lastRenderedThreadId = null;
 let lastRenderedMessageCount = -1;
 let lastRenderedMessageStatus = null;
+let selectionMode = false;
+const selectedMessageIds = new Set();
 
 /**
- * Start a new generation and return its ID
- * @returns {string} Generation ID
+ * Threads with a generation started from the conversation view, and the input placeholder shown meanwhile
+ * @type {Map<string, string>}
  */
-function startGeneration() {
-    const id = `gen-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    activeGenerationId = id;
-    return id;
-}
+const generatingThreads = new Map();
+
+/**
+ * Number inputs for per-thread sampler overrides
+ */
+const SAMPLER_INPUTS = [
+    { field: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.01 },
+    { field: 'topP', label: 'Top P', min: 0, max: 1, step: 0.01 },
+    { field: 'topK', label: 'Top K', min: 0, step: 1 },
+    { field: 'frequencyPenalty', label: 'Frequency Penalty', min: -2, max: 2, step: 0.01 },
+    { field: 'presencePenalty', label: 'Presence Penalty', min: -2, max: 2, step: 0.01 },
+    { field: 'repetitionPenalty', label: 'Repetition Penalty', min: 0, max: 3, step: 0.01 },
+    { field: 'maxTokens', label: 'Max Response Tokens', min: 1, step: 1 },
+    { field: 'seed', label: 'Seed', min: -1, step: 1 },
+];
 
 /**
- * Check if the given ID is the current active generation
- * @param {string} id Generation ID
- * @returns {boolean} True if this is the active generation
+ * Mark a thread as generating
+ * @param {string} threadId Thread ID
+ * @param {string} [placeholder] Input placeholder while the thread is generating
  */
-function isOurGeneration(id) {
-    return activeGenerationId === id;
+function startGeneration(threadId, placeholder = 'Generating...') {
+    generatingThreads.set(threadId, placeholder);
+    updateGeneratingState();
 }
 
 /**
- * End the generation if it matches the given ID
- * @param {string} id Generation ID
+ * Mark a thread's generation as finished
+ * @param {string} threadId Thread ID
  */
-function endGeneration(id) {
-    if (activeGenerationId === id) {
-        activeGenerationId = null;
-    }
+function endGeneration(threadId) {
+    generatingThreads.delete(threadId);
+    updateGeneratingState();
 }
 
 /**
- * Check if a generation is currently active
+ * Check if a thread is generating (from this view or elsewhere, e.g. the popup)
+ * @param {string|null} [threadId] Thread ID (defaults to the open thread)
  * @returns {boolean} True if generating
  */
-function isGenerating() {
-    return activeGenerationId !== null;
+function isGenerating(threadId = currentThreadId) {
+    if (!threadId) return false;
+    return generatingThreads.has(threadId) || isGenerationActive(threadId);
+}
+
+/**
+ * Show the open thread's generation state in the input area. Generations started elsewhere
+ * (a queued question or the popup) can be cancelled too, but leave the input free for queueing.
+ */
+function updateGeneratingState() {
+    const threadId = currentThreadId;
+    const generating = Boolean(threadId) && generatingThreads.has(threadId);
+    const active = generating || (Boolean(threadId) && isGenerationActive(threadId));
+    const sendBtn = document.getElementById('sp-send-btn');
+    const textarea = document.getElementById('sp-message-input');
+
+    if (sendBtn) sendBtn.disabled = generating;
+    if (textarea) {
+        textarea.disabled = generating;
+        textarea.placeholder = generating ? generatingThreads.get(threadId) : 'Ask a question...';
+    }
+    showGeneratingIndicator(active, () => {
+        cancelGeneration(threadId);
+        showToast('Generation cancelled', 'info');
+    }, generating);
 }
 
 /**
@@ -82,6 +126,10 @@ function runCleanups() {
 export function openThread(threadId, initialMessage = null) {
     currentThreadId = threadId;
     pendingMessage = initialMessage;
+    pendingDraft = null;
+    newThreadContextOverrides = null;
+    exitSelectionMode();
+    markThreadRead(threadId);
 
     const content = getConversationContainer();
     if (!content) return;
@@ -91,10 +139,16 @@ export function openThread(threadId, initialMessage = null) {
 
 /**
  * Start a new thread (empty conversation view)
+ * @param {Object} [options]
+ * @param {Object} [options.contextSettings] Context settings for the new thread, on top of the global defaults
+ * @param {string} [options.draft] Text to pre-fill the input with (not sent)
  */
-export function startNewThread() {
+export function startNewThread({ contextSettings = null, draft = null } = {}) {
     currentThreadId = null;
     pendingMessage = null;
+    pendingDraft = draft;
+    newThreadContextOverrides = contextSettings;
+    exitSelectionMode();
 
     const content = getConversationContainer();
     if (!content) return;
@@ -153,9 +207,19 @@ export function renderConversation(container, isNewThread = false) {
 
     const subtitleEl = document.createElement('span');
     subtitleEl.className = 'sp-subtitle';
-    subtitleEl.textContent = 'Out of Character';
+    if (thread?.library) {
+        subtitleEl.textContent = 'Library · Out of Character';
+    } else if (thread?.character) {
+        subtitleEl.textContent = `${thread.character.name || 'Character'} · Out of Character`;
+    } else {
+        subtitleEl.textContent = 'Out of Character';
+    }
     titleContainer.appendChild(subtitleEl);
 
+    if (thread?.forkedFrom) {
+        titleContainer.appendChild(createForkParentLink(thread.forkedFrom));
+    }
+
     header.appendChild(titleContainer);
 
     // AI Rename button (only show for existing threads with messages)
@@ -167,6 +231,22 @@ export function renderConversation(container, isNewThread = false) {
             onClick: () => handleAiRename(thread)
         });
         header.appendChild(aiRenameBtn);
+
+        const exportBtn = createButton({
+            icon: Icons.exportFile,
+            className: 'sp-header-btn sp-export-thread-btn',
+            ariaLabel: 'Export thread as Markdown or HTML',
+            onClick: () => showThreadExportDialog(getThreadForCurrentBranch(thread.id))
+        });
+        header.appendChild(exportBtn);
+
+        const selectBtn = createButton({
+            icon: Icons.select,
+            className: `sp-header-btn sp-select-btn ${selectionMode ? 'sp-select-active' : ''}`,
+            ariaLabel: selectionMode ? 'Stop selecting messages' : 'Select messages to delete',
+            onClick: () => toggleSelectionMode()
+        });
+        header.appendChild(selectBtn);
     }
 
     // Pin button
@@ -243,6 +323,10 @@ export function renderConversation(container, isNewThread = false) {
 
     container.appendChild(messagesContainer);
 
+    if (selectionMode) {
+        container.appendChild(createSelectionBar());
+    }
+
     // Input area
     const inputContainer = document.createElement('div');
     inputContainer.className = 'sp-input-container';
@@ -264,6 +348,14 @@ export function renderConversation(container, isNewThread = false) {
     });
     sendBtn.id = 'sp-send-btn';
 
+    const queueBtn = createButton({
+        icon: Icons.queue,
+        className: 'sp-queue-btn',
+        ariaLabel: 'Queue question to be answered in the background',
+        onClick: () => handleQueueMessage()
+    });
+    queueBtn.id = 'sp-queue-btn';
+
     textarea.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
@@ -280,9 +372,13 @@ export function renderConversation(container, isNewThread = false) {
     }, 50));
 
     inputWrapper.appendChild(textarea);
+    inputWrapper.appendChild(queueBtn);
     inputWrapper.appendChild(sendBtn);
+    inputContainer.appendChild(createQueueNote());
     inputContainer.appendChild(inputWrapper);
     container.appendChild(inputContainer);
+    updateGeneratingState();
+    updateQueueNote();
 
     // Scroll to bottom
     scrollToBottom();
@@ -291,6 +387,13 @@ export function renderConversation(container, isNewThread = false) {
     setTimeout(() => {
         textarea.focus();
 
+        // Pre-fill a draft without sending it
+        if (pendingDraft) {
+            textarea.value = pendingDraft;
+            textarea.setSelectionRange(pendingDraft.length, pendingDraft.length);
+            pendingDraft = null;
+        }
+
         // Handle pending message
         if (pendingMessage) {
             textarea.value = pendingMessage;
@@ -317,7 +420,7 @@ function renderContextOptions(container, thread, isNewThread) {
     // Get context settings (thread's or defaults for new)
     const contextSettings = thread?.contextSettings
         ? { ...DEFAULT_CONTEXT_SETTINGS, ...thread.contextSettings }
-        : getCurrentContextSettings();
+        : { ...getCurrentContextSettings(), ...newThreadContextOverrides };
 
     // Badges row for context summary and profile
     const badgesRow = document.createElement('div');
@@ -338,6 +441,23 @@ function renderContextOptions(container, thread, isNewThread) {
     profileBadge.style.display = contextSettings.connectionProfile ? 'inline-block' : 'none';
     badgesRow.appendChild(profileBadge);
 
+    // Preset badge showing the thread's OOC prompt preset
+    const presetBadge = document.createElement('div');
+    presetBadge.className = 'sp-profile-badge sp-preset-badge';
+    presetBadge.id = 'sp-preset-badge';
+    presetBadge.title = 'OOC prompt preset';
+    updatePresetBadge(presetBadge, contextSettings.promptPreset);
+    badgesRow.appendChild(presetBadge);
+
+    // Focus badge for threads about a single chat message
+    if (Number.isInteger(contextSettings.focusMessageIndex)) {
+        const focusBadge = document.createElement('div');
+        focusBadge.className = 'sp-focus-badge';
+        focusBadge.textContent = `About message ${formatMessageNumber(contextSettings.focusMessageIndex + 1)}`;
+        focusBadge.title = 'This thread asks about a specific chat message, sent together with the messages around it';
+        badgesRow.appendChild(focusBadge);
+    }
+
     contextSection.appendChild(badgesRow);
 
     // Collapsible details for full options
@@ -353,6 +473,8 @@ function renderContextOptions(container, thread, isNewThread) {
 
     // Generate unique IDs for this instance to avoid conflicts
     const idPrefix = 'sp_thread_';
+    // Focused threads send the messages around their message instead of the configured range
+    const rangeDisabled = Number.isInteger(contextSettings.focusMessageIndex) ? 'disabled' : '';
 
     optionsBlock.innerHTML = `
         <label for="${idPrefix}connection_profile">
@@ -365,22 +487,39 @@ function renderContextOptions(container, thread, isNewThread) {
             </select>
         </div>
 
+        <label for="${idPrefix}prompt_preset">
+            <span>Prompt Preset:</span>
+            <small>Which OOC instruction this thread uses. Manage presets in the extension settings.</small>
+        </label>
+        <div class="range-block">
+            <select id="${idPrefix}prompt_preset" class="text_pole">
+                <option value="">Default</option>
+            </select>
+        </div>
+
         <label for="${idPrefix}range_mode">
             <span>Chat history range:</span>
-            <small>Which messages to send (1-based).</small>
+            <small>${rangeDisabled
+                ? 'Not used: this thread asks about one message and sends the messages around it ("Ask about this message" surrounding messages in the extension settings).'
+                : 'Which messages to send (1-based).'}</small>
         </label>
         <div class="range-block">
-            <select id="${idPrefix}range_mode" class="text_pole">
+            <select id="${idPrefix}range_mode" class="text_pole" ${rangeDisabled}>
                 <option value="all">All messages</option>
                 <option value="start_to">From start to message #</option>
                 <option value="from_to_end">From message # to end</option>
                 <option value="between">Between message # and #</option>
+                <option value="selected">Selected messages</option>
             </select>
         </div>
-        <div id="${idPrefix}range_inputs" class="flex-container" style="display: ${contextSettings.chatHistoryRangeMode === 'all' ? 'none' : 'flex'};">
-            <input type="number" id="${idPrefix}range_start" class="text_pole" min="1" step="1" placeholder="Start #" value="${contextSettings.chatHistoryRangeStart ?? ''}">
+        <div id="${idPrefix}range_inputs" class="flex-container" style="display: ${['all', 'selected'].includes(contextSettings.chatHistoryRangeMode) ? 'none' : 'flex'};">
+            <input type="number" id="${idPrefix}range_start" class="text_pole" min="1" step="1" placeholder="Start #" value="${contextSettings.chatHistoryRangeStart ?? ''}" ${rangeDisabled}>
             <span>to</span>
-            <input type="number" id="${idPrefix}range_end" class="text_pole" min="1" step="1" placeholder="End #" value="${contextSettings.chatHistoryRangeEnd ?? ''}">
+            <input type="number" id="${idPrefix}range_end" class="text_pole" min="1" step="1" placeholder="End #" value="${contextSettings.chatHistoryRangeEnd ?? ''}" ${rangeDisabled}>
+        </div>
+        <div id="${idPrefix}selected_messages" class="flex-container" style="display: ${contextSettings.chatHistoryRangeMode === 'selected' ? 'flex' : 'none'};">
+            <button type="button" id="${idPrefix}choose_messages" class="sp-button" ${rangeDisabled}>Choose Messages...</button>
+            <small id="${idPrefix}selected_messages_count"></small>
         </div>
 
         <label class="checkbox_label" for="${idPrefix}char_card_only">
@@ -403,8 +542,54 @@ function renderContextOptions(container, thread, isNewThread) {
             <input type="checkbox" id="${idPrefix}include_authors_note" ${contextSettings.includeAuthorsNote ? 'checked' : ''}>
             <span>Include Author's Note</span>
         </label>
+
+        <label class="checkbox_label" for="${idPrefix}include_persona">
+            <input type="checkbox" id="${idPrefix}include_persona" ${contextSettings.includePersona ? 'checked' : ''}>
+            <span>Include User Persona</span>
+        </label>
+
+        <label for="${idPrefix}world_info_mode">
+            <span>World Info:</span>
+            <small>Lorebook entries to send with questions.</small>
+        </label>
+        <div class="range-block">
+            <select id="${idPrefix}world_info_mode" class="text_pole">
+                <option value="off">Off</option>
+                <option value="activated">Entries activated by the chat history</option>
+                <option value="books">All entries from chosen lorebooks</option>
+            </select>
+        </div>
+        <div id="${idPrefix}world_info_books_block" class="range-block" style="display: ${contextSettings.worldInfoMode === 'books' ? 'block' : 'none'};">
+            <select id="${idPrefix}world_info_books" class="text_pole" multiple size="4"></select>
+        </div>
     `;
 
+    if (thread?.character) {
+        optionsBlock.insertAdjacentHTML('beforeend', `
+        <label class="checkbox_label" for="${idPrefix}use_chat_history">
+            <input type="checkbox" id="${idPrefix}use_chat_history" ${contextSettings.useCurrentChatHistory !== false ? 'checked' : ''}>
+            <span>Use Current Chat's History</span>
+            <small>This thread is shared by every chat with this character. Uncheck to leave out the open chat.</small>
+        </label>
+        `);
+    }
+
+    const groupMembers = getGroupMembers();
+    if (groupMembers.length > 0) {
+        optionsBlock.appendChild(createGroupMembersBlock(groupMembers, contextSettings.groupMembers, idPrefix));
+    }
+
+    optionsBlock.appendChild(createSamplerOverridesBlock(contextSettings.samplerOverrides, idPrefix));
+
+    const previewButton = createButton({
+        icon: Icons.inspect,
+        text: 'Preview Prompt',
+        className: 'sp-button sp-preview-prompt-btn',
+        ariaLabel: 'Preview the prompt your question would be sent with',
+        onClick: () => handlePreviewPrompt(previewButton, thread?.id)
+    });
+    optionsBlock.appendChild(previewButton);
+
     details.appendChild(optionsBlock);
     contextSection.appendChild(details);
     container.appendChild(contextSection);
@@ -417,6 +602,164 @@ function renderContextOptions(container, thread, isNewThread) {
     populateThreadProfileDropdown(contextSettings.connectionProfile, idPrefix);
 }
 
+/**
+ * Create the group member checkboxes that choose whose character cards are sent
+ * @param {Array<Object>} members Group member character objects
+ * @param {string[]|null} selectedAvatars Avatars of the included members (null = all)
+ * @param {string} idPrefix ID prefix for elements
+ * @returns {HTMLElement} Group members block
+ */
+function createGroupMembersBlock(members, selectedAvatars, idPrefix) {
+    const block = document.createElement('div');
+    block.id = `${idPrefix}group_members`;
+    block.className = 'sp-group-members';
+
+    const label = document.createElement('label');
+    label.innerHTML = '<span>Group member cards:</span><small>Whose character cards to send in this group chat.</small>';
+    block.appendChild(label);
+
+    members.forEach(member => {
+        const memberLabel = document.createElement('label');
+        memberLabel.className = 'checkbox_label';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = member.avatar;
+        checkbox.checked = !Array.isArray(selectedAvatars) || selectedAvatars.includes(member.avatar);
+
+        const name = document.createElement('span');
+        name.textContent = member.name;
+
+        memberLabel.append(checkbox, name);
+        block.appendChild(memberLabel);
+    });
+
+    return block;
+}
+
+/**
+ * Create the sampler override inputs. Empty inputs use the main settings.
+ * @param {Object|null} overrides Thread sampler overrides
+ * @param {string} idPrefix ID prefix for elements
+ * @returns {HTMLElement} Collapsible sampler block
+ */
+function createSamplerOverridesBlock(overrides, idPrefix) {
+    const active = getActiveSamplerOverrides(overrides) || {};
+    const mainValues = getMainSamplerValues();
+
+    const details = document.createElement('details');
+    details.id = `${idPrefix}sampler_overrides`;
+    details.className = 'sp-sampler-overrides';
+    details.open = Object.keys(active).length > 0;
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Sampler Overrides';
+    details.appendChild(summary);
+
+    const hint = document.createElement('small');
+    hint.textContent = 'Leave a field empty to use the main settings. With Text Completion APIs or Use Standard Generation, only Max Response Tokens applies.';
+    details.appendChild(hint);
+
+    const grid = document.createElement('div');
+    grid.className = 'sp-sampler-grid';
+
+    for (const { field, label, min, max, step } of SAMPLER_INPUTS) {
+        const fieldLabel = document.createElement('label');
+        fieldLabel.htmlFor = `${idPrefix}sampler_${field}`;
+        fieldLabel.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = `${idPrefix}sampler_${field}`;
+        input.className = 'text_pole';
+        input.dataset.field = field;
+        input.min = String(min);
+        if (max !== undefined) input.max = String(max);
+        input.step = String(step);
+        input.placeholder = mainValues[field] !== undefined ? `Main: ${mainValues[field]}` : 'Main';
+        input.value = active[field] ?? '';
+
+        grid.append(fieldLabel, input);
+    }
+
+    const effortLabel = document.createElement('label');
+    effortLabel.htmlFor = `${idPrefix}sampler_reasoningEffort`;
+    effortLabel.textContent = 'Reasoning Effort';
+
+    const effortSelect = document.createElement('select');
+    effortSelect.id = `${idPrefix}sampler_reasoningEffort`;
+    effortSelect.className = 'text_pole';
+    effortSelect.dataset.field = 'reasoningEffort';
+    const mainEffort = mainValues.reasoningEffort ? ` (${mainValues.reasoningEffort})` : '';
+    effortSelect.innerHTML = `
+        <option value="">Main${mainEffort}</option>
+        <option value="auto">Auto</option>
+        <option value="min">Minimum</option>
+        <option value="low">Low</option>
+        <option value="medium">Medium</option>
+        <option value="high">High</option>
+        <option value="max">Maximum</option>
+    `;
+    effortSelect.value = active.reasoningEffort ?? '';
+
+    grid.append(effortLabel, effortSelect);
+    details.appendChild(grid);
+
+    return details;
+}
+
+/**
+ * Get the sampler overrides entered in the context panel
+ * @param {string} idPrefix ID prefix for elements
+ * @returns {Object|null} Set overrides, or null if none are set
+ */
+function getSamplerOverridesFromUI(idPrefix) {
+    const block = document.getElementById(`${idPrefix}sampler_overrides`);
+    if (!block) return null;
+
+    const overrides = {};
+    for (const input of block.querySelectorAll('[data-field]')) {
+        if (input.value === '') continue;
+        overrides[input.dataset.field] = input.dataset.field === 'reasoningEffort' ? input.value : Number(input.value);
+    }
+    return getActiveSamplerOverrides(overrides);
+}
+
+/**
+ * Get the group members chosen in the context panel
+ * @param {string} idPrefix ID prefix for elements
+ * @returns {string[]|null|undefined} Chosen avatars, null when all are chosen, undefined outside group chats
+ */
+function getSelectedGroupMembers(idPrefix) {
+    const block = document.getElementById(`${idPrefix}group_members`);
+    if (!block) return undefined;
+
+    const checkboxes = [...block.querySelectorAll('input[type="checkbox"]')];
+    const selected = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+    return selected.length === checkboxes.length ? null : selected;
+}
+
+/**
+ * Populate the lorebook list for the thread's World Info option
+ * @param {string[]} selectedBooks Currently chosen lorebook names
+ * @param {string} idPrefix ID prefix for elements
+ */
+function populateWorldInfoBooks(selectedBooks, idPrefix) {
+    const booksSelect = document.getElementById(`${idPrefix}world_info_books`);
+    if (!booksSelect) return;
+
+    // Keep chosen lorebooks listed even if they were renamed or deleted
+    const names = [...new Set([...getWorldInfoNames(), ...selectedBooks])];
+    booksSelect.innerHTML = '';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        option.selected = selectedBooks.includes(name);
+        booksSelect.appendChild(option);
+    });
+}
+
 /**
  * Get badge text for profile override
  * @param {Object} contextSettings Context settings object
@@ -447,6 +790,19 @@ function updateProfileBadge(idPrefix) {
     }
 }
 
+/**
+ * Show the name of a thread's prompt preset on its badge (hidden for the default prompt)
+ * @param {HTMLElement|null} badge Preset badge
+ * @param {string|null} presetId Preset ID
+ */
+function updatePresetBadge(badge, presetId) {
+    if (!badge) return;
+
+    const preset = getPromptPreset(presetId);
+    badge.textContent = preset ? preset.name : '';
+    badge.style.display = preset ? 'inline-block' : 'none';
+}
+
 /**
  * Populate the thread profile dropdown with available profiles
  * @param {string|null} currentProfile Currently selected profile
@@ -483,6 +839,14 @@ function getContextSummaryText(contextSettings) {
         return 'Card Only';
     }
 
+    if (contextSettings.useCurrentChatHistory === false) {
+        return 'No chat history';
+    }
+
+    if (Number.isInteger(contextSettings.focusMessageIndex)) {
+        return `Messages around ${contextSettings.focusMessageIndex + 1}`;
+    }
+
     const mode = contextSettings.chatHistoryRangeMode || 'all';
     const start = contextSettings.chatHistoryRangeStart;
     const end = contextSettings.chatHistoryRangeEnd;
@@ -499,6 +863,10 @@ function getContextSummaryText(contextSettings) {
                 return `Messages ${start}-${end}`;
             }
             return 'All messages';
+        case 'selected': {
+            const count = contextSettings.chatHistorySelectedIndices?.length || 0;
+            return count > 0 ? `${count} selected message${count !== 1 ? 's' : ''}` : 'All messages';
+        }
         default:
             return 'All messages';
     }
@@ -514,6 +882,19 @@ function loadThreadContextUI(contextSettings, idPrefix) {
     if (rangeModeSelect) {
         rangeModeSelect.value = contextSettings.chatHistoryRangeMode || 'all';
     }
+
+    const chooseMessagesButton = document.getElementById(`${idPrefix}choose_messages`);
+    if (chooseMessagesButton) {
+        chooseMessagesButton.dataset.indices = JSON.stringify(contextSettings.chatHistorySelectedIndices || []);
+        updateSelectedMessagesCount(idPrefix);
+    }
+
+    const worldInfoModeSelect = document.getElementById(`${idPrefix}world_info_mode`);
+    if (worldInfoModeSelect) {
+        worldInfoModeSelect.value = contextSettings.worldInfoMode || 'off';
+    }
+    populatePromptPresetSelect(document.getElementById(`${idPrefix}prompt_preset`), contextSettings.promptPreset);
+    populateWorldInfoBooks(contextSettings.worldInfoBooks || [], idPrefix);
 }
 
 /**
@@ -524,14 +905,24 @@ function loadThreadContextUI(contextSettings, idPrefix) {
  */
 function bindThreadContextListeners(threadId, isNewThread, idPrefix) {
     const profileSelect = document.getElementById(`${idPrefix}connection_profile`);
+    const presetSelect = document.getElementById(`${idPrefix}prompt_preset`);
     const rangeModeSelect = document.getElementById(`${idPrefix}range_mode`);
     const rangeStartInput = document.getElementById(`${idPrefix}range_start`);
     const rangeEndInput = document.getElementById(`${idPrefix}range_end`);
     const rangeInputsContainer = document.getElementById(`${idPrefix}range_inputs`);
+    const selectedMessagesContainer = document.getElementById(`${idPrefix}selected_messages`);
+    const chooseMessagesButton = document.getElementById(`${idPrefix}choose_messages`);
     const charCardOnlyToggle = document.getElementById(`${idPrefix}char_card_only`);
     const includeCharCardToggle = document.getElementById(`${idPrefix}include_char_card`);
     const includeSysPromptToggle = document.getElementById(`${idPrefix}include_sys_prompt`);
     const includeAuthorsNoteToggle = document.getElementById(`${idPrefix}include_authors_note`);
+    const includePersonaToggle = document.getElementById(`${idPrefix}include_persona`);
+    const worldInfoModeSelect = document.getElementById(`${idPrefix}world_info_mode`);
+    const worldInfoBooksSelect = document.getElementById(`${idPrefix}world_info_books`);
+    const worldInfoBooksBlock = document.getElementById(`${idPrefix}world_info_books_block`);
+    const useChatHistoryToggle = document.getElementById(`${idPrefix}use_chat_history`);
+    const groupMembersBlock = document.getElementById(`${idPrefix}group_members`);
+    const samplerOverridesBlock = document.getElementById(`${idPrefix}sampler_overrides`);
 
     const updateContextSetting = async (key, value) => {
         if (threadId) {
@@ -549,16 +940,37 @@ function bindThreadContextListeners(threadId, isNewThread, idPrefix) {
         });
     }
 
+    if (presetSelect) {
+        presetSelect.addEventListener('change', (e) => {
+            const presetId = e.target.value || null;
+            updateContextSetting('promptPreset', presetId);
+            updatePresetBadge(document.getElementById('sp-preset-badge'), presetId);
+        });
+    }
+
     if (rangeModeSelect) {
         rangeModeSelect.addEventListener('change', (e) => {
             const mode = e.target.value;
             updateContextSetting('chatHistoryRangeMode', mode);
             if (rangeInputsContainer) {
-                rangeInputsContainer.style.display = mode === 'all' ? 'none' : 'flex';
+                rangeInputsContainer.style.display = mode === 'all' || mode === 'selected' ? 'none' : 'flex';
+            }
+            if (selectedMessagesContainer) {
+                selectedMessagesContainer.style.display = mode === 'selected' ? 'flex' : 'none';
             }
         });
     }
 
+    if (chooseMessagesButton) {
+        chooseMessagesButton.addEventListener('click', async () => {
+            const indices = await showChatMessagePicker(getSelectedMessageIndices(idPrefix));
+            if (!indices) return;
+            chooseMessagesButton.dataset.indices = JSON.stringify(indices);
+            updateSelectedMessagesCount(idPrefix);
+            await updateContextSetting('chatHistorySelectedIndices', indices);
+        });
+    }
+
     if (rangeStartInput) {
         rangeStartInput.addEventListener('input', (e) => {
             const value = parseRangeNumber(e.target.value);
@@ -601,6 +1013,47 @@ function bindThreadContextListeners(threadId, isNewThread, idPrefix) {
             updateContextSetting('includeAuthorsNote', e.target.checked);
         });
     }
+
+    if (includePersonaToggle) {
+        includePersonaToggle.addEventListener('change', (e) => {
+            updateContextSetting('includePersona', e.target.checked);
+        });
+    }
+
+    if (worldInfoModeSelect) {
+        worldInfoModeSelect.addEventListener('change', (e) => {
+            const mode = e.target.value;
+            updateContextSetting('worldInfoMode', mode);
+            if (worldInfoBooksBlock) {
+                worldInfoBooksBlock.style.display = mode === 'books' ? 'block' : 'none';
+            }
+        });
+    }
+
+    if (worldInfoBooksSelect) {
+        worldInfoBooksSelect.addEventListener('change', (e) => {
+            const books = [...e.target.selectedOptions].map(option => option.value);
+            updateContextSetting('worldInfoBooks', books);
+        });
+    }
+
+    if (useChatHistoryToggle) {
+        useChatHistoryToggle.addEventListener('change', (e) => {
+            updateContextSetting('useCurrentChatHistory', e.target.checked);
+        });
+    }
+
+    if (groupMembersBlock) {
+        groupMembersBlock.addEventListener('change', () => {
+            updateContextSetting('groupMembers', getSelectedGroupMembers(idPrefix));
+        });
+    }
+
+    if (samplerOverridesBlock) {
+        samplerOverridesBlock.addEventListener('change', () => {
+            updateContextSetting('samplerOverrides', getSamplerOverridesFromUI(idPrefix));
+        });
+    }
 }
 
 /**
@@ -614,6 +1067,34 @@ function parseRangeNumber(value) {
     return parsed;
 }
 
+/**
+ * Get the hand-picked chat message indices stored on the "Choose Messages" button
+ * @param {string} idPrefix ID prefix for elements
+ * @returns {number[]} Chat indices (0-based)
+ */
+function getSelectedMessageIndices(idPrefix) {
+    const chooseMessagesButton = document.getElementById(`${idPrefix}choose_messages`);
+    try {
+        return JSON.parse(chooseMessagesButton?.dataset.indices || '[]');
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Update the label showing which chat messages are hand-picked
+ * @param {string} idPrefix ID prefix for elements
+ */
+function updateSelectedMessagesCount(idPrefix) {
+    const countEl = document.getElementById(`${idPrefix}selected_messages_count`);
+    if (!countEl) return;
+
+    const indices = getSelectedMessageIndices(idPrefix);
+    countEl.textContent = indices.length > 0
+        ? `#${indices.map(index => index + 1).join(', #')}`
+        : 'No messages selected';
+}
+
 /**
  * Update the context summary badge
  * @param {string} idPrefix ID prefix for elements
@@ -633,6 +1114,7 @@ function updateContextSummary(idPrefix) {
 function getContextSettingsFromUI() {
     const idPrefix = 'sp_thread_';
     const profileSelect = document.getElementById(`${idPrefix}connection_profile`);
+    const presetSelect = document.getElementById(`${idPrefix}prompt_preset`);
     const rangeModeSelect = document.getElementById(`${idPrefix}range_mode`);
     const rangeStartInput = document.getElementById(`${idPrefix}range_start`);
     const rangeEndInput = document.getElementById(`${idPrefix}range_end`);
@@ -640,17 +1122,38 @@ function getContextSettingsFromUI() {
     const includeCharCardToggle = document.getElementById(`${idPrefix}include_char_card`);
     const includeSysPromptToggle = document.getElementById(`${idPrefix}include_sys_prompt`);
     const includeAuthorsNoteToggle = document.getElementById(`${idPrefix}include_authors_note`);
+    const includePersonaToggle = document.getElementById(`${idPrefix}include_persona`);
+    const worldInfoModeSelect = document.getElementById(`${idPrefix}world_info_mode`);
+    const worldInfoBooksSelect = document.getElementById(`${idPrefix}world_info_books`);
+    const useChatHistoryToggle = document.getElementById(`${idPrefix}use_chat_history`);
 
-    return {
+    const settings = {
         connectionProfile: profileSelect?.value || null,
+        promptPreset: presetSelect?.value || null,
         chatHistoryRangeMode: rangeModeSelect?.value || 'all',
         chatHistoryRangeStart: parseRangeNumber(rangeStartInput?.value),
         chatHistoryRangeEnd: parseRangeNumber(rangeEndInput?.value),
+        chatHistorySelectedIndices: getSelectedMessageIndices(idPrefix),
         characterCardOnly: charCardOnlyToggle?.checked || false,
         includeCharacterCard: includeCharCardToggle?.checked ?? true,
         includeSystemPrompt: includeSysPromptToggle?.checked || false,
-        includeAuthorsNote: includeAuthorsNoteToggle?.checked || false
+        includeAuthorsNote: includeAuthorsNoteToggle?.checked || false,
+        includePersona: includePersonaToggle?.checked || false,
+        worldInfoMode: worldInfoModeSelect?.value || 'off',
+        worldInfoBooks: worldInfoBooksSelect ? [...worldInfoBooksSelect.selectedOptions].map(option => option.value) : [],
+        samplerOverrides: getSamplerOverridesFromUI(idPrefix)
     };
+
+    if (useChatHistoryToggle) {
+        settings.useCurrentChatHistory = useChatHistoryToggle.checked;
+    }
+
+    const groupMembers = getSelectedGroupMembers(idPrefix);
+    if (groupMembers !== undefined) {
+        settings.groupMembers = groupMembers;
+    }
+
+    return settings;
 }
 
 /**
@@ -735,6 +1238,7 @@ function createMessageElement(message) {
     const msgEl = document.createElement('div');
     msgEl.className = `sp-message sp-message-${message.role}`;
     msgEl.dataset.messageId = message.id;
+    msgEl.dataset.status = message.status || '';
 
     if (message.status === 'failed') {
         msgEl.classList.add('sp-message-failed');
@@ -744,6 +1248,25 @@ function createMessageElement(message) {
     const roleRowEl = document.createElement('div');
     roleRowEl.className = 'sp-message-role-row';
 
+    if (selectionMode && message.status !== 'pending') {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'sp-message-select';
+        checkbox.checked = selectedMessageIds.has(message.id);
+        checkbox.setAttribute('aria-label', 'Select message');
+        msgEl.classList.toggle('sp-message-selected', checkbox.checked);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selectedMessageIds.add(message.id);
+            } else {
+                selectedMessageIds.delete(message.id);
+            }
+            msgEl.classList.toggle('sp-message-selected', checkbox.checked);
+            updateSelectionBar();
+        });
+        roleRowEl.appendChild(checkbox);
+    }
+
     const roleEl = document.createElement('div');
     roleEl.className = 'sp-message-role';
     roleEl.textContent = message.role === 'user' ? 'You' : 'Assistant';
@@ -797,6 +1320,9 @@ function createMessageElement(message) {
         // Render main content
         const mainContent = document.createElement('div');
         mainContent.innerHTML = renderMarkdown(message.content);
+        if (isAssistant) {
+            linkMessageReferences(mainContent);
+        }
         contentEl.appendChild(mainContent);
     }
 
@@ -882,6 +1408,15 @@ function createMessageElement(message) {
         }
     }
 
+    if (Array.isArray(message.editHistory) && message.editHistory.length > 0) {
+        const lastEdit = message.editHistory[message.editHistory.length - 1];
+        const editedEl = document.createElement('div');
+        editedEl.className = 'sp-message-edited';
+        editedEl.textContent = 'Edited';
+        editedEl.title = `Edited ${message.editHistory.length} time${message.editHistory.length !== 1 ? 's' : ''}, last ${formatTimestamp(lastEdit.editedAt)}`;
+        metaEl.appendChild(editedEl);
+    }
+
     footerEl.appendChild(metaEl);
 
     // Actions for assistant messages
@@ -898,6 +1433,17 @@ function createMessageElement(message) {
         });
         actionsEl.appendChild(regenerateBtn);
 
+        // Continue button (raw prompt answers have no context to continue from)
+        if (!message.noContext) {
+            const continueBtn = createButton({
+                icon: Icons.continue,
+                className: 'sp-action-btn sp-continue-btn',
+                ariaLabel: 'Continue response',
+                onClick: () => handleContinue(message.id)
+            });
+            actionsEl.appendChild(continueBtn);
+        }
+
         // Copy button
         const copyBtn = createButton({
             icon: Icons.copy,
@@ -916,6 +1462,21 @@ function createMessageElement(message) {
         });
         actionsEl.appendChild(copyBtn);
 
+        actionsEl.appendChild(createEditButton(msgEl, message));
+        actionsEl.appendChild(createForkButton(message));
+        actionsEl.appendChild(createDeleteMessageButton(message));
+
+        // Raw prompt answers were sent without Scratch Pad context
+        if (!message.noContext) {
+            const viewPromptBtn = createButton({
+                icon: Icons.inspect,
+                className: 'sp-action-btn',
+                ariaLabel: 'View prompt',
+                onClick: () => handleViewPrompt(viewPromptBtn, message.id)
+            });
+            actionsEl.appendChild(viewPromptBtn);
+        }
+
         // Apply to Guided Swipe button (only if GG is installed)
         // Read content at click time (stays in sync via syncSwipeToMessage)
         if (isGuidedGenerationsInstalled()) {
@@ -970,6 +1531,22 @@ function createMessageElement(message) {
         if (actionsEl.children.length > 0) {
             footerEl.appendChild(actionsEl);
         }
+    } else if (isAssistant && message.status !== 'pending') {
+        // Failed or cancelled answers can still be removed
+        const actionsEl = document.createElement('div');
+        actionsEl.className = 'sp-message-actions';
+        actionsEl.appendChild(createDeleteMessageButton(message));
+        footerEl.appendChild(actionsEl);
+    }
+
+    // Actions for user messages
+    if (!isAssistant) {
+        const actionsEl = document.createElement('div');
+        actionsEl.className = 'sp-message-actions';
+        actionsEl.appendChild(createEditButton(msgEl, message));
+        actionsEl.appendChild(createForkButton(message));
+        actionsEl.appendChild(createDeleteMessageButton(message));
+        footerEl.appendChild(actionsEl);
     }
 
     msgEl.appendChild(footerEl);
@@ -977,6 +1554,435 @@ function createMessageElement(message) {
     return msgEl;
 }
 
+/**
+ * Show the prompt the question in the input would be sent with, using the context panel's settings
+ * @param {HTMLButtonElement} button Preview button (disabled while the prompt is built)
+ * @param {string|undefined} threadId Thread ID (undefined for a new thread)
+ */
+async function handlePreviewPrompt(button, threadId) {
+    const thread = threadId
+        ? getThread(threadId)
+        : { messages: [], contextSettings: { ...newThreadContextOverrides, ...getContextSettingsFromUI() } };
+    if (!thread) return;
+
+    const question = document.getElementById('sp-message-input')?.value.trim() || '(your question)';
+
+    button.disabled = true;
+    try {
+        const inspection = await inspectPrompt(question, thread, { isFirstMessage: !thread.titled });
+        await showPromptInspector(inspection, 'Prompt Preview');
+    } catch (error) {
+        console.error('[ScratchPad] Could not build the prompt preview:', error);
+        showToast(`Could not build the prompt: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Show the prompt of an assistant message, rebuilt and compared with its stored fingerprint
+ * @param {HTMLButtonElement} button View prompt button (disabled while the prompt is built)
+ * @param {string} messageId Assistant message ID
+ */
+async function handleViewPrompt(button, messageId) {
+    if (!currentThreadId) return;
+
+    button.disabled = true;
+    try {
+        const inspection = await inspectMessagePrompt(currentThreadId, messageId);
+        if (!inspection) {
+            showToast('Could not find the question for this answer', 'error');
+            return;
+        }
+        await showPromptInspector(inspection, 'Answer Prompt');
+    } catch (error) {
+        console.error('[ScratchPad] Could not rebuild the prompt:', error);
+        showToast(`Could not build the prompt: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Create the edit action button for a message
+ * @param {HTMLElement} msgEl Message element
+ * @param {Object} message Message object
+ * @returns {HTMLElement} Button element
+ */
+function createEditButton(msgEl, message) {
+    return createButton({
+        icon: Icons.edit,
+        className: 'sp-action-btn sp-edit-message-btn',
+        ariaLabel: 'Edit message',
+        onClick: () => enterEditMode(msgEl, message.id)
+    });
+}
+
+/**
+ * Replace a message's rendered content with an inline editor
+ * @param {HTMLElement} msgEl Message element
+ * @param {string} messageId Message ID
+ */
+function enterEditMode(msgEl, messageId) {
+    if (!currentThreadId || msgEl.classList.contains('sp-message-editing')) return;
+    if (isGenerating()) {
+        showToast('Wait for the current response to finish', 'warning');
+        return;
+    }
+
+    const message = getMessage(currentThreadId, messageId);
+    const contentEl = msgEl.querySelector('.sp-message-content');
+    if (!message || !contentEl) return;
+
+    // Hide the whole swipe wrapper for assistants so the editor gets the full width
+    const displayEl = contentEl.closest('.sp-swipe-wrapper') || contentEl;
+    msgEl.classList.add('sp-message-editing');
+    displayEl.style.display = 'none';
+
+    const editor = document.createElement('div');
+    editor.className = 'sp-message-editor';
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'sp-message-edit-input text_pole';
+    textarea.value = message.content || '';
+    textarea.rows = Math.min(12, Math.max(3, textarea.value.split('\n').length));
+    editor.appendChild(textarea);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'sp-message-editor-buttons';
+
+    const exitEditMode = () => {
+        editor.remove();
+        displayEl.style.display = '';
+        msgEl.classList.remove('sp-message-editing');
+    };
+
+    const save = async (regenerate = false) => {
+        const content = textarea.value.trim();
+        if (!content) {
+            showToast('Message cannot be empty', 'warning');
+            return;
+        }
+
+        editMessage(currentThreadId, messageId, content);
+        await saveMetadata();
+        updateSwipeDisplay(messageId);
+
+        if (regenerate) {
+            await regenerateReplyAfter(messageId);
+        }
+    };
+
+    buttons.appendChild(createButton({
+        text: 'Save',
+        className: 'sp-edit-save-btn',
+        onClick: () => save()
+    }));
+
+    if (message.role === 'user' && getNextAssistantMessage(messageId)) {
+        buttons.appendChild(createButton({
+            icon: Icons.retry,
+            text: 'Save and regenerate next reply',
+            className: 'sp-edit-save-regenerate-btn',
+            onClick: () => save(true)
+        }));
+    }
+
+    buttons.appendChild(createButton({
+        text: 'Cancel',
+        className: 'sp-edit-cancel-btn',
+        onClick: exitEditMode
+    }));
+
+    editor.appendChild(buttons);
+    displayEl.after(editor);
+
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            exitEditMode();
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            save();
+        }
+    });
+
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+}
+
+/**
+ * Get the assistant message that answers a user message
+ * @param {string} messageId User message ID
+ * @returns {Object|null} Following assistant message or null
+ */
+function getNextAssistantMessage(messageId) {
+    const thread = currentThreadId ? getThread(currentThreadId) : null;
+    if (!thread) return null;
+
+    const index = thread.messages.findIndex(m => m.id === messageId);
+    const next = index !== -1 ? thread.messages[index + 1] : null;
+    return next?.role === 'assistant' ? next : null;
+}
+
+/**
+ * Regenerate the reply to an (edited) user message as a new swipe, or retry it if it failed
+ * @param {string} messageId User message ID
+ */
+async function regenerateReplyAfter(messageId) {
+    const next = getNextAssistantMessage(messageId);
+    if (!next) return;
+
+    if (next.status === 'failed' || next.status === 'cancelled') {
+        await handleRetry(next.id);
+    } else {
+        await handleGenerateSwipe(next.id);
+    }
+}
+
+/**
+ * Create the delete action button for a message
+ * @param {Object} message Message object
+ * @returns {HTMLElement} Button element
+ */
+function createDeleteMessageButton(message) {
+    return createButton({
+        icon: Icons.delete,
+        className: 'sp-action-btn sp-delete-message-btn',
+        ariaLabel: 'Delete message',
+        onClick: () => handleDeleteMessage(message.id)
+    });
+}
+
+/**
+ * Move messages from the current thread to the trash, re-render and offer an undo
+ * @param {string[]} messageIds Message IDs
+ */
+async function deleteMessagesAndRefresh(messageIds) {
+    const threadId = currentThreadId;
+    const entries = deleteMessages(threadId, messageIds);
+
+    await saveMetadata();
+    if (conversationContainer) {
+        renderConversation(conversationContainer);
+    }
+    refreshThreadListSidebar();
+
+    const count = entries.length;
+    if (count === 0) return;
+
+    showUndoToast(`Moved ${count} message${count !== 1 ? 's' : ''} to the trash.`, async () => {
+        restoreDeletedMessages(entries);
+        await saveMetadata();
+        if (conversationContainer && currentThreadId === threadId) {
+            renderConversation(conversationContainer);
+        }
+        refreshThreadListSidebar();
+    });
+}
+
+/**
+ * Handle deleting a message, or the question/answer pair it belongs to
+ * @param {string} messageId Message ID
+ */
+async function handleDeleteMessage(messageId) {
+    if (!currentThreadId) return;
+    if (isGenerating()) {
+        showToast('Wait for the current response to finish', 'warning');
+        return;
+    }
+
+    const DELETE_PAIR = 2;
+    const pairIds = getMessagePairIds(currentThreadId, messageId);
+    const result = await showConfirmDialog(
+        'Delete this message? It will no longer be sent as context. You can restore it from the Trash.',
+        {
+            confirmText: 'Delete Message',
+            cancelText: 'Cancel',
+            customButtons: pairIds.length === 2
+                ? [{ text: 'Delete Question and Answer', result: DELETE_PAIR }]
+                : undefined
+        }
+    );
+    if (!result) return;
+
+    await deleteMessagesAndRefresh(result === DELETE_PAIR ? pairIds : [messageId]);
+}
+
+/**
+ * Leave multi-select mode and clear the selection
+ */
+function exitSelectionMode() {
+    selectionMode = false;
+    selectedMessageIds.clear();
+}
+
+/**
+ * Toggle multi-select mode for pruning several messages at once
+ */
+function toggleSelectionMode() {
+    if (selectionMode) {
+        exitSelectionMode();
+    } else {
+        selectionMode = true;
+    }
+
+    if (conversationContainer) {
+        renderConversation(conversationContainer);
+    }
+}
+
+/**
+ * Create the bar shown in multi-select mode
+ * @returns {HTMLElement} Selection bar element
+ */
+function createSelectionBar() {
+    const bar = document.createElement('div');
+    bar.className = 'sp-selection-bar';
+    bar.id = 'sp-selection-bar';
+
+    const countEl = document.createElement('span');
+    countEl.className = 'sp-selection-count';
+    bar.appendChild(countEl);
+
+    const deleteBtn = createButton({
+        icon: Icons.delete,
+        text: 'Delete Selected',
+        className: 'sp-selection-delete-btn',
+        onClick: () => handleDeleteSelected()
+    });
+    bar.appendChild(deleteBtn);
+
+    const cancelBtn = createButton({
+        text: 'Cancel',
+        className: 'sp-selection-cancel-btn',
+        onClick: () => toggleSelectionMode()
+    });
+    bar.appendChild(cancelBtn);
+
+    updateSelectionBar(bar);
+    return bar;
+}
+
+/**
+ * Update the selected count and delete button state in the selection bar
+ * @param {HTMLElement} [bar] Selection bar element (looked up if omitted)
+ */
+function updateSelectionBar(bar = document.getElementById('sp-selection-bar')) {
+    if (!bar) return;
+
+    const count = selectedMessageIds.size;
+    bar.querySelector('.sp-selection-count').textContent = `${count} message${count !== 1 ? 's' : ''} selected`;
+    bar.querySelector('.sp-selection-delete-btn').disabled = count === 0;
+}
+
+/**
+ * Handle deleting all selected messages
+ */
+async function handleDeleteSelected() {
+    if (!currentThreadId || selectedMessageIds.size === 0) return;
+    if (isGenerating()) {
+        showToast('Wait for the current response to finish', 'warning');
+        return;
+    }
+
+    const count = selectedMessageIds.size;
+    const confirmed = await showConfirmDialog(
+        `Delete ${count} selected message${count !== 1 ? 's' : ''}? You can restore them from the Trash.`,
+        { confirmText: 'Delete', cancelText: 'Cancel' }
+    );
+    if (!confirmed) return;
+
+    const ids = [...selectedMessageIds];
+    exitSelectionMode();
+    await deleteMessagesAndRefresh(ids);
+}
+
+/**
+ * Create the "Fork from here" action button for a message
+ * @param {Object} message Message object
+ * @returns {HTMLElement} Button element
+ */
+function createForkButton(message) {
+    return createButton({
+        icon: Icons.fork,
+        className: 'sp-action-btn sp-fork-btn',
+        ariaLabel: 'Fork from here',
+        onClick: () => handleForkFromMessage(message.id)
+    });
+}
+
+/**
+ * Create the header link back to the thread a fork was made from
+ * @param {Object} forkedFrom { threadId, messageId }
+ * @returns {HTMLElement} Link element
+ */
+function createForkParentLink(forkedFrom) {
+    const parent = getThread(forkedFrom.threadId);
+
+    if (!parent) {
+        const missingEl = document.createElement('span');
+        missingEl.className = 'sp-fork-parent sp-fork-parent-missing';
+        missingEl.textContent = `${Icons.fork} Forked from a deleted thread`;
+        return missingEl;
+    }
+
+    const linkEl = document.createElement('a');
+    linkEl.className = 'sp-fork-parent';
+    linkEl.href = '#';
+    linkEl.textContent = `${Icons.fork} Forked from ${parent.name}`;
+    linkEl.title = 'Open the original thread';
+    linkEl.addEventListener('click', (e) => {
+        e.preventDefault();
+        openThread(parent.id);
+
+        const forkPoint = document.querySelector(`.sp-message[data-message-id="${forkedFrom.messageId}"]`);
+        if (forkPoint) {
+            forkPoint.scrollIntoView({ block: 'center' });
+            forkPoint.classList.add('sp-message-highlight');
+            setTimeout(() => forkPoint.classList.remove('sp-message-highlight'), 2000);
+        }
+    });
+    return linkEl;
+}
+
+/**
+ * Handle forking the current thread at a message
+ * @param {string} messageId Last message to include in the fork
+ */
+async function handleForkFromMessage(messageId) {
+    if (!currentThreadId) return;
+    if (isGenerating()) {
+        showToast('Wait for the current response to finish', 'warning');
+        return;
+    }
+
+    const thread = getThreadForCurrentBranch(currentThreadId);
+    const index = thread ? thread.messages.findIndex(m => m.id === messageId) : -1;
+    if (index === -1) return;
+
+    let includeSwipes = false;
+    const hasSwipes = thread.messages.slice(0, index + 1).some(m => Array.isArray(m.swipes) && m.swipes.length > 1);
+    if (hasSwipes) {
+        includeSwipes = await showConfirmDialog(
+            'Copy every swipe into the fork, or only the swipes currently shown?',
+            { confirmText: 'All Swipes', cancelText: 'Active Only' }
+        );
+    }
+
+    const fork = forkThread(currentThreadId, messageId, { includeSwipes });
+    if (!fork) {
+        showToast('Failed to fork thread', 'error');
+        return;
+    }
+
+    await saveMetadata();
+    openThread(fork.id);
+    refreshThreadListSidebar();
+    showToast('Thread forked', 'success');
+}
+
 /**
  * Update a single message's swipe display in-place without full refresh
  * @param {string} messageId Message ID
@@ -1038,19 +2044,8 @@ async function handleSwipeNavigation(messageId, direction) {
 async function handleGenerateSwipe(messageId) {
     if (isGenerating() || !currentThreadId) return;
 
-    const sendBtn = document.getElementById('sp-send-btn');
-    const textarea = document.getElementById('sp-message-input');
-
-    const generationId = startGeneration();
-    if (sendBtn) sendBtn.disabled = true;
-    if (textarea) {
-        textarea.disabled = true;
-        textarea.placeholder = 'Generating swipe...';
-    }
-    showGeneratingIndicator(true, () => {
-        cancelGeneration();
-        showToast('Generation cancelled', 'info');
-    });
+    const threadId = currentThreadId;
+    startGeneration(threadId, 'Generating swipe...');
 
     // Disable swipe arrows during generation
     const msgEl = document.querySelector(`.sp-message[data-message-id="${messageId}"]`);
@@ -1064,7 +2059,7 @@ async function handleGenerateSwipe(messageId) {
         let _lastSwipeRender = 0;
         let _pendingSwipeUpdate = null;
         let _latestSwipeResponse = '';
-        const result = await generateSwipe(currentThreadId, messageId, (partialResponse, isComplete) => {
+        const result = await generateSwipe(threadId, messageId, (partialResponse, isComplete) => {
             _latestSwipeResponse = partialResponse;
 
             const renderSwipeContent = (responseText = _latestSwipeResponse) => {
@@ -1073,7 +2068,8 @@ async function handleGenerateSwipe(messageId) {
                 scrollToBottom();
             };
 
-            if (!streamingContentEl) {
+            // (Re-)attach when the thread is shown, also after switching back to it
+            if ((!streamingContentEl || !streamingContentEl.isConnected) && currentThreadId === threadId) {
                 // Refresh to show the pending state
                 updateSwipeDisplay(messageId);
                 const updatedMsgEl = document.querySelector(`.sp-message[data-message-id="${messageId}"]`);
@@ -1114,13 +2110,82 @@ async function handleGenerateSwipe(messageId) {
         updateSwipeDisplay(messageId);
 
     } finally {
-        endGeneration(generationId);
-        if (sendBtn) sendBtn.disabled = false;
-        if (textarea) {
-            textarea.disabled = false;
-            textarea.placeholder = 'Ask a question...';
+        endGeneration(threadId);
+    }
+}
+
+/**
+ * Continue the active swipe of an assistant message with streaming
+ * @param {string} messageId Message ID
+ */
+async function handleContinue(messageId) {
+    if (isGenerating() || !currentThreadId) return;
+
+    const threadId = currentThreadId;
+    startGeneration(threadId, 'Continuing response...');
+
+    const msgEl = document.querySelector(`.sp-message[data-message-id="${messageId}"]`);
+    if (msgEl) {
+        msgEl.querySelectorAll('.sp-swipe-arrow').forEach(btn => btn.disabled = true);
+    }
+
+    let streamingContentEl = null;
+
+    try {
+        let lastRender = 0;
+        let pendingUpdate = null;
+        let latestResponse = '';
+        const result = await continueMessage(threadId, messageId, (partialResponse, isComplete) => {
+            latestResponse = partialResponse;
+
+            const renderContent = (responseText = latestResponse) => {
+                const { cleanedResponse } = parseThinking(responseText);
+                streamingContentEl.innerHTML = renderMarkdown(cleanedResponse);
+                scrollToBottom();
+            };
+
+            if ((!streamingContentEl || !streamingContentEl.isConnected) && currentThreadId === threadId) {
+                // Refresh to show the pending state (hides the actions while continuing)
+                updateSwipeDisplay(messageId);
+                const updatedMsgEl = document.querySelector(`.sp-message[data-message-id="${messageId}"]`);
+                if (updatedMsgEl) {
+                    streamingContentEl = updatedMsgEl.querySelector('.sp-message-content');
+                }
+            }
+
+            if (streamingContentEl && streamingContentEl.isConnected) {
+                if (isComplete) {
+                    clearTimeout(pendingUpdate);
+                    renderContent(partialResponse);
+                } else {
+                    const now = performance.now();
+                    if (now - lastRender >= 100) {
+                        lastRender = now;
+                        clearTimeout(pendingUpdate);
+                        renderContent();
+                    } else if (!pendingUpdate) {
+                        pendingUpdate = setTimeout(() => {
+                            pendingUpdate = null;
+                            lastRender = performance.now();
+                            renderContent();
+                        }, 100 - (now - lastRender));
+                    }
+                }
+            }
+        });
+
+        if (!result.success && !result.cancelled) {
+            showToast(`Continue failed: ${result.error}`, 'error');
         }
-        showGeneratingIndicator(false);
+
+        if (result.success) {
+            playCompletionSound();
+        }
+
+        updateSwipeDisplay(messageId);
+
+    } finally {
+        endGeneration(threadId);
     }
 }
 
@@ -1154,42 +2219,31 @@ async function handleDeleteSwipe(messageId) {
  * Handle sending a message
  */
 async function handleSendMessage() {
-    if (isGenerating()) return;
+    // The thread is busy elsewhere (e.g. with a queued question), so this one waits its turn
+    if (isGenerating()) {
+        if (!generatingThreads.has(currentThreadId)) {
+            await handleQueueMessage();
+        }
+        return;
+    }
 
     const textarea = document.getElementById('sp-message-input');
-    const sendBtn = document.getElementById('sp-send-btn');
     if (!textarea) return;
 
     const message = textarea.value.trim();
     if (!message) return;
 
+    if (!ensureCurrentThread()) return;
+
     // Clear input
     textarea.value = '';
     textarea.style.height = 'auto';
 
-    // Start generation and track ID
-    const generationId = startGeneration();
-    if (sendBtn) sendBtn.disabled = true;
-    textarea.disabled = true;
-    textarea.placeholder = 'Generating...';
-    showGeneratingIndicator(true, () => {
-        cancelGeneration();
-        showToast('Generation cancelled', 'info');
-    });
+    const threadId = currentThreadId;
+    startGeneration(threadId);
 
     try {
-        // Create thread if needed
-        if (!currentThreadId) {
-            // Get context settings from the UI (which shows current global settings for new threads)
-            const contextSettings = getContextSettingsFromUI();
-            const newThread = createThread('New Thread', contextSettings);
-            if (!newThread) {
-                showToast('Failed to create thread', 'error');
-                return;
-            }
-            currentThreadId = newThread.id;
-            await saveMetadata();
-        }
+        await saveMetadata();
 
         // Refresh UI to show user message immediately
         const messagesContainer = document.getElementById('sp-messages');
@@ -1207,7 +2261,7 @@ async function handleSendMessage() {
         let _lastStreamRender = 0;
         let _pendingStreamUpdate = null;
         let _latestStreamResponse = '';
-        const result = await generateScratchPadResponse(message, currentThreadId, (partialResponse, isComplete) => {
+        const result = await generateScratchPadResponse(message, threadId, (partialResponse, isComplete) => {
             _latestStreamResponse = partialResponse;
 
             const renderStreamContent = (responseText = _latestStreamResponse) => {
@@ -1216,8 +2270,8 @@ async function handleSendMessage() {
                 scrollToBottom();
             };
 
-            // Update streaming message element
-            if (!streamingMsgEl) {
+            // Update streaming message element (again after switching back to the thread)
+            if ((!streamingMsgEl || !streamingMsgEl.isConnected) && currentThreadId === threadId) {
                 // Refresh to show user message and pending assistant message
                 refreshConversation();
                 streamingMsgEl = document.querySelector('.sp-message-assistant:last-child .sp-message-content');
@@ -1261,8 +2315,8 @@ async function handleSendMessage() {
         scrollToBottom();
 
         // Update thread name in header if changed
-        const thread = getThread(currentThreadId);
-        if (thread) {
+        const thread = getThread(threadId);
+        if (thread && currentThreadId === threadId) {
             const titleEl = document.querySelector('.sp-thread-title');
             if (titleEl) {
                 titleEl.textContent = thread.name;
@@ -1270,13 +2324,182 @@ async function handleSendMessage() {
         }
 
     } finally {
-        endGeneration(generationId);
-        if (sendBtn) sendBtn.disabled = false;
-        textarea.disabled = false;
-        textarea.placeholder = 'Ask a question...';
-        showGeneratingIndicator(false);
-        textarea.focus();
+        endGeneration(threadId);
+        if (currentThreadId === threadId) {
+            document.getElementById('sp-message-input')?.focus();
+        }
+    }
+}
+
+/**
+ * Create the open thread from the new thread view if it doesn't exist yet
+ * @returns {boolean} True if there is a thread to send to
+ */
+function ensureCurrentThread() {
+    if (currentThreadId) return true;
+
+    // Get context settings from the UI (which shows current global settings for new threads)
+    const contextSettings = { ...newThreadContextOverrides, ...getContextSettingsFromUI() };
+    const newThread = createThread('New Thread', contextSettings);
+    if (!newThread) {
+        showToast('Failed to create thread', 'error');
+        return false;
+    }
+    currentThreadId = newThread.id;
+    newThreadContextOverrides = null;
+    return true;
+}
+
+/**
+ * Queue the typed question to be answered in the background
+ */
+async function handleQueueMessage() {
+    const textarea = document.getElementById('sp-message-input');
+    if (!textarea) return;
+
+    const message = textarea.value.trim();
+    if (!message) return;
+
+    if (!ensureCurrentThread()) return;
+
+    textarea.value = '';
+    textarea.style.height = 'auto';
+
+    await saveMetadata();
+    if (!enqueueQuestion(currentThreadId, message)) {
+        showToast('Failed to queue question', 'error');
+        return;
+    }
+    showToast('Question queued. The thread is marked when its answer is ready.', 'info');
+}
+
+/**
+ * Create the note listing the open thread's queued questions
+ * @returns {HTMLElement} Note element
+ */
+function createQueueNote() {
+    const note = document.createElement('div');
+    note.className = 'sp-queue-note';
+    note.id = 'sp-queue-note';
+    note.hidden = true;
+
+    const text = document.createElement('span');
+    text.className = 'sp-queue-note-text';
+    note.appendChild(text);
+
+    const removeBtn = createButton({
+        text: 'Remove',
+        className: 'sp-queue-remove-btn',
+        ariaLabel: 'Remove queued questions',
+        onClick: () => {
+            if (currentThreadId) {
+                removeQueuedQuestions(currentThreadId);
+            }
+        }
+    });
+    note.appendChild(removeBtn);
+
+    return note;
+}
+
+/**
+ * Show how many of the open thread's questions are waiting in the queue
+ */
+function updateQueueNote() {
+    const note = document.getElementById('sp-queue-note');
+    if (!note) return;
+
+    const waiting = currentThreadId
+        ? getQueuedQuestions(currentThreadId).filter(item => item.status === 'queued')
+        : [];
+    note.hidden = waiting.length === 0;
+    note.title = waiting.map(item => item.question).join('\n\n');
+    note.querySelector('.sp-queue-note-text').textContent =
+        `${Icons.queue} ${waiting.length} question${waiting.length !== 1 ? 's' : ''} queued`;
+}
+
+/**
+ * Bring the shown messages in line with the thread without re-rendering the view, so edits,
+ * the message selection and the scroll position are kept. New messages are appended and
+ * messages whose status changed are replaced; a message being edited is left alone.
+ */
+function syncMessageElements() {
+    const messagesContainer = document.getElementById('sp-messages');
+    const thread = getThreadForCurrentBranch(currentThreadId);
+    if (!messagesContainer || !thread) return;
+
+    const shownElements = [...messagesContainer.querySelectorAll(':scope > .sp-message')];
+    const messageIds = new Set(thread.messages.map(message => message.id));
+    const wasAtBottom = messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 40;
+
+    for (const el of shownElements) {
+        if (!messageIds.has(el.dataset.messageId) && !el.classList.contains('sp-message-editing')) {
+            el.remove();
+        }
+    }
+
+    let previousEl = null;
+    for (const message of thread.messages) {
+        const el = messagesContainer.querySelector(`:scope > .sp-message[data-message-id="${message.id}"]`);
+        if (el) {
+            if (el.dataset.status !== (message.status || '') && !el.classList.contains('sp-message-editing')) {
+                const newEl = createMessageElement(message);
+                el.replaceWith(newEl);
+                previousEl = newEl;
+            } else {
+                previousEl = el;
+            }
+        } else if (previousEl) {
+            // Messages before the first shown one are hidden behind "Load earlier messages"
+            const newEl = createMessageElement(message);
+            previousEl.after(newEl);
+            previousEl = newEl;
+        } else if (shownElements.length === 0) {
+            messagesContainer.querySelector('.sp-empty-state')?.remove();
+            const newEl = createMessageElement(message);
+            messagesContainer.prepend(newEl);
+            previousEl = newEl;
+        }
+    }
+
+    // Keep refreshConversation() from re-rendering for the changes shown here
+    lastRenderedMessageCount = thread.messages.length;
+    lastRenderedMessageStatus = thread.messages.at(-1)?.status ?? null;
+
+    const titleEl = document.querySelector('.sp-thread-title');
+    if (titleEl) {
+        titleEl.textContent = thread.name;
+    }
+    if (wasAtBottom) {
+        scrollToBottom();
+    }
+}
+
+/**
+ * Update the open thread after a question queue change (only call while Scratch Pad is open)
+ * @param {{type: string, threadId: string|null}} event Queue event
+ */
+export function handleQueueChange(event) {
+    if (!currentThreadId || !conversationContainer?.isConnected) return;
+    if (event.threadId && event.threadId !== currentThreadId) return;
+
+    // Answers that finish while their thread is open are seen right away
+    markThreadRead(currentThreadId);
+
+    if (lastRenderedThreadId !== currentThreadId) {
+        // The thread was just created by queueing from the new thread view; keep the typed draft
+        const draft = document.getElementById('sp-message-input')?.value;
+        renderConversation(conversationContainer);
+        const textarea = document.getElementById('sp-message-input');
+        if (draft && textarea) {
+            textarea.value = draft;
+        }
+    } else if (event.type === 'started' || event.type === 'finished') {
+        syncMessageElements();
     }
+
+    updateQueueNote();
+    updateGeneratingState();
 }
 
 /**
@@ -1294,20 +2517,8 @@ async function handleRetry(messageId) {
         return;
     }
 
-    const sendBtn = document.getElementById('sp-send-btn');
-    const textarea = document.getElementById('sp-message-input');
-
-    // Start generation and track ID
-    const generationId = startGeneration();
-    if (sendBtn) sendBtn.disabled = true;
-    if (textarea) {
-        textarea.disabled = true;
-        textarea.placeholder = 'Generating...';
-    }
-    showGeneratingIndicator(true, () => {
-        cancelGeneration();
-        showToast('Generation cancelled', 'info');
-    });
+    const threadId = currentThreadId;
+    startGeneration(threadId);
 
     // Track the new assistant message ID for streaming updates
     let streamingMsgEl = null;
@@ -1316,7 +2527,7 @@ async function handleRetry(messageId) {
         let _lastRetryRender = 0;
         let _pendingRetryUpdate = null;
         let _latestRetryResponse = '';
-        const result = await retryMessage(currentThreadId, messageId, (partialResponse, isComplete) => {
+        const result = await retryMessage(threadId, messageId, (partialResponse, isComplete) => {
             _latestRetryResponse = partialResponse;
 
             const renderRetryContent = (responseText = _latestRetryResponse) => {
@@ -1325,8 +2536,8 @@ async function handleRetry(messageId) {
                 scrollToBottom();
             };
 
-            // On first callback, refresh to show new pending message
-            if (!streamingMsgEl) {
+            // On first callback (and after switching back to the thread), refresh to show new pending message
+            if ((!streamingMsgEl || !streamingMsgEl.isConnected) && currentThreadId === threadId) {
                 refreshConversation();
                 streamingMsgEl = document.querySelector('.sp-message-assistant:last-child .sp-message-content');
             }
@@ -1364,13 +2575,7 @@ async function handleRetry(messageId) {
         scrollToBottom();
 
     } finally {
-        endGeneration(generationId);
-        if (sendBtn) sendBtn.disabled = false;
-        if (textarea) {
-            textarea.disabled = false;
-            textarea.placeholder = 'Ask a question...';
-        }
-        showGeneratingIndicator(false);
+        endGeneration(threadId);
     }
 }
 
@@ -1444,6 +2649,19 @@ async function handleAiRename(thread) {
     }
 }
 
+/**
+ * Re-render the fullscreen sidebar thread list (no-op in other display modes)
+ */
+function refreshThreadListSidebar() {
+    if (!isFullscreenMode()) return;
+
+    import('./threadList.js').then(({ renderThreadList }) => {
+        const sidebarContent = document.querySelector('.sp-fullscreen-sidebar .sp-drawer-content');
+        if (sidebarContent) {
+            renderThreadList(sidebarContent);
+        }
+    });
+}
 
 /**
  * Go back to thread list
@@ -1639,8 +2857,9 @@ function setupViewportHandlers() {
  * Show or hide the generating indicator
  * @param {boolean} show Whether to show the indicator
  * @param {Function} onCancel Optional callback when cancel is clicked
+ * @param {boolean} [locksInput] Whether the input is disabled meanwhile (dims it)
  */
-function showGeneratingIndicator(show, onCancel = null) {
+function showGeneratingIndicator(show, onCancel = null, locksInput = true) {
     const inputContainer = document.querySelector('.sp-input-container');
     if (!inputContainer) return;
 
@@ -1671,12 +2890,34 @@ function showGeneratingIndicator(show, onCancel = null) {
         }
 
         inputContainer.insertBefore(indicator, inputContainer.firstChild);
-        inputContainer.classList.add('sp-generating');
+        inputContainer.classList.toggle('sp-generating', locksInput);
     } else {
         inputContainer.classList.remove('sp-generating');
     }
 }
 
+/**
+ * Insert text into the message input at the cursor, as its own paragraph
+ * @param {string} text Text to insert
+ * @returns {boolean} False if no conversation input is shown
+ */
+export function insertIntoMessageInput(text) {
+    const textarea = document.getElementById('sp-message-input');
+    if (!textarea) return false;
+
+    const start = textarea.selectionStart ?? textarea.value.length;
+    const end = textarea.selectionEnd ?? start;
+    const before = textarea.value.slice(0, start);
+    const separator = !before || before.endsWith('\n\n') ? '' : (before.endsWith('\n') ? '\n' : '\n\n');
+    const inserted = before + separator + text;
+
+    textarea.value = inserted + textarea.value.slice(end);
+    textarea.setSelectionRange(inserted.length, inserted.length);
+    textarea.dispatchEvent(new Event('input'));
+    textarea.focus();
+    return true;
+}
+
 /**
  * Get current thread ID
  * @returns {string|null} Current thread ID
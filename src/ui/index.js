@@ -4,12 +4,15 @@
  */
 
 import { renderThreadList, refreshThreadList, resetThreadListState } from './threadList.js';
-import { openThread, startNewThread, getCurrentThreadId, renderConversation } from './conversation.js';
+import { openThread, startNewThread, getCurrentThreadId, renderConversation, handleQueueChange } from './conversation.js';
 import { showQuickPopup, showQuickPopupRaw, dismissPopup, isPopupVisible } from './popup.js';
 import { getSettings, updateSettings, getDisplayMode, setDisplayMode } from '../settings.js';
-import { Icons, createButton } from './components.js';
+import { Icons, createButton, showToast, playCompletionSound } from './components.js';
+import { initQuoteSelection, disposeQuoteSelection } from './quoteSelection.js';
+import { subscribeToQueue } from '../generation.js';
+import { getThread } from '../storage.js';
 
-export { renderThreadList, refreshThreadList, resetThreadListState } from './threadList.js';
+export { renderThreadList, refreshThreadList, resetThreadListState, exportThreadsToFile, importThreadsFromText, importThreadsFromFile } from './threadList.js';
 export { openThread, startNewThread, getCurrentThreadId } from './conversation.js';
 export { showQuickPopup, showQuickPopupRaw, dismissPopup, isPopupVisible } from './popup.js';
 export { isFullscreenMode, getConversationContainer, resetScratchPadUIState };
@@ -21,6 +24,7 @@ let keydownHandler = null;
 let popstateHandler = null;
 let resizeHandler = null;
 let resizeBusUnsubscribe = null;
+let queueUnsubscribe = null;
 let overlayElement = null;
 let fullscreenElement = null;
 let currentDisplayMode = null; // tracks active mode: 'drawer' | 'pinned' | 'fullscreen'
@@ -180,13 +184,15 @@ function hideBackdrop() {
 /**
  * Open the scratch pad in the configured display mode
  * @param {string} [threadId] Optional thread ID to open directly
+ * @param {Object} [options]
+ * @param {Object} [options.newThread] Start a new thread with these startNewThread options instead of showing the thread list
  */
-export function openScratchPad(threadId = null) {
+export function openScratchPad(threadId = null, { newThread = null } = {}) {
     const mode = getDisplayMode();
 
     // Fullscreen mode (desktop only, falls back to drawer on mobile)
     if (mode === 'fullscreen' && !isMobileViewport()) {
-        openFullscreen(threadId);
+        openFullscreen(threadId, newThread);
         return;
     }
 
@@ -234,6 +240,8 @@ export function openScratchPad(threadId = null) {
     try {
         if (threadId) {
             openThread(threadId);
+        } else if (newThread) {
+            startNewThread(newThread);
         } else {
             renderThreadList(content);
         }
@@ -242,6 +250,30 @@ export function openScratchPad(threadId = null) {
     }
 }
 
+/**
+ * Open a new thread about a single main chat message, with the question input pre-filled
+ * @param {number} messageIndex Chat index (0-based) of the message
+ */
+export function askAboutMessage(messageIndex) {
+    const { chat } = SillyTavern.getContext();
+    const message = chat?.[messageIndex];
+    if (!message) {
+        showToast('Message not found', 'error');
+        return;
+    }
+
+    if (isPopupVisible()) {
+        dismissPopup();
+    }
+
+    openScratchPad(null, {
+        newThread: {
+            contextSettings: { focusMessageIndex: messageIndex },
+            draft: `About message #${messageIndex + 1}: `
+        }
+    });
+}
+
 /**
  * Create the fullscreen overlay and modal DOM
  */
@@ -321,8 +353,9 @@ function createFullscreen() {
 /**
  * Open the fullscreen display mode
  * @param {string} [threadId] Optional thread ID to open directly
+ * @param {Object} [newThread] startNewThread options to open a new thread with
  */
-function openFullscreen(threadId = null) {
+function openFullscreen(threadId = null, newThread = null) {
     if (!overlayElement || !overlayElement.isConnected) {
         createFullscreen();
     }
@@ -347,6 +380,8 @@ function openFullscreen(threadId = null) {
     if (mainContent) {
         if (threadId) {
             openThread(threadId);
+        } else if (newThread) {
+            startNewThread(newThread);
         } else {
             showFullscreenEmptyState(mainContent);
         }
@@ -484,6 +519,52 @@ export function refreshScratchPadUI() {
     }
 }
 
+/**
+ * Let the user know a queued question was answered or failed in the background
+ * @param {{threadId: string, result: Object}} event Queue 'finished' event
+ */
+function notifyQueuedAnswer({ threadId, result }) {
+    if (!result || result.cancelled) return;
+
+    if (!result.success) {
+        showToast(`Queued question failed: ${result.error}`, 'error');
+        return;
+    }
+
+    playCompletionSound();
+    const isViewing = isScratchPadOpen() && getCurrentThreadId() === threadId;
+    if (!isViewing) {
+        const thread = getThread(threadId);
+        showToast(`Answer ready in "${thread?.name || 'Scratch Pad'}"`, 'success');
+    }
+}
+
+/**
+ * Re-render the thread list if it is showing
+ */
+function refreshVisibleThreadList() {
+    const listContent = currentDisplayMode === 'fullscreen'
+        ? document.querySelector('.sp-fullscreen-sidebar .sp-drawer-content')
+        : drawerElement?.querySelector('.sp-drawer-content.sp-thread-list-view');
+    if (listContent) {
+        renderThreadList(listContent);
+    }
+}
+
+/**
+ * Update the views after a question queue change
+ * @param {{type: string, threadId: string|null, result: Object|null}} event Queue event
+ */
+function handleQueueEvent(event) {
+    if (event.type === 'finished') {
+        notifyQueuedAnswer(event);
+    }
+    if (!isScratchPadOpen()) return;
+
+    handleQueueChange(event);
+    refreshVisibleThreadList();
+}
+
 /**
  * Initialize the UI
  */
@@ -504,6 +585,13 @@ export function initUI() {
     document.body.classList.remove('sp-drawer-pinned');
     document.body.classList.remove('sp-fullscreen-open');
 
+    // "Quote in Scratch Pad" action for chat selections
+    initQuoteSelection();
+
+    // Show queued questions and their answers as they progress
+    if (queueUnsubscribe) queueUnsubscribe();
+    queueUnsubscribe = subscribeToQueue(handleQueueEvent);
+
     // Handle escape key to close (remove old listener first to prevent duplicates)
     if (keydownHandler) document.removeEventListener('keydown', keydownHandler);
     keydownHandler = (e) => {
@@ -632,6 +720,11 @@ export function disposeUI() {
         resizeBusUnsubscribe();
         resizeBusUnsubscribe = null;
     }
+    disposeQuoteSelection();
+    if (queueUnsubscribe) {
+        queueUnsubscribe();
+        queueUnsubscribe = null;
+    }
 
     // Clean up body classes
     document.body.classList.remove('sp-drawer-open');
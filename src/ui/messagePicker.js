@@ -0,0 +1,93 @@
+/**
+ * Dialog for hand-picking main chat messages to send as context
+ */
+
+import { formatMessageNumber } from './messageRefs.js';
+
+const PREVIEW_LENGTH = 120;
+
+/**
+ * Build a one-line preview of a chat message
+ * @param {Object} message Chat message
+ * @returns {string} Preview text
+ */
+function getMessagePreview(message) {
+    const text = String(message.mes || '').replace(/\s+/g, ' ').trim();
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+}
+
+/**
+ * Show a dialog listing the main chat's messages with checkboxes
+ * @param {number[]} selectedIndices Currently selected chat indices (0-based)
+ * @returns {Promise<number[]|null>} Selected indices in chat order, or null if cancelled
+ */
+export async function showChatMessagePicker(selectedIndices = []) {
+    const { callGenericPopup, POPUP_TYPE, chat } = SillyTavern.getContext();
+    if (!callGenericPopup || !POPUP_TYPE) return null;
+
+    const selected = new Set(selectedIndices);
+
+    const form = document.createElement('div');
+    form.className = 'sp-message-picker';
+    form.innerHTML = `
+        <h3>Choose chat messages</h3>
+        <input type="search" class="text_pole sp-message-picker-filter" placeholder="Filter messages...">
+        <div class="sp-message-picker-count"></div>
+        <div class="sp-message-picker-list"></div>
+    `;
+
+    const filterInput = form.querySelector('.sp-message-picker-filter');
+    const countEl = form.querySelector('.sp-message-picker-count');
+    const list = form.querySelector('.sp-message-picker-list');
+
+    const updateCount = () => {
+        countEl.textContent = `${selected.size} message${selected.size !== 1 ? 's' : ''} selected`;
+    };
+
+    (chat || []).forEach((message, index) => {
+        const row = document.createElement('label');
+        row.className = 'checkbox_label sp-message-picker-item';
+        row.dataset.search = `${message.name || ''} ${message.mes || ''}`.toLowerCase();
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selected.has(index);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selected.add(index);
+            } else {
+                selected.delete(index);
+            }
+            updateCount();
+        });
+
+        const text = document.createElement('span');
+        const speaker = document.createElement('strong');
+        speaker.textContent = `${formatMessageNumber(index + 1)} ${message.name || (message.is_user ? 'User' : 'Character')}: `;
+        text.append(speaker, getMessagePreview(message));
+
+        row.append(checkbox, text);
+        list.appendChild(row);
+    });
+
+    if (!chat || chat.length === 0) {
+        list.textContent = 'This chat has no messages yet.';
+    }
+
+    filterInput.addEventListener('input', () => {
+        const query = filterInput.value.trim().toLowerCase();
+        for (const row of list.querySelectorAll('.sp-message-picker-item')) {
+            row.style.display = !query || row.dataset.search.includes(query) ? '' : 'none';
+        }
+    });
+
+    updateCount();
+
+    const result = await callGenericPopup(form, POPUP_TYPE.CONFIRM, null, {
+        okButton: 'Use Selected',
+        cancelButton: 'Cancel'
+    });
+    if (result !== 1) return null;
+
+    return [...selected].sort((a, b) => a - b);
+}
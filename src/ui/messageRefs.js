@@ -0,0 +1,189 @@
+/**
+ * Clickable references to main chat messages ("#42", "message 42", "messages 40-42") in answers
+ */
+
+import { showToast } from './components.js';
+
+// "#42", "#40-42", "#40-#42", "message 42", "messages 40 to 42", "msg 42"
+const MESSAGE_REFERENCE_PATTERN = /(?:\b(?:messages?|msgs?)\s+#?(\d+)|(?<![\w&#])#(\d+)\b)(?:\s*(?:-|–|—|to)\s*#?(\d+)\b)?/gi;
+const PREVIEW_LENGTH = 300;
+const HIGHLIGHT_DURATION_MS = 2000;
+const SKIPPED_ELEMENTS = 'a, code, pre';
+
+let previewElement = null;
+
+/**
+ * Label a chat message number with the message ID SillyTavern shows for it.
+ * Scratch Pad numbers messages from 1, while SillyTavern's IDs start at 0.
+ * @param {number} number Message number (1-based)
+ * @returns {string} Label, e.g. "#12 (ST ID 11)"
+ */
+export function formatMessageNumber(number) {
+    return `#${number} (ST ID ${number - 1})`;
+}
+
+/**
+ * Find message references in text
+ * @param {string} text Text to search
+ * @param {number} chatLength Number of messages in the main chat (references outside 1..chatLength are ignored)
+ * @returns {Array<{index: number, length: number, start: number, end: number}>} References with their position in the text and 1-based message range
+ */
+export function findMessageReferences(text, chatLength) {
+    const references = [];
+    if (!text || !chatLength) return references;
+
+    for (const match of text.matchAll(MESSAGE_REFERENCE_PATTERN)) {
+        let start = parseInt(match[1] ?? match[2], 10);
+        let end = match[3] !== undefined ? parseInt(match[3], 10) : start;
+        if (start > end) {
+            [start, end] = [end, start];
+        }
+        if (start < 1 || end > chatLength) continue;
+
+        references.push({ index: match.index, length: match[0].length, start, end });
+    }
+
+    return references;
+}
+
+/**
+ * Scroll the main chat to a message and briefly highlight the referenced messages
+ * @param {number} start First message number (1-based)
+ * @param {number} [end] Last message number (1-based)
+ */
+export function scrollToChatMessage(start, end = start) {
+    const target = document.querySelector(`#chat .mes[mesid="${start - 1}"]`);
+    if (!target) {
+        showToast(`Message ${formatMessageNumber(start)} is not loaded in the chat. Scroll up in the chat to load older messages.`, 'info');
+        return;
+    }
+
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    for (let mesId = start - 1; mesId <= end - 1; mesId++) {
+        const messageEl = document.querySelector(`#chat .mes[mesid="${mesId}"]`);
+        if (!messageEl) continue;
+        messageEl.classList.remove('sp-message-ref-highlight');
+        // Force reflow so the highlight animation restarts
+        void messageEl.offsetWidth;
+        messageEl.classList.add('sp-message-ref-highlight');
+        setTimeout(() => messageEl.classList.remove('sp-message-ref-highlight'), HIGHLIGHT_DURATION_MS);
+    }
+}
+
+/**
+ * Build the preview text of the referenced messages
+ * @param {number} start First message number (1-based)
+ * @param {number} end Last message number (1-based)
+ * @returns {string} Preview text
+ */
+function getReferencePreview(start, end) {
+    const { chat } = SillyTavern.getContext();
+    const message = chat?.[start - 1];
+    if (!message) return '';
+
+    const text = String(message.mes || '').replace(/\s+/g, ' ').trim();
+    const preview = text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+    const more = end > start ? `\n(+${end - start} more message${end - start !== 1 ? 's' : ''})` : '';
+    return `${formatMessageNumber(start)} ${message.name || (message.is_user ? 'User' : 'Character')}: ${preview}${more}`;
+}
+
+/**
+ * Show the preview of a reference link's messages next to it
+ * @param {HTMLElement} link Reference link
+ */
+function showReferencePreview(link) {
+    const preview = getReferencePreview(Number(link.dataset.start), Number(link.dataset.end));
+    if (!preview) return;
+
+    if (!previewElement || !previewElement.isConnected) {
+        previewElement = document.createElement('div');
+        previewElement.className = 'sp-message-ref-preview';
+        document.body.appendChild(previewElement);
+    }
+
+    previewElement.textContent = preview;
+    previewElement.style.display = 'block';
+
+    const rect = link.getBoundingClientRect();
+    const top = rect.bottom + 6 + previewElement.offsetHeight > window.innerHeight
+        ? rect.top - previewElement.offsetHeight - 6
+        : rect.bottom + 6;
+    previewElement.style.top = `${Math.max(6, top)}px`;
+    previewElement.style.left = `${Math.max(6, Math.min(rect.left, window.innerWidth - previewElement.offsetWidth - 6))}px`;
+}
+
+/**
+ * Hide the reference preview
+ */
+function hideReferencePreview() {
+    if (previewElement) {
+        previewElement.style.display = 'none';
+    }
+}
+
+/**
+ * Create the link element for a reference
+ * @param {string} text Link text
+ * @param {number} start First message number (1-based)
+ * @param {number} end Last message number (1-based)
+ * @returns {HTMLAnchorElement} Link
+ */
+function createReferenceLink(text, start, end) {
+    const link = document.createElement('a');
+    link.className = 'sp-message-ref';
+    link.href = '#';
+    link.textContent = text;
+    link.dataset.start = String(start);
+    link.dataset.end = String(end);
+    link.setAttribute('aria-label', end > start
+        ? `Go to chat messages ${formatMessageNumber(start)} to ${formatMessageNumber(end)}`
+        : `Go to chat message ${formatMessageNumber(start)}`);
+
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        hideReferencePreview();
+        scrollToChatMessage(start, end);
+    });
+    link.addEventListener('mouseenter', () => showReferencePreview(link));
+    link.addEventListener('mouseleave', hideReferencePreview);
+
+    return link;
+}
+
+/**
+ * Turn message references in rendered content into links to the main chat
+ * @param {HTMLElement} container Rendered message content
+ */
+export function linkMessageReferences(container) {
+    const { chat } = SillyTavern.getContext();
+    const chatLength = chat?.length || 0;
+    if (!container || chatLength === 0) return;
+
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement?.closest(SKIPPED_ELEMENTS)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    for (const node of textNodes) {
+        const text = node.textContent;
+        const references = findMessageReferences(text, chatLength);
+        if (references.length === 0) continue;
+
+        const fragment = document.createDocumentFragment();
+        let position = 0;
+        for (const { index, length, start, end } of references) {
+            fragment.append(text.slice(position, index));
+            fragment.append(createReferenceLink(text.slice(index, index + length), start, end));
+            position = index + length;
+        }
+        fragment.append(text.slice(position));
+        node.replaceWith(fragment);
+    }
+}
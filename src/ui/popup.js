@@ -19,10 +19,11 @@ let currentPopupResponse = null;
 /**
  * Show the quick popup with a new thread and generate response
  * @param {string} message User's question
+ * @param {Object} [contextOverrides] Context settings to use instead of the defaults (e.g. focusMessageIndex)
  */
-export async function showQuickPopup(message) {
+export async function showQuickPopup(message, contextOverrides = {}) {
     // Create new thread with current context settings
-    const thread = createThread('New Thread', getCurrentContextSettings());
+    const thread = createThread('New Thread', { ...getCurrentContextSettings(), ...contextOverrides });
     if (!thread) {
         showToast('Failed to create thread', 'error');
         return;
@@ -193,7 +194,7 @@ function createPopupElement() {
         text: 'Cancel',
         className: 'sp-popup-cancel-btn',
         onClick: () => {
-            cancelGeneration();
+            cancelGeneration(currentPopupThreadId);
             showToast('Generation cancelled', 'info');
         }
     });
@@ -551,7 +552,7 @@ export function dismissPopup() {
 
     // Cancel any active generation when dismissing
     if (isPopupGenerating) {
-        cancelGeneration();
+        cancelGeneration(currentPopupThreadId);
     }
 
     popupElement.classList.remove('sp-popup-visible');
@@ -0,0 +1,138 @@
+/**
+ * Dialog showing the exact prompt payload a question is (or was) sent with
+ */
+
+import { showToast } from './components.js';
+
+/**
+ * Format a token count with its share of the prompt budget
+ * @param {number} tokens Token count
+ * @param {number|null} budget Prompt token budget
+ * @returns {string} Formatted count
+ */
+function formatTokens(tokens, budget) {
+    const count = `${tokens.toLocaleString()} token${tokens !== 1 ? 's' : ''}`;
+    return budget ? `${count} (${Math.round(tokens / budget * 100)}%)` : count;
+}
+
+/**
+ * Build the status line comparing the rebuilt prompt with the stored fingerprint
+ * @param {Object} inspection Result of inspectPrompt()/inspectMessagePrompt()
+ * @returns {string} Status text, or empty string for previews
+ */
+function getFingerprintStatus(inspection) {
+    if (!('changedSections' in inspection)) return '';
+    if (inspection.changedSections === null) {
+        return 'No fingerprint was stored with this answer (it was generated before prompt fingerprints existed). This is the prompt as it would be built now.';
+    }
+    if (inspection.changedSections.length === 0) {
+        return `This is the context this answer was generated with (fingerprint ${inspection.fingerprint.hash}).`;
+    }
+
+    const labels = inspection.changedSections.map(key => {
+        const section = inspection.sections.find(s => s.key === key);
+        return section ? section.label : `${key} (no longer sent)`;
+    });
+    return `The context changed since this answer was generated. Differs in: ${labels.join(', ')}.`;
+}
+
+/**
+ * Create a collapsible block with preformatted content
+ * @param {string} heading Summary text
+ * @param {string} content Block content
+ * @param {string} [className] Extra class
+ * @returns {HTMLDetailsElement} Details element
+ */
+function createBlock(heading, content, className = '') {
+    const details = document.createElement('details');
+    details.className = `sp-prompt-section ${className}`.trim();
+
+    const summary = document.createElement('summary');
+    summary.textContent = heading;
+
+    const pre = document.createElement('pre');
+    pre.textContent = content;
+
+    details.append(summary, pre);
+    return details;
+}
+
+/**
+ * Show the prompt inspector
+ * @param {Object} inspection Result of inspectPrompt() or inspectMessagePrompt()
+ * @param {string} [title] Dialog title
+ */
+export async function showPromptInspector(inspection, title = 'Prompt Preview') {
+    const { callGenericPopup, POPUP_TYPE } = SillyTavern.getContext();
+    if (!callGenericPopup || !POPUP_TYPE || !inspection) return;
+
+    const { messages, sections, totalTokens, budget, pendingSummaries } = inspection;
+    const changed = new Set(inspection.changedSections || []);
+
+    const dialog = document.createElement('div');
+    dialog.className = 'sp-prompt-inspector';
+
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    dialog.appendChild(heading);
+
+    const totals = document.createElement('div');
+    totals.className = 'sp-prompt-totals';
+    totals.textContent = budget
+        ? `About ${totalTokens.toLocaleString()} of ${budget.toLocaleString()} prompt tokens, in ${messages.length} message${messages.length !== 1 ? 's' : ''}`
+        : `About ${totalTokens.toLocaleString()} prompt tokens, in ${messages.length} message${messages.length !== 1 ? 's' : ''}`;
+    dialog.appendChild(totals);
+
+    const status = getFingerprintStatus(inspection);
+    if (status) {
+        const statusEl = document.createElement('div');
+        statusEl.className = `sp-prompt-status${changed.size > 0 ? ' sp-prompt-changed' : ''}`;
+        statusEl.textContent = status;
+        dialog.appendChild(statusEl);
+    }
+
+    if (pendingSummaries > 0) {
+        const note = document.createElement('div');
+        note.className = 'sp-prompt-note';
+        note.textContent = `${pendingSummaries} part${pendingSummaries !== 1 ? 's' : ''} of the older chat history ${pendingSummaries !== 1 ? 'are' : 'is'} not summarized yet and ${pendingSummaries !== 1 ? 'are' : 'is'} shown verbatim. ${pendingSummaries !== 1 ? 'They' : 'It'} will be summarized when the question is sent.`;
+        dialog.appendChild(note);
+    }
+
+    const sectionsHeading = document.createElement('h4');
+    sectionsHeading.textContent = 'Sections';
+    dialog.appendChild(sectionsHeading);
+
+    for (const section of sections) {
+        const marker = changed.has(section.key) ? ' • changed' : '';
+        dialog.appendChild(createBlock(
+            `${section.label} — ${formatTokens(section.tokens, budget)}${marker}`,
+            section.text,
+            marker ? 'sp-prompt-changed' : ''
+        ));
+    }
+
+    const payloadHeading = document.createElement('h4');
+    payloadHeading.textContent = 'Request payload';
+    dialog.appendChild(payloadHeading);
+
+    messages.forEach((message, index) => {
+        dialog.appendChild(createBlock(`${index + 1}. ${message.role}`, message.content));
+    });
+
+    const result = await callGenericPopup(dialog, POPUP_TYPE.TEXT, null, {
+        okButton: 'Close',
+        wide: true,
+        large: true,
+        allowVerticalScrolling: true,
+        customButtons: [{ text: 'Copy Payload', result: 2, classes: ['sp-prompt-copy'] }]
+    });
+
+    if (result === 2) {
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(messages, null, 2));
+            showToast('Prompt payload copied to clipboard', 'success');
+        } catch {
+            showToast('Failed to copy', 'error');
+        }
+    }
+}
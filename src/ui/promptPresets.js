@@ -0,0 +1,181 @@
+/**
+ * OOC prompt preset manager in the extension settings panel
+ */
+
+import { getSettings, updateSettings, getDefaultOocPrompt, getPromptPresets, getPromptPreset, getOocPrompt, createPromptPreset, renamePromptPreset, deletePromptPreset, exportPromptPresets, importPromptPresets } from '../settings.js';
+import { showPromptDialog, showConfirmDialog, showToast, downloadFile, pickTextFile } from './components.js';
+
+/**
+ * Fill a select with the default prompt and the saved presets
+ * @param {HTMLSelectElement} select Select element
+ * @param {string|null} selectedId Selected preset ID (missing presets select the default)
+ */
+export function populatePromptPresetSelect(select, selectedId) {
+    if (!select) return;
+
+    select.innerHTML = '<option value="">Default</option>';
+    for (const preset of getPromptPresets()) {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.name;
+        select.appendChild(option);
+    }
+    select.value = getPromptPreset(selectedId) ? selectedId : '';
+}
+
+/**
+ * Show the selected prompt preset in the settings panel: the select, its prompt and which buttons apply
+ */
+export function refreshPromptPresetUI() {
+    const settings = getSettings();
+
+    populatePromptPresetSelect(document.getElementById('sp_prompt_preset'), settings.promptPreset);
+
+    const oocPromptTextarea = document.getElementById('sp_ooc_prompt');
+    if (oocPromptTextarea) {
+        oocPromptTextarea.value = getOocPrompt(settings.promptPreset);
+    }
+
+    const isDefault = !getPromptPreset(settings.promptPreset);
+    for (const id of ['sp_rename_prompt_preset', 'sp_delete_prompt_preset']) {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = isDefault;
+        }
+    }
+}
+
+/**
+ * Select a preset in the settings panel
+ * @param {Object|null} preset Preset to select
+ */
+function selectPromptPreset(preset) {
+    if (!preset) return;
+    updateSettings({ promptPreset: preset.id });
+    refreshPromptPresetUI();
+}
+
+/**
+ * Update the prompt of the preset selected in the settings panel
+ * @param {string} prompt OOC system prompt
+ */
+function setSelectedPresetPrompt(prompt) {
+    const preset = getPromptPreset(getSettings().promptPreset);
+    if (preset) {
+        preset.prompt = prompt;
+        updateSettings({});
+    } else {
+        updateSettings({ oocSystemPrompt: prompt });
+    }
+}
+
+/**
+ * Add a listener unless the settings panel element already has one
+ * @param {HTMLElement|null} element Element
+ * @param {string} eventName Event name
+ * @param {Function} handler Event handler
+ */
+function bindOnce(element, eventName, handler) {
+    if (!element) return;
+    const key = `spBound${eventName.charAt(0).toUpperCase()}${eventName.slice(1)}`;
+    if (element.dataset[key]) return;
+    element.addEventListener(eventName, handler);
+    element.dataset[key] = 'true';
+}
+
+/**
+ * Import presets from a file picked by the user
+ */
+async function importPresetsFromFile() {
+    const text = await pickTextFile();
+    if (!text) return;
+
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch {
+        showToast('Import failed: file is not valid JSON', 'error');
+        return;
+    }
+
+    const result = importPromptPresets(bundle);
+    if (!result.success) {
+        showToast(`Import failed: ${result.error}`, 'error');
+        return;
+    }
+    refreshPromptPresetUI();
+    showToast(`Imported ${result.imported} preset${result.imported !== 1 ? 's' : ''}`, 'success');
+}
+
+/**
+ * Show the selected preset and bind the preset select, prompt editor and manager buttons
+ */
+export function initPromptPresetSettings() {
+    refreshPromptPresetUI();
+
+    // OOC prompt preset select
+    bindOnce(document.getElementById('sp_prompt_preset'), 'change', (e) => {
+        updateSettings({ promptPreset: e.target.value || null });
+        refreshPromptPresetUI();
+    });
+
+    // OOC system prompt textarea (edits the selected preset)
+    const oocPromptTextarea = document.getElementById('sp_ooc_prompt');
+    bindOnce(oocPromptTextarea, 'input', (e) => {
+        setSelectedPresetPrompt(e.target.value);
+    });
+
+    // Reset OOC prompt button
+    bindOnce(document.getElementById('sp_reset_ooc_prompt'), 'click', () => {
+        setSelectedPresetPrompt(getDefaultOocPrompt());
+        if (oocPromptTextarea) {
+            oocPromptTextarea.value = getDefaultOocPrompt();
+        }
+    });
+
+    // Prompt preset management buttons
+    bindOnce(document.getElementById('sp_new_prompt_preset'), 'click', async () => {
+        const name = await showPromptDialog('Name of the new preset:');
+        if (!name?.trim()) return;
+        selectPromptPreset(createPromptPreset(name, getDefaultOocPrompt()));
+    });
+
+    bindOnce(document.getElementById('sp_duplicate_prompt_preset'), 'click', () => {
+        const settings = getSettings();
+        const name = getPromptPreset(settings.promptPreset)?.name || 'Default';
+        selectPromptPreset(createPromptPreset(`${name} (copy)`, getOocPrompt(settings.promptPreset)));
+    });
+
+    bindOnce(document.getElementById('sp_rename_prompt_preset'), 'click', async () => {
+        const preset = getPromptPreset(getSettings().promptPreset);
+        if (!preset) return;
+        const name = await showPromptDialog('New name of the preset:', preset.name);
+        if (!name?.trim()) return;
+        renamePromptPreset(preset.id, name);
+        refreshPromptPresetUI();
+    });
+
+    bindOnce(document.getElementById('sp_delete_prompt_preset'), 'click', async () => {
+        const preset = getPromptPreset(getSettings().promptPreset);
+        if (!preset) return;
+        const confirmed = await showConfirmDialog(
+            `Delete the preset "${preset.name}"? Threads using it will use the default prompt.`,
+            { confirmText: 'Delete', cancelText: 'Cancel' }
+        );
+        if (!confirmed) return;
+        deletePromptPreset(preset.id);
+        refreshPromptPresetUI();
+    });
+
+    bindOnce(document.getElementById('sp_export_prompt_presets'), 'click', () => {
+        const bundle = exportPromptPresets();
+        if (bundle.presets.length === 0) {
+            showToast('No presets to export. The default prompt is not exported.', 'warning');
+            return;
+        }
+        downloadFile(JSON.stringify(bundle, null, 2), 'scratchpad-prompt-presets.json');
+        showToast(`Exported ${bundle.presets.length} preset${bundle.presets.length !== 1 ? 's' : ''}`, 'success');
+    });
+
+    bindOnce(document.getElementById('sp_import_prompt_presets'), 'click', () => importPresetsFromFile());
+}
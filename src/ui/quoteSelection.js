@@ -0,0 +1,162 @@
+/**
+ * "Quote in Scratch Pad" action for text selected in the main chat
+ */
+
+import { openScratchPad, isScratchPadOpen } from './index.js';
+import { insertIntoMessageInput } from './conversation.js';
+import { isChatActive } from '../generation.js';
+import { Icons, createButton } from './components.js';
+
+let quoteButton = null;
+let currentSelection = null;
+let showHandler = null;
+let hideHandler = null;
+
+/**
+ * Format selected chat text as a Markdown blockquote with a message reference
+ * @param {string} text Selected text
+ * @param {number} messageIndex Chat index (0-based) of the quoted message
+ * @param {string} [speaker] Name of the message's speaker
+ * @returns {string} Blockquote ending with a blank line
+ */
+export function formatChatQuote(text, messageIndex, speaker = '') {
+    const lines = text.trim().split('\n').map(line => line.trim() ? `> ${line.trimEnd()}` : '>');
+    const reference = speaker ? `${speaker}, #${messageIndex + 1}` : `#${messageIndex + 1}`;
+    return `${lines.join('\n')}\n> — ${reference}\n\n`;
+}
+
+/**
+ * Quote chat text into the open thread's input, or into a new thread if none is open
+ * @param {string} text Selected text
+ * @param {number} messageIndex Chat index (0-based) of the quoted message
+ */
+export function quoteInScratchPad(text, messageIndex) {
+    const { chat } = SillyTavern.getContext();
+    const quote = formatChatQuote(text, messageIndex, chat?.[messageIndex]?.name);
+
+    if (isScratchPadOpen() && insertIntoMessageInput(quote)) return;
+    openScratchPad(null, { newThread: { draft: quote } });
+}
+
+/**
+ * Get the current selection if it lies within the text of a single main chat message
+ * @returns {{text: string, messageIndex: number, rect: DOMRect}|null} Selection details
+ */
+function getChatSelection() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+    const text = selection.toString().trim();
+    if (!text) return null;
+
+    const range = selection.getRangeAt(0);
+    const toElement = node => (node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement);
+    const startText = toElement(range.startContainer)?.closest('#chat .mes .mes_text');
+    const endText = toElement(range.endContainer)?.closest('#chat .mes .mes_text');
+    if (!startText || startText !== endText) return null;
+
+    const messageIndex = Number(startText.closest('.mes').getAttribute('mesid'));
+    if (!Number.isInteger(messageIndex)) return null;
+
+    return { text, messageIndex, rect: range.getBoundingClientRect() };
+}
+
+/**
+ * Hide the floating quote button
+ */
+function hideQuoteButton() {
+    currentSelection = null;
+    if (quoteButton) {
+        quoteButton.style.display = 'none';
+    }
+}
+
+/**
+ * Show the floating quote button below the current chat selection
+ */
+function showQuoteButton() {
+    const selection = getChatSelection();
+    if (!selection || !isChatActive()) {
+        hideQuoteButton();
+        return;
+    }
+
+    if (!quoteButton || !quoteButton.isConnected) {
+        quoteButton = createQuoteButton();
+    }
+
+    currentSelection = selection;
+    const { rect } = selection;
+    quoteButton.style.display = 'flex';
+    const top = Math.min(rect.bottom + 6, window.innerHeight - quoteButton.offsetHeight - 6);
+    const left = Math.min(Math.max(6, rect.left), window.innerWidth - quoteButton.offsetWidth - 6);
+    quoteButton.style.top = `${top}px`;
+    quoteButton.style.left = `${left}px`;
+}
+
+/**
+ * Create the floating quote button
+ * @returns {HTMLElement} Button element
+ */
+function createQuoteButton() {
+    const button = createButton({
+        icon: Icons.quote,
+        text: 'Quote in Scratch Pad',
+        className: 'sp-quote-selection-btn',
+        onClick: () => {
+            if (!currentSelection) return;
+            const { text, messageIndex } = currentSelection;
+            window.getSelection()?.removeAllRanges();
+            hideQuoteButton();
+            quoteInScratchPad(text, messageIndex);
+        }
+    });
+    button.id = 'sp-quote-selection-btn';
+
+    // Keep the chat selection while pressing the button
+    button.addEventListener('mousedown', (e) => e.preventDefault());
+
+    document.body.appendChild(button);
+    return button;
+}
+
+/**
+ * Start showing the quote action for chat selections
+ */
+export function initQuoteSelection() {
+    disposeQuoteSelection();
+
+    // Wait for the selection to settle after the mouse/touch/key is released
+    showHandler = () => setTimeout(showQuoteButton, 0);
+    hideHandler = () => {
+        if (currentSelection && !getChatSelection()) {
+            hideQuoteButton();
+        }
+    };
+
+    document.addEventListener('mouseup', showHandler);
+    document.addEventListener('touchend', showHandler);
+    document.addEventListener('keyup', showHandler);
+    document.addEventListener('selectionchange', hideHandler);
+    document.getElementById('chat')?.addEventListener('scroll', hideQuoteButton, { passive: true });
+}
+
+/**
+ * Remove the quote action and its listeners
+ */
+export function disposeQuoteSelection() {
+    if (showHandler) {
+        document.removeEventListener('mouseup', showHandler);
+        document.removeEventListener('touchend', showHandler);
+        document.removeEventListener('keyup', showHandler);
+        showHandler = null;
+    }
+    if (hideHandler) {
+        document.removeEventListener('selectionchange', hideHandler);
+        hideHandler = null;
+    }
+    document.getElementById('chat')?.removeEventListener('scroll', hideQuoteButton);
+    quoteButton?.remove();
+    quoteButton = null;
+    currentSelection = null;
+}
@@ -0,0 +1,376 @@
+/**
+ * Markdown / HTML export of a single thread for sharing
+ */
+
+import { renderMarkdown, downloadFile, showToast } from './components.js';
+import { getPromptPreset } from '../settings.js';
+import { getActiveSamplerOverrides } from '../samplers.js';
+import { formatMessageNumber } from './messageRefs.js';
+
+const SAMPLER_LABELS = {
+    temperature: 'temperature',
+    topP: 'top P',
+    topK: 'top K',
+    frequencyPenalty: 'frequency penalty',
+    presencePenalty: 'presence penalty',
+    repetitionPenalty: 'repetition penalty',
+    maxTokens: 'max tokens',
+    seed: 'seed',
+    reasoningEffort: 'reasoning effort'
+};
+
+const ROLE_LABELS = {
+    user: 'You',
+    assistant: 'Assistant'
+};
+
+/**
+ * Format an ISO timestamp as an absolute date/time for exported documents
+ * @param {string} isoTimestamp ISO timestamp
+ * @returns {string} Formatted date/time, or empty string if invalid
+ */
+function formatExportTimestamp(isoTimestamp) {
+    if (!isoTimestamp) return '';
+    const { moment } = SillyTavern.libs || {};
+    if (moment) {
+        return moment(isoTimestamp).format('YYYY-MM-DD HH:mm');
+    }
+
+    const date = new Date(isoTimestamp);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+function formatGenerationDuration(genStarted, genFinished) {
+    const start = Date.parse(genStarted);
+    const finish = Date.parse(genFinished);
+    if (!Number.isFinite(start) || !Number.isFinite(finish) || finish < start) return '';
+
+    const seconds = (finish - start) / 1000;
+    if (seconds >= 100) return `${Math.round(seconds)}s`;
+    if (seconds >= 10) return `${seconds.toFixed(1)}s`;
+    return `${seconds.toFixed(2)}s`;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Describe which chat history range a thread's context settings select
+ * @param {Object} contextSettings Context settings
+ * @returns {string} Range description
+ */
+function describeHistoryRange(contextSettings) {
+    if (contextSettings.characterCardOnly) {
+        return 'Character card only';
+    }
+
+    if (contextSettings.useCurrentChatHistory === false) {
+        return 'Not included';
+    }
+
+    const mode = contextSettings.chatHistoryRangeMode || 'all';
+    const start = contextSettings.chatHistoryRangeStart;
+    const end = contextSettings.chatHistoryRangeEnd;
+
+    if (mode === 'selected' && contextSettings.chatHistorySelectedIndices?.length) {
+        return `Messages ${contextSettings.chatHistorySelectedIndices.map(index => index + 1).join(', ')}`;
+    }
+    if (mode === 'start_to' && end) return `Messages 1-${end}`;
+    if (mode === 'from_to_end' && start) return `Messages ${start} to end`;
+    if (mode === 'between' && start && end) return `Messages ${start}-${end}`;
+    return 'All messages';
+}
+
+/**
+ * Build the list of metadata lines shown at the top of an export
+ * @param {Object} thread Thread object
+ * @returns {Array<{label: string, value: string}>} Metadata entries
+ */
+function getThreadMetadata(thread) {
+    const contextSettings = thread.contextSettings || {};
+    const included = [];
+    if (contextSettings.includeCharacterCard !== false) included.push('character card');
+    if (contextSettings.includeSystemPrompt) included.push('system prompt');
+    if (contextSettings.includeAuthorsNote) included.push("author's note");
+    if (contextSettings.includePersona) included.push('user persona');
+    if (contextSettings.worldInfoMode === 'activated') included.push('activated world info');
+    if (contextSettings.worldInfoMode === 'books' && contextSettings.worldInfoBooks?.length) {
+        included.push(`world info (${contextSettings.worldInfoBooks.join(', ')})`);
+    }
+
+    const entries = [
+        { label: 'Created', value: formatExportTimestamp(thread.createdAt) },
+        { label: 'Updated', value: formatExportTimestamp(thread.updatedAt) },
+        { label: 'Chat history', value: describeHistoryRange(contextSettings) },
+        { label: 'Also included', value: included.length > 0 ? included.join(', ') : 'nothing' }
+    ];
+
+    if (Number.isInteger(contextSettings.focusMessageIndex)) {
+        entries.push({ label: 'About', value: `Chat message ${formatMessageNumber(contextSettings.focusMessageIndex + 1)}` });
+    }
+
+    const preset = getPromptPreset(contextSettings.promptPreset);
+    if (preset) {
+        entries.push({ label: 'Prompt preset', value: preset.name });
+    }
+
+    if (contextSettings.connectionProfile) {
+        entries.push({ label: 'Connection profile', value: contextSettings.connectionProfile });
+    }
+
+    const samplerOverrides = getActiveSamplerOverrides(contextSettings.samplerOverrides);
+    if (samplerOverrides) {
+        entries.push({
+            label: 'Sampler overrides',
+            value: Object.entries(samplerOverrides).map(([field, value]) => `${SAMPLER_LABELS[field]} ${value}`).join(', ')
+        });
+    }
+
+    return entries.filter(entry => entry.value);
+}
+
+/**
+ * Collect the responses to export for a message
+ * @param {Object} message Message object
+ * @param {boolean} allSwipes Whether to include every swipe or only the active one
+ * @returns {Array<Object>} Entries with content, thinking, timing and swipe position
+ */
+function getMessageVariants(message, allSwipes) {
+    const swipes = Array.isArray(message.swipes) && message.swipes.length > 0 ? message.swipes : null;
+
+    if (message.role !== 'assistant' || !swipes || !allSwipes) {
+        return [{
+            content: message.content || '',
+            thinking: message.thinking || null,
+            timestamp: message.timestamp,
+            genStarted: message.gen_started,
+            genFinished: message.gen_finished,
+            swipeIndex: null,
+            swipeCount: swipes ? swipes.length : 1,
+            active: true
+        }];
+    }
+
+    const activeIndex = message.swipeId ?? 0;
+    return swipes.map((content, index) => ({
+        content: content || '',
+        thinking: message.swipeThinking?.[index] || null,
+        timestamp: message.swipeTimestamps?.[index] || message.timestamp,
+        genStarted: message.swipeGenStarted?.[index],
+        genFinished: message.swipeGenFinished?.[index],
+        swipeIndex: index,
+        swipeCount: swipes.length,
+        active: index === activeIndex
+    }));
+}
+
+/**
+ * Build the heading text for a message (role, time, duration, swipe position)
+ * @param {Object} message Message object
+ * @param {Object} variant Entry from getMessageVariants
+ * @returns {string} Heading text
+ */
+function getMessageHeading(message, variant) {
+    const parts = [ROLE_LABELS[message.role] || message.role];
+
+    if (variant.swipeIndex !== null && variant.swipeCount > 1) {
+        parts[0] += ` (swipe ${variant.swipeIndex + 1} of ${variant.swipeCount}${variant.active ? ', active' : ''})`;
+    }
+
+    const time = formatExportTimestamp(variant.timestamp);
+    if (time) parts.push(time);
+
+    const duration = formatGenerationDuration(variant.genStarted, variant.genFinished);
+    if (duration) parts.push(`generated in ${duration}`);
+
+    return parts.join(' · ');
+}
+
+/**
+ * Get the messages that belong in an export (completed messages only)
+ * @param {Object} thread Thread object
+ * @returns {Array<Object>} Messages
+ */
+function getExportableMessages(thread) {
+    return (thread.messages || []).filter(msg => msg.status === 'complete' && (msg.content || msg.swipes?.length));
+}
+
+/**
+ * Format a thread as a Markdown document
+ * @param {Object} thread Thread object
+ * @param {Object} [options] Export options
+ * @param {boolean} [options.allSwipes=false] Include every swipe instead of only the active one
+ * @param {boolean} [options.includeThinking=true] Include Model Thinking sections
+ * @returns {string} Markdown document
+ */
+export function formatThreadAsMarkdown(thread, options = {}) {
+    const { allSwipes = false, includeThinking = true } = options;
+    const lines = [`# ${thread.name}`, ''];
+
+    for (const { label, value } of getThreadMetadata(thread)) {
+        lines.push(`- **${label}:** ${value}`);
+    }
+
+    for (const message of getExportableMessages(thread)) {
+        for (const variant of getMessageVariants(message, allSwipes)) {
+            lines.push('', '---', '', `### ${getMessageHeading(message, variant)}`, '');
+
+            if (includeThinking && variant.thinking) {
+                lines.push('> **💭 Model Thinking**', '>');
+                for (const line of variant.thinking.trim().split('\n')) {
+                    lines.push(line ? `> ${line}` : '>');
+                }
+                lines.push('');
+            }
+
+            lines.push(variant.content.trim());
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a thread as a standalone HTML document
+ * @param {Object} thread Thread object
+ * @param {Object} [options] Export options (see formatThreadAsMarkdown)
+ * @returns {string} HTML document
+ */
+export function formatThreadAsHtml(thread, options = {}) {
+    const { allSwipes = false, includeThinking = true } = options;
+    const title = escapeHtml(thread.name);
+
+    const metadata = getThreadMetadata(thread)
+        .map(({ label, value }) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`)
+        .join('\n');
+
+    const messages = [];
+    for (const message of getExportableMessages(thread)) {
+        for (const variant of getMessageVariants(message, allSwipes)) {
+            const thinking = includeThinking && variant.thinking
+                ? `<details class="thinking"><summary>💭 Model Thinking</summary>${renderMarkdown(variant.thinking)}</details>`
+                : '';
+            messages.push(`<section class="message message-${escapeHtml(message.role)}">
+<h3>${escapeHtml(getMessageHeading(message, variant))}</h3>
+${thinking}
+<div class="content">${renderMarkdown(variant.content)}</div>
+</section>`);
+        }
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: sans-serif; max-width: 800px; margin: 2em auto; padding: 0 1em; line-height: 1.5; }
+.message { border-top: 1px solid #ccc; padding: 0.5em 0; }
+.message h3 { font-size: 0.9em; color: #666; margin: 0.5em 0; }
+.message-user .content { background: #f3f3f3; padding: 0.25em 0.75em; border-radius: 6px; }
+.thinking { color: #666; font-size: 0.9em; margin-bottom: 0.5em; }
+blockquote { border-left: 3px solid #ccc; margin-left: 0; padding-left: 1em; color: #555; }
+pre { background: #f6f6f6; padding: 0.5em; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<ul class="metadata">
+${metadata}
+</ul>
+${messages.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a safe file name for a thread export
+ * @param {Object} thread Thread object
+ * @param {string} extension File extension without dot
+ * @returns {string} File name
+ */
+function getExportFilename(thread, extension) {
+    const slug = String(thread.name || 'thread')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'thread';
+    return `scratchpad-${slug}.${extension}`;
+}
+
+/**
+ * Show the export dialog for a thread, then download or copy the result
+ * @param {Object} thread Thread object (branch-filtered, as displayed)
+ */
+export async function showThreadExportDialog(thread) {
+    if (!thread) return;
+
+    const { callGenericPopup, POPUP_TYPE } = SillyTavern.getContext();
+    let format = 'markdown';
+    let allSwipes = false;
+    let includeThinking = true;
+    let action = 'download';
+
+    if (callGenericPopup && POPUP_TYPE) {
+        const form = document.createElement('div');
+        form.className = 'sp-export-dialog';
+        form.innerHTML = `
+            <h3>Export "${escapeHtml(thread.name)}"</h3>
+            <label class="sp-export-option">
+                <span>Format</span>
+                <select class="text_pole sp-export-format">
+                    <option value="markdown">Markdown</option>
+                    <option value="html">HTML</option>
+                </select>
+            </label>
+            <label class="checkbox_label sp-export-option">
+                <input type="checkbox" class="sp-export-all-swipes">
+                <span>Include all swipes (not just the active one)</span>
+            </label>
+            <label class="checkbox_label sp-export-option">
+                <input type="checkbox" class="sp-export-thinking" checked>
+                <span>Include Model Thinking</span>
+            </label>
+        `;
+
+        const result = await callGenericPopup(form, POPUP_TYPE.CONFIRM, null, {
+            okButton: 'Download',
+            cancelButton: 'Cancel',
+            customButtons: [{ text: 'Copy', result: 2, classes: ['sp-export-copy'] }]
+        });
+
+        if (result !== 1 && result !== 2) return;
+
+        format = form.querySelector('.sp-export-format').value;
+        allSwipes = form.querySelector('.sp-export-all-swipes').checked;
+        includeThinking = form.querySelector('.sp-export-thinking').checked;
+        action = result === 2 ? 'copy' : 'download';
+    }
+
+    const options = { allSwipes, includeThinking };
+    const isHtml = format === 'html';
+    const content = isHtml ? formatThreadAsHtml(thread, options) : formatThreadAsMarkdown(thread, options);
+
+    if (action === 'copy') {
+        try {
+            await navigator.clipboard.writeText(content);
+            showToast('Copied to clipboard', 'success');
+        } catch {
+            showToast('Failed to copy', 'error');
+        }
+        return;
+    }
+
+    downloadFile(
+        content,
+        getExportFilename(thread, isHtml ? 'html' : 'md'),
+        isHtml ? 'text/html' : 'text/markdown'
+    );
+    showToast(`Exported "${thread.name}"`, 'success');
+}
@@ -2,10 +2,11 @@
  * Thread List View component for Scratch Pad extension
  */
 
-import { getThreads, getThreadsForCurrentBranch, getCurrentChatLength, createThread, deleteThread, updateThread, saveMetadata } from '../storage.js';
-import { getCurrentContextSettings } from '../settings.js';
-import { formatTimestamp, truncateText, createButton, showConfirmDialog, showPromptDialog, showToast, Icons } from './components.js';
-import { isPinnedMode, togglePinnedMode } from './index.js';
+import { getThreads, getThreadsForCurrentBranch, getCurrentChatLength, createThread, deleteThread, updateThread, saveMetadata, exportThreads, importThreads, validateThreadBundle, getLibraryThreadsForCharacter, promoteThreadToLibrary, getCurrentCharacterAvatar, getCharacterThreads, bindThreadToCharacter, unbindThreadFromCharacter, getTrash, restoreFromTrash, purgeTrashEntry, emptyTrash, setThreadTags, setThreadFolder, setThreadPinned, setThreadArchived, reorderThreads, sortThreads } from '../storage.js';
+import { getCurrentContextSettings, getSettings, updateSettings } from '../settings.js';
+import { formatTimestamp, truncateText, createButton, showConfirmDialog, showPromptDialog, showToast, showUndoToast, downloadFile, pickTextFile, Icons } from './components.js';
+import { isPinnedMode, togglePinnedMode, refreshScratchPadUI } from './index.js';
+import { getQueuedQuestions, getUnreadAnswerCount, isGenerationActive } from '../generation.js';
 
 // Dynamic import to avoid circular dependency
 let conversationModule = null;
@@ -17,21 +18,38 @@ async function getConversationModule() {
 }
 
 let threadListContainer = null;
+let currentTab = 'chat';
 let currentSearchQuery = '';
 let searchDebounceTimer = null;
 const searchIndexCache = new Map();
 const SEARCH_DEBOUNCE_MS = 180;
 const MAX_SEARCH_RESULTS = 50;
 const SNIPPET_RADIUS = 42;
+const SEARCH_OPERATOR_PATTERN = /(?:^|\s)(tag|folder):(?:"([^"]*)"|(\S+))/gi;
+const expandedFolders = new Set();
+let archiveExpanded = false;
+let draggedThreadId = null;
+
+const SORT_LABELS = {
+    updated: 'Last updated',
+    created: 'Newest first',
+    name: 'Name',
+    messages: 'Most messages',
+    custom: 'Custom (drag to reorder)'
+};
 
 /**
  * Reset transient thread-list state when closing Scratch Pad or changing chats.
  */
 export function resetThreadListState() {
+    currentTab = 'chat';
     currentSearchQuery = '';
     clearTimeout(searchDebounceTimer);
     searchDebounceTimer = null;
     searchIndexCache.clear();
+    expandedFolders.clear();
+    archiveExpanded = false;
+    draggedThreadId = null;
 }
 
 /**
@@ -64,6 +82,22 @@ export function renderThreadList(container) {
 
     header.appendChild(titleContainer);
 
+    const exportBtn = createButton({
+        icon: Icons.exportFile,
+        className: 'sp-header-btn sp-export-btn',
+        ariaLabel: 'Export all threads',
+        onClick: () => exportThreadsToFile()
+    });
+    header.appendChild(exportBtn);
+
+    const importBtn = createButton({
+        icon: Icons.importFile,
+        className: 'sp-header-btn sp-import-btn',
+        ariaLabel: 'Import threads',
+        onClick: () => importThreadsFromFile()
+    });
+    header.appendChild(importBtn);
+
     // Pin button
     const pinBtn = createButton({
         icon: Icons.pin,
@@ -97,8 +131,52 @@ export function renderThreadList(container) {
         onClick: () => handleNewThread()
     });
     actionBar.appendChild(newThreadBtn);
+
+    const sortSelect = document.createElement('select');
+    sortSelect.className = 'text_pole sp-thread-sort';
+    sortSelect.setAttribute('aria-label', 'Sort threads');
+    for (const [value, label] of Object.entries(SORT_LABELS)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        sortSelect.appendChild(option);
+    }
+    sortSelect.value = getSettings().threadSortOrder;
+    sortSelect.addEventListener('change', () => {
+        updateSettings({ threadSortOrder: sortSelect.value });
+        renderThreadContent(listContainer, searchMeta, currentSearchQuery);
+    });
+    actionBar.appendChild(sortSelect);
     container.appendChild(actionBar);
 
+    // Tabs: threads in this chat vs. the cross-chat library
+    const tabs = document.createElement('div');
+    tabs.className = 'sp-thread-tabs';
+    tabs.setAttribute('role', 'tablist');
+
+    const libraryCount = getLibraryThreadsForCharacter().length;
+    const trashCount = getTrash().length;
+    const tabDefs = [
+        ['chat', 'This Chat'],
+        ['library', `Library${libraryCount > 0 ? ` (${libraryCount})` : ''}`],
+        ['trash', `Trash${trashCount > 0 ? ` (${trashCount})` : ''}`]
+    ];
+    for (const [tab, label] of tabDefs) {
+        const tabBtn = createButton({
+            text: label,
+            className: `sp-thread-tab ${currentTab === tab ? 'sp-thread-tab-active' : ''}`,
+            onClick: () => {
+                if (currentTab === tab) return;
+                currentTab = tab;
+                renderThreadList(container);
+            }
+        });
+        tabBtn.setAttribute('role', 'tab');
+        tabBtn.setAttribute('aria-selected', String(currentTab === tab));
+        tabs.appendChild(tabBtn);
+    }
+    container.appendChild(tabs);
+
     // Search
     const searchContainer = document.createElement('div');
     searchContainer.className = 'sp-thread-search-container';
@@ -106,7 +184,7 @@ export function renderThreadList(container) {
     const searchInput = document.createElement('input');
     searchInput.type = 'search';
     searchInput.className = 'sp-thread-search-input';
-    searchInput.placeholder = 'Search threads...';
+    searchInput.placeholder = 'Search threads... (tag:name, folder:name)';
     searchInput.value = currentSearchQuery;
     searchInput.setAttribute('aria-label', 'Search scratch pad threads');
 
@@ -123,8 +201,15 @@ export function renderThreadList(container) {
         }, SEARCH_DEBOUNCE_MS);
     });
 
+    const filterBar = createFilterBar();
+    if (filterBar) {
+        searchContainer.appendChild(filterBar);
+    }
     searchContainer.appendChild(searchInput);
     searchContainer.appendChild(searchMeta);
+    if (currentTab === 'trash') {
+        searchContainer.style.display = 'none';
+    }
     container.appendChild(searchContainer);
 
     // Thread list
@@ -180,6 +265,12 @@ function renderThreadContent(listContainer, searchMeta, query = '') {
     listContainer.innerHTML = '';
     const trimmedQuery = query.trim();
 
+    if (currentTab === 'trash') {
+        searchMeta.textContent = '';
+        renderTrash(listContainer);
+        return;
+    }
+
     if (trimmedQuery) {
         renderSearchResults(listContainer, searchMeta, trimmedQuery);
         return;
@@ -187,15 +278,24 @@ function renderThreadContent(listContainer, searchMeta, query = '') {
 
     searchMeta.textContent = '';
 
-    const threads = getThreadsForCurrentBranch();
+    if (currentTab === 'library') {
+        renderLibraryThreads(listContainer);
+        return;
+    }
 
-    // Partition threads by branch relevance
+    const sortOrder = getSettings().threadSortOrder;
+    const threads = sortThreads(getThreadsForCurrentBranch(), sortOrder);
+
+    // Partition threads by branch relevance; archived threads go to their own section
     const currentBranchThreads = [];
     const offBranchThreads = [];
     const emptyThreads = [];
+    const archivedThreads = [];
 
     for (const thread of threads) {
-        if (thread.messages.length > 0) {
+        if (thread.archived) {
+            archivedThreads.push(thread);
+        } else if (thread.messages.length > 0) {
             currentBranchThreads.push(thread);
         } else if (thread.branchedMessages && thread.branchedMessages.length > 0) {
             offBranchThreads.push(thread);
@@ -204,7 +304,7 @@ function renderThreadContent(listContainer, searchMeta, query = '') {
         }
     }
 
-    if (currentBranchThreads.length === 0 && offBranchThreads.length === 0 && emptyThreads.length === 0) {
+    if (threads.length === 0) {
         const emptyState = document.createElement('div');
         emptyState.className = 'sp-empty-state';
         emptyState.innerHTML = `
@@ -215,12 +315,7 @@ function renderThreadContent(listContainer, searchMeta, query = '') {
         listContainer.appendChild(emptyState);
     } else {
         // Main list: threads with messages in current branch, then empty threads
-        for (const thread of currentBranchThreads) {
-            listContainer.appendChild(createThreadItem(thread));
-        }
-        for (const thread of emptyThreads) {
-            listContainer.appendChild(createThreadItem(thread));
-        }
+        appendThreadsByFolder(listContainer, [...currentBranchThreads, ...emptyThreads]);
 
         // Off-branch threads in collapsible section
         if (offBranchThreads.length > 0) {
@@ -241,18 +336,370 @@ function renderThreadContent(listContainer, searchMeta, query = '') {
 
             listContainer.appendChild(details);
         }
+
+        appendArchivedThreads(listContainer, archivedThreads);
+    }
+}
+
+/**
+ * Render library threads visible from the current chat (global and current-character threads).
+ * @param {HTMLElement} listContainer Thread list container
+ */
+function renderLibraryThreads(listContainer) {
+    const threads = getLibraryThreadsForCharacter();
+
+    if (threads.length === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'sp-empty-state';
+        emptyState.innerHTML = `
+            <div class="sp-empty-icon">${Icons.library}</div>
+            <p>The library is empty.</p>
+            <p>Use the ${Icons.library} button on a thread to keep it available in every chat.</p>
+        `;
+        listContainer.appendChild(emptyState);
+        return;
+    }
+
+    const sorted = sortThreads(threads, getSettings().threadSortOrder);
+    appendThreadsByFolder(listContainer, sorted.filter(t => !t.archived));
+    appendArchivedThreads(listContainer, sorted.filter(t => t.archived));
+}
+
+/**
+ * Append the collapsible archive section (collapsed by default).
+ * @param {HTMLElement} listContainer Thread list container
+ * @param {Array} threads Archived threads in display order
+ */
+function appendArchivedThreads(listContainer, threads) {
+    if (threads.length === 0) return;
+
+    const details = document.createElement('details');
+    details.className = 'sp-offbranch-threads sp-archived-threads';
+    details.open = archiveExpanded;
+    details.addEventListener('toggle', () => {
+        archiveExpanded = details.open;
+    });
+
+    const summary = document.createElement('summary');
+    summary.textContent = `${Icons.archive} Archived (${threads.length})`;
+    details.appendChild(summary);
+
+    const content = document.createElement('div');
+    content.className = 'sp-offbranch-threads-content';
+    for (const thread of threads) {
+        content.appendChild(createThreadItem(thread));
     }
+    details.appendChild(content);
+
+    listContainer.appendChild(details);
 }
 
 /**
- * Render search results across all stored threads for the current chat.
+ * Append thread items: pinned threads first, then foldered threads in collapsible
+ * sections, then unfiled threads.
+ * @param {HTMLElement} listContainer Thread list container
+ * @param {Array} threads Threads in display order
+ */
+function appendThreadsByFolder(listContainer, threads) {
+    const folders = new Map();
+    const pinned = [];
+    const unfiled = [];
+
+    for (const thread of threads) {
+        if (thread.pinned) {
+            pinned.push(thread);
+        } else if (thread.folder) {
+            if (!folders.has(thread.folder)) folders.set(thread.folder, []);
+            folders.get(thread.folder).push(thread);
+        } else {
+            unfiled.push(thread);
+        }
+    }
+
+    for (const thread of pinned) {
+        listContainer.appendChild(createThreadItem(thread));
+    }
+
+    const folderNames = [...folders.keys()].sort((a, b) => a.localeCompare(b));
+    for (const folder of folderNames) {
+        const folderThreads = folders.get(folder);
+        const details = document.createElement('details');
+        details.className = 'sp-thread-folder-group';
+        details.open = expandedFolders.has(folder);
+        details.addEventListener('toggle', () => {
+            if (details.open) {
+                expandedFolders.add(folder);
+            } else {
+                expandedFolders.delete(folder);
+            }
+        });
+
+        const summary = document.createElement('summary');
+        summary.textContent = `${Icons.folder} ${folder} (${folderThreads.length})`;
+        details.appendChild(summary);
+
+        const content = document.createElement('div');
+        content.className = 'sp-thread-folder-content';
+        for (const thread of folderThreads) {
+            content.appendChild(createThreadItem(thread));
+        }
+        details.appendChild(content);
+
+        listContainer.appendChild(details);
+    }
+
+    for (const thread of unfiled) {
+        listContainer.appendChild(createThreadItem(thread));
+    }
+}
+
+/**
+ * Get the threads the current tab lists, for search and the filter bar.
+ * @returns {Array} Threads
+ */
+function getTabThreads() {
+    return currentTab === 'library' ? getLibraryThreadsForCharacter() : [...getThreads(), ...getCharacterThreads()];
+}
+
+/**
+ * Create the tag/folder filter bar. Each chip toggles a `tag:` or `folder:` operator in the search query.
+ * @returns {HTMLElement|null} Filter bar, or null if no thread in this tab has tags or a folder
+ */
+function createFilterBar() {
+    if (currentTab === 'trash') return null;
+
+    const folders = new Set();
+    const tags = new Map();
+    for (const thread of getTabThreads()) {
+        if (thread.folder) folders.add(thread.folder);
+        for (const tag of thread.tags || []) {
+            const key = normalizeSearchText(tag);
+            if (!tags.has(key)) tags.set(key, tag);
+        }
+    }
+
+    if (folders.size === 0 && tags.size === 0) return null;
+
+    const active = parseSearchQuery(currentSearchQuery);
+    const filterBar = document.createElement('div');
+    filterBar.className = 'sp-thread-filter-bar';
+    filterBar.setAttribute('aria-label', 'Filter threads by folder or tag');
+
+    const addChip = (key, value, label, isActive) => {
+        const chip = createButton({
+            text: label,
+            className: `sp-filter-chip sp-filter-chip-${key} ${isActive ? 'sp-filter-chip-active' : ''}`,
+            onClick: () => toggleSearchFilter(key, value)
+        });
+        chip.setAttribute('aria-pressed', String(isActive));
+        filterBar.appendChild(chip);
+    };
+
+    for (const folder of [...folders].sort((a, b) => a.localeCompare(b))) {
+        addChip('folder', folder, `${Icons.folder} ${folder}`, isSameLabel(active.folder, folder));
+    }
+    for (const tag of [...tags.values()].sort((a, b) => a.localeCompare(b))) {
+        addChip('tag', tag, `#${tag}`, active.tags.some(t => isSameLabel(t, tag)));
+    }
+
+    return filterBar;
+}
+
+/**
+ * Add or remove a `tag:`/`folder:` operator in the search query and re-render the list.
+ * A query can filter by several tags but only one folder.
+ * @param {'tag'|'folder'} key Operator
+ * @param {string} value Tag or folder name
+ */
+function toggleSearchFilter(key, value) {
+    const parsed = parseSearchQuery(currentSearchQuery);
+    let { tags, folder } = parsed;
+
+    if (key === 'tag') {
+        tags = tags.some(t => isSameLabel(t, value))
+            ? tags.filter(t => !isSameLabel(t, value))
+            : [...tags, value];
+    } else {
+        folder = isSameLabel(folder, value) ? null : value;
+    }
+
+    const parts = [
+        folder ? formatSearchOperator('folder', folder) : '',
+        ...tags.map(tag => formatSearchOperator('tag', tag)),
+        parsed.text
+    ];
+    currentSearchQuery = parts.filter(Boolean).join(' ');
+    clearTimeout(searchDebounceTimer);
+    if (threadListContainer) {
+        renderThreadList(threadListContainer);
+    }
+}
+
+/**
+ * Format a search operator, quoting values that contain spaces.
+ * @param {'tag'|'folder'} key Operator
+ * @param {string} value Operator value
+ * @returns {string} Operator text
+ */
+function formatSearchOperator(key, value) {
+    return /\s/.test(value) ? `${key}:"${value}"` : `${key}:${value}`;
+}
+
+/**
+ * Split a search query into free text and `tag:`/`folder:` operators.
+ * Values with spaces are quoted: `folder:"Plot ideas"`.
+ * @param {string} query Raw query
+ * @returns {{text: string, tags: string[], folder: string|null}} Parsed query
+ */
+export function parseSearchQuery(query) {
+    const tags = [];
+    let folder = null;
+
+    const text = (query || '').replace(SEARCH_OPERATOR_PATTERN, (match, key, quoted, bare) => {
+        const value = (quoted ?? bare).trim();
+        if (value) {
+            if (key.toLowerCase() === 'tag') {
+                tags.push(value);
+            } else {
+                folder = value;
+            }
+        }
+        return ' ';
+    }).replace(/\s+/g, ' ').trim();
+
+    return { text, tags, folder };
+}
+
+/**
+ * Compare tag/folder names case-insensitively.
+ * @param {string|null} a First name
+ * @param {string|null} b Second name
+ * @returns {boolean} Whether both name the same tag/folder
+ */
+function isSameLabel(a, b) {
+    return !!a && !!b && normalizeSearchText(a) === normalizeSearchText(b);
+}
+
+/**
+ * Check whether a thread matches the tag/folder operators of a query (all tags must match).
+ * @param {Object} thread Thread object
+ * @param {string[]} tags Required tags
+ * @param {string|null} folder Required folder
+ * @returns {boolean} Whether the thread matches
+ */
+function matchesThreadFilters(thread, tags, folder) {
+    if (folder && !isSameLabel(thread.folder, folder)) return false;
+    return tags.every(tag => (thread.tags || []).some(t => isSameLabel(t, tag)));
+}
+
+/**
+ * Render the trash bin: deleted threads and messages with restore/purge actions.
+ * @param {HTMLElement} listContainer Thread list container
+ */
+function renderTrash(listContainer) {
+    const entries = getTrash();
+
+    if (entries.length === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'sp-empty-state';
+        emptyState.innerHTML = `
+            <div class="sp-empty-icon">${Icons.trash}</div>
+            <p>The trash is empty.</p>
+            <p>Deleted threads and messages from this chat, the library and this character appear here.</p>
+        `;
+        listContainer.appendChild(emptyState);
+        return;
+    }
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'sp-trash-toolbar';
+
+    const retentionDays = getSettings().trashRetentionDays;
+    const noteEl = document.createElement('span');
+    noteEl.className = 'sp-trash-note';
+    noteEl.textContent = retentionDays > 0
+        ? `Items are deleted permanently after ${retentionDays} day${retentionDays !== 1 ? 's' : ''}.`
+        : 'Items stay here until you empty the trash.';
+    toolbar.appendChild(noteEl);
+
+    toolbar.appendChild(createButton({
+        text: 'Empty Trash',
+        className: 'sp-empty-trash-btn',
+        onClick: () => handleEmptyTrash()
+    }));
+    listContainer.appendChild(toolbar);
+
+    for (const entry of entries) {
+        listContainer.appendChild(createTrashItem(entry));
+    }
+}
+
+/**
+ * Create a trash list item element
+ * @param {Object} entry Trash entry
+ * @returns {HTMLElement} Trash item element
+ */
+function createTrashItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'sp-thread-item sp-trash-item';
+    item.dataset.trashId = entry.id;
+
+    const mainContent = document.createElement('div');
+    mainContent.className = 'sp-thread-main';
+
+    const nameEl = document.createElement('div');
+    nameEl.className = 'sp-thread-name';
+    const previewEl = document.createElement('div');
+    previewEl.className = 'sp-thread-preview';
+
+    if (entry.type === 'thread') {
+        const count = entry.thread.messages?.length || 0;
+        nameEl.textContent = entry.thread.name;
+        const kind = entry.thread.library ? 'Library thread' : (entry.thread.character ? 'Character thread' : 'Thread');
+        previewEl.textContent = `${kind} · ${count} message${count !== 1 ? 's' : ''}`;
+    } else {
+        nameEl.textContent = `${entry.message.role === 'user' ? 'Question' : 'Answer'} in "${entry.threadName || 'Unknown thread'}"`;
+        previewEl.textContent = truncateText(entry.message.content || '', 60);
+    }
+
+    const timeEl = document.createElement('div');
+    timeEl.className = 'sp-thread-time';
+    timeEl.textContent = `Deleted ${formatTimestamp(entry.deletedAt)}`;
+
+    mainContent.appendChild(nameEl);
+    mainContent.appendChild(previewEl);
+    mainContent.appendChild(timeEl);
+    item.appendChild(mainContent);
+
+    const actions = document.createElement('div');
+    actions.className = 'sp-thread-actions';
+
+    actions.appendChild(createButton({
+        icon: Icons.restore,
+        className: 'sp-action-btn sp-restore-btn',
+        ariaLabel: 'Restore',
+        onClick: () => handleRestoreTrashEntry(entry)
+    }));
+
+    actions.appendChild(createButton({
+        icon: Icons.close,
+        className: 'sp-action-btn sp-purge-btn',
+        ariaLabel: 'Delete permanently',
+        onClick: () => handlePurgeTrashEntry(entry)
+    }));
+
+    item.appendChild(actions);
+    return item;
+}
+
+/**
+ * Render search results across all stored threads for the current chat (or the library tab).
  * @param {HTMLElement} listContainer Thread list container
  * @param {HTMLElement} searchMeta Search status element
  * @param {string} query Search query
  */
 function renderSearchResults(listContainer, searchMeta, query) {
-    const threads = getThreads();
-    const results = searchThreads(threads, query);
+    const results = searchThreads(getTabThreads(), query);
     const visibleResults = results.slice(0, MAX_SEARCH_RESULTS);
 
     searchMeta.textContent = `${results.length} result${results.length !== 1 ? 's' : ''}${results.length > MAX_SEARCH_RESULTS ? `, showing ${MAX_SEARCH_RESULTS}` : ''}`;
@@ -282,16 +729,36 @@ function renderSearchResults(listContainer, searchMeta, query) {
 
 /**
  * Search all threads by title, active content, and swipe variants.
+ * `tag:` and `folder:` operators narrow the threads first; a query with only
+ * operators lists every matching thread, most recently updated first.
  * @param {Array} threads Threads to search
  * @param {string} query Search query
  * @returns {Array} Ranked search results
  */
-function searchThreads(threads, query) {
-    const normalizedQuery = normalizeSearchText(query);
-    if (!normalizedQuery) return [];
+export function searchThreads(threads, query) {
+    const { text, tags, folder } = parseSearchQuery(query);
+    const normalizedQuery = normalizeSearchText(text);
+    const hasFilters = tags.length > 0 || !!folder;
+    if (!normalizedQuery && !hasFilters) return [];
 
     const currentLength = getCurrentChatLength();
-    const fuzzyTitleIds = getFuzzyTitleMatchIds(threads, query);
+    if (hasFilters) {
+        threads = threads.filter(thread => matchesThreadFilters(thread, tags, folder));
+    }
+
+    if (!normalizedQuery) {
+        return threads
+            .map(thread => ({
+                thread,
+                snippet: null,
+                matchType: null,
+                branchLabel: getThreadSearchIndex(thread, currentLength).defaultBranchLabel,
+                rank: 0
+            }))
+            .sort((a, b) => new Date(b.thread.updatedAt) - new Date(a.thread.updatedAt));
+    }
+
+    const fuzzyTitleIds = getFuzzyTitleMatchIds(threads, text);
     const results = [];
 
     for (const thread of threads) {
@@ -489,6 +956,12 @@ function createThreadItem(thread, options = {}) {
         item.classList.add('sp-thread-search-result');
     }
     item.dataset.threadId = thread.id;
+    if (thread.pinned) {
+        item.classList.add('sp-thread-item-pinned');
+    }
+    if (!options.isSearchResult && getSettings().threadSortOrder === 'custom') {
+        enableThreadDrag(item, thread);
+    }
 
     const hasNoContextMessages = Array.isArray(thread.messages) && thread.messages.some(m => m && m.noContext);
     if (hasNoContextMessages) {
@@ -547,7 +1020,48 @@ function createThreadItem(thread, options = {}) {
         nameRowEl.appendChild(badgeEl);
     }
 
-    if (options.isSearchResult) {
+    if (thread.library) {
+        const scopeBadgeEl = document.createElement('span');
+        scopeBadgeEl.className = 'sp-thread-scope-badge';
+        scopeBadgeEl.textContent = thread.library.characterName || (thread.library.characterAvatar ? 'Character' : 'All chats');
+        scopeBadgeEl.title = thread.library.characterAvatar
+            ? `Library thread, only shown with ${thread.library.characterName || thread.library.characterAvatar}`
+            : 'Library thread, shown in every chat';
+        nameRowEl.appendChild(scopeBadgeEl);
+    }
+
+    if (thread.character) {
+        const scopeBadgeEl = document.createElement('span');
+        scopeBadgeEl.className = 'sp-thread-scope-badge sp-thread-scope-character';
+        scopeBadgeEl.textContent = thread.character.name || 'Character';
+        scopeBadgeEl.title = 'Character thread, shown in every chat with this character';
+        nameRowEl.appendChild(scopeBadgeEl);
+    }
+
+    // Answers finished in the background, and questions still waiting for one
+    const unreadCount = getUnreadAnswerCount(thread.id);
+    if (unreadCount > 0) {
+        item.classList.add('sp-thread-item-unread');
+        const readyBadgeEl = document.createElement('span');
+        readyBadgeEl.className = 'sp-thread-ready-badge';
+        readyBadgeEl.textContent = unreadCount > 1 ? `${unreadCount} answers ready` : 'Answer ready';
+        nameRowEl.appendChild(readyBadgeEl);
+    }
+
+    const queuedQuestions = getQueuedQuestions(thread.id);
+    const waitingCount = queuedQuestions.filter(q => q.status === 'queued').length;
+    const answering = isGenerationActive(thread.id);
+    if (waitingCount > 0 || answering) {
+        const queueBadgeEl = document.createElement('span');
+        queueBadgeEl.className = 'sp-thread-queue-badge';
+        queueBadgeEl.textContent = waitingCount > 0
+            ? `${Icons.queue} ${waitingCount} queued`
+            : `${Icons.queue} Answering…`;
+        queueBadgeEl.title = queuedQuestions.map(q => q.question).join('\n\n') || 'An answer is being generated';
+        nameRowEl.appendChild(queueBadgeEl);
+    }
+
+    if (options.isSearchResult && !thread.library && !thread.character) {
         const branchBadgeEl = document.createElement('span');
         branchBadgeEl.className = `sp-thread-branch-badge ${options.branchLabel === 'Other branch' ? 'sp-thread-branch-badge-other' : ''}`;
         branchBadgeEl.textContent = options.branchLabel || 'Current branch';
@@ -556,6 +1070,11 @@ function createThreadItem(thread, options = {}) {
 
     mainContent.appendChild(nameRowEl);
 
+    const labelsEl = createThreadLabels(thread);
+    if (labelsEl) {
+        mainContent.appendChild(labelsEl);
+    }
+
     // Preview of last message
     const lastMessage = thread.messages?.[thread.messages.length - 1];
     if (options.previewText) {
@@ -618,6 +1137,77 @@ function createThreadItem(thread, options = {}) {
     });
 
     actions.appendChild(renameBtn);
+
+    const pinBtn = createButton({
+        icon: Icons.pinThread,
+        className: `sp-action-btn sp-thread-pin-btn ${thread.pinned ? 'sp-thread-pin-active' : ''}`,
+        ariaLabel: thread.pinned ? 'Unpin thread' : 'Pin thread to the top',
+        onClick: (e) => {
+            e.stopPropagation();
+            handleTogglePinned(thread);
+        }
+    });
+    actions.appendChild(pinBtn);
+
+    const archiveBtn = createButton({
+        icon: Icons.archive,
+        className: `sp-action-btn sp-archive-btn ${thread.archived ? 'sp-archive-active' : ''}`,
+        ariaLabel: thread.archived ? 'Unarchive thread' : 'Archive thread',
+        onClick: (e) => {
+            e.stopPropagation();
+            handleToggleArchived(thread);
+        }
+    });
+    actions.appendChild(archiveBtn);
+
+    const tagBtn = createButton({
+        icon: Icons.tag,
+        className: 'sp-action-btn sp-tag-btn',
+        ariaLabel: 'Edit tags and folder',
+        onClick: (e) => {
+            e.stopPropagation();
+            handleEditThreadLabels(thread);
+        }
+    });
+    actions.appendChild(tagBtn);
+
+    if (thread.character) {
+        const unbindBtn = createButton({
+            icon: Icons.character,
+            className: 'sp-action-btn sp-bind-btn sp-bind-active',
+            ariaLabel: 'Keep in this chat only',
+            onClick: (e) => {
+                e.stopPropagation();
+                handleUnbindThread(thread);
+            }
+        });
+        actions.appendChild(unbindBtn);
+    } else if (!thread.library) {
+        if (getCurrentCharacterAvatar()) {
+            const bindBtn = createButton({
+                icon: Icons.character,
+                className: 'sp-action-btn sp-bind-btn',
+                ariaLabel: 'Show in all chats with this character',
+                onClick: (e) => {
+                    e.stopPropagation();
+                    handleBindThread(thread);
+                }
+            });
+            actions.appendChild(bindBtn);
+        }
+
+        const promoteBtn = createButton({
+            icon: Icons.library,
+            className: 'sp-action-btn sp-promote-btn',
+            ariaLabel: 'Move to library',
+            onClick: (e) => {
+                e.stopPropagation();
+                handlePromoteThread(thread);
+            }
+        });
+        actions.appendChild(promoteBtn);
+    }
+
     actions.appendChild(deleteBtn);
     item.appendChild(actions);
 
@@ -643,6 +1233,178 @@ function createThreadItem(thread, options = {}) {
     return item;
 }
 
+/**
+ * Make a thread item draggable for the custom sort order.
+ * Dropping a thread on another one places it before that thread (or after, on the lower half).
+ * @param {HTMLElement} item Thread item element
+ * @param {Object} thread Thread object
+ */
+function enableThreadDrag(item, thread) {
+    item.draggable = true;
+    item.classList.add('sp-thread-item-draggable');
+
+    item.addEventListener('dragstart', (e) => {
+        draggedThreadId = thread.id;
+        item.classList.add('sp-thread-item-dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', thread.id);
+    });
+
+    item.addEventListener('dragend', () => {
+        draggedThreadId = null;
+        item.classList.remove('sp-thread-item-dragging');
+    });
+
+    item.addEventListener('dragover', (e) => {
+        if (!draggedThreadId || draggedThreadId === thread.id) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        item.classList.add('sp-thread-item-drop-target');
+    });
+
+    item.addEventListener('dragleave', () => {
+        item.classList.remove('sp-thread-item-drop-target');
+    });
+
+    item.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        item.classList.remove('sp-thread-item-drop-target');
+        const sourceId = draggedThreadId;
+        draggedThreadId = null;
+        if (!sourceId || sourceId === thread.id) return;
+
+        const rect = item.getBoundingClientRect();
+        const placeAfter = e.clientY > rect.top + rect.height / 2;
+        await moveThreadInCustomOrder(sourceId, thread.id, placeAfter);
+    });
+}
+
+/**
+ * Move a thread next to another one in the custom order of the current tab.
+ * @param {string} sourceId Dragged thread ID
+ * @param {string} targetId Thread it was dropped on
+ * @param {boolean} placeAfter Place after the target instead of before it
+ */
+async function moveThreadInCustomOrder(sourceId, targetId, placeAfter) {
+    const orderedIds = sortThreads(getTabThreads(), 'custom')
+        .map(t => t.id)
+        .filter(id => id !== sourceId);
+    const targetIndex = orderedIds.indexOf(targetId);
+    if (targetIndex === -1) return;
+
+    orderedIds.splice(placeAfter ? targetIndex + 1 : targetIndex, 0, sourceId);
+    reorderThreads(orderedIds);
+    await saveMetadata();
+    refreshThreadList();
+}
+
+/**
+ * Handle pinning or unpinning a thread
+ * @param {Object} thread Thread object
+ */
+async function handleTogglePinned(thread) {
+    setThreadPinned(thread.id, !thread.pinned);
+    await saveMetadata();
+    refreshThreadList();
+}
+
+/**
+ * Handle archiving or unarchiving a thread
+ * @param {Object} thread Thread object
+ */
+async function handleToggleArchived(thread) {
+    const archive = !thread.archived;
+    setThreadArchived(thread.id, archive);
+    await saveMetadata();
+    refreshThreadList();
+    showToast(archive ? `Archived "${thread.name}"` : `Unarchived "${thread.name}"`, 'success');
+}
+
+/**
+ * Create the folder and tag chips shown under a thread's name. Clicking a chip filters the list by it.
+ * @param {Object} thread Thread object
+ * @returns {HTMLElement|null} Chip row, or null if the thread has no folder or tags
+ */
+function createThreadLabels(thread) {
+    const tags = thread.tags || [];
+    if (!thread.folder && tags.length === 0) return null;
+
+    const labelsEl = document.createElement('div');
+    labelsEl.className = 'sp-thread-labels';
+
+    const addChip = (key, value, label) => {
+        const chip = document.createElement('span');
+        chip.className = `sp-thread-chip sp-thread-chip-${key}`;
+        chip.textContent = label;
+        chip.title = `Show threads ${key === 'tag' ? 'tagged' : 'in'} "${value}"`;
+        chip.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleSearchFilter(key, value);
+        });
+        labelsEl.appendChild(chip);
+    };
+
+    if (thread.folder) {
+        addChip('folder', thread.folder, `${Icons.folder} ${thread.folder}`);
+    }
+    for (const tag of tags) {
+        addChip('tag', tag, `#${tag}`);
+    }
+
+    return labelsEl;
+}
+
+/**
+ * Handle editing a thread's tags and folder
+ * @param {Object} thread Thread object
+ */
+async function handleEditThreadLabels(thread) {
+    const { callGenericPopup, POPUP_TYPE } = SillyTavern.getContext();
+    if (!callGenericPopup || !POPUP_TYPE) return;
+
+    const existingFolders = [...new Set(getTabThreads().map(t => t.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+    const form = document.createElement('div');
+    form.className = 'sp-labels-dialog';
+    form.innerHTML = `
+        <h3>Organize thread</h3>
+        <label class="sp-labels-option">
+            <span>Tags (comma-separated)</span>
+            <input type="text" class="text_pole sp-labels-tags" placeholder="plot, lore, todo">
+        </label>
+        <label class="sp-labels-option">
+            <span>Folder</span>
+            <input type="text" class="text_pole sp-labels-folder" list="sp-labels-folder-list" placeholder="No folder">
+            <datalist id="sp-labels-folder-list"></datalist>
+        </label>
+    `;
+
+    const tagsInput = form.querySelector('.sp-labels-tags');
+    const folderInput = form.querySelector('.sp-labels-folder');
+    const folderList = form.querySelector('#sp-labels-folder-list');
+    tagsInput.value = (thread.tags || []).join(', ');
+    folderInput.value = thread.folder || '';
+    for (const folder of existingFolders) {
+        const option = document.createElement('option');
+        option.value = folder;
+        folderList.appendChild(option);
+    }
+
+    const result = await callGenericPopup(form, POPUP_TYPE.CONFIRM, null, {
+        okButton: 'Save',
+        cancelButton: 'Cancel'
+    });
+    if (result !== 1) return;
+
+    setThreadTags(thread.id, tagsInput.value);
+    const folder = setThreadFolder(thread.id, folderInput.value);
+    if (folder) {
+        expandedFolders.add(folder);
+    }
+    await saveMetadata();
+    refreshThreadList();
+}
+
 /**
  * Handle creating a new thread
  */
@@ -724,21 +1486,246 @@ async function handleRenameThread(thread) {
 }
 
 /**
- * Handle deleting a thread
+ * Handle deleting a thread (moving it to the trash, with an undo toast)
  * @param {Object} thread Thread object
  */
 async function handleDeleteThread(thread) {
     const confirmed = await showConfirmDialog(
-        `Delete thread "${thread.name}"? This cannot be undone.`,
+        `Delete thread "${thread.name}"? You can restore it from the Trash.`,
         { confirmText: 'Delete', cancelText: 'Cancel' }
     );
 
-    if (confirmed) {
-        deleteThread(thread.id);
+    if (!confirmed) return;
+
+    const entry = deleteThread(thread.id);
+    await saveMetadata();
+    refreshScratchPadUI();
+
+    if (!entry) return;
+
+    showUndoToast('Thread moved to the trash.', async () => {
+        const result = restoreFromTrash(entry.id);
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
         await saveMetadata();
-        refreshThreadList();
-        showToast('Thread deleted', 'success');
+        refreshScratchPadUI();
+    });
+}
+
+/**
+ * Handle restoring a trashed thread or message
+ * @param {Object} entry Trash entry
+ */
+async function handleRestoreTrashEntry(entry) {
+    const result = restoreFromTrash(entry.id);
+    if (!result.success) {
+        showToast(`Restore failed: ${result.error}`, 'error');
+        return;
+    }
+
+    await saveMetadata();
+    refreshScratchPadUI();
+    showToast(entry.type === 'thread' ? 'Thread restored' : 'Message restored', 'success');
+}
+
+/**
+ * Handle permanently deleting a trash entry
+ * @param {Object} entry Trash entry
+ */
+async function handlePurgeTrashEntry(entry) {
+    const confirmed = await showConfirmDialog(
+        'Delete this item permanently? This cannot be undone.',
+        { confirmText: 'Delete Forever', cancelText: 'Cancel' }
+    );
+    if (!confirmed) return;
+
+    purgeTrashEntry(entry.id);
+    await saveMetadata();
+    refreshThreadList();
+}
+
+/**
+ * Handle permanently deleting everything in the trash
+ */
+async function handleEmptyTrash() {
+    const count = getTrash().length;
+    const confirmed = await showConfirmDialog(
+        `Permanently delete ${count} item${count !== 1 ? 's' : ''} in the trash? This cannot be undone.`,
+        { confirmText: 'Empty Trash', cancelText: 'Cancel' }
+    );
+    if (!confirmed) return;
+
+    emptyTrash();
+    await saveMetadata();
+    refreshThreadList();
+    showToast('Trash emptied', 'success');
+}
+
+/**
+ * Handle moving a chat thread into the cross-chat library
+ * @param {Object} thread Thread object
+ */
+async function handlePromoteThread(thread) {
+    const confirmed = await showConfirmDialog(
+        `Move thread "${thread.name}" to the library? It will be available from other chats instead of only this one.`,
+        { confirmText: 'Move to Library', cancelText: 'Cancel' }
+    );
+    if (!confirmed) return;
+
+    let characterAvatar = null;
+    const avatar = getCurrentCharacterAvatar();
+    if (avatar) {
+        const { characters, characterId } = SillyTavern.getContext();
+        const characterName = characters?.[characterId]?.name || 'this character';
+        const scoped = await showConfirmDialog(
+            `Show this thread only in chats with ${characterName}?`,
+            { confirmText: `Only ${characterName}`, cancelText: 'All chats' }
+        );
+        characterAvatar = scoped ? avatar : null;
+    }
+
+    if (!promoteThreadToLibrary(thread.id, { characterAvatar })) {
+        showToast('Failed to move thread to library', 'error');
+        return;
     }
+
+    await saveMetadata();
+    refreshScratchPadUI();
+    showToast('Thread moved to library', 'success');
+}
+
+/**
+ * Handle binding a chat thread to the current character
+ * @param {Object} thread Thread object
+ */
+async function handleBindThread(thread) {
+    const { characters, characterId } = SillyTavern.getContext();
+    const characterName = characters?.[characterId]?.name || 'this character';
+    const confirmed = await showConfirmDialog(
+        `Show thread "${thread.name}" in every chat with ${characterName}?`,
+        { confirmText: 'Bind to Character', cancelText: 'Cancel' }
+    );
+    if (!confirmed) return;
+
+    if (!bindThreadToCharacter(thread.id)) {
+        showToast('Failed to bind thread to character', 'error');
+        return;
+    }
+
+    await saveMetadata();
+    refreshScratchPadUI();
+    showToast(`Thread bound to ${characterName}`, 'success');
+}
+
+/**
+ * Handle moving a character thread back into the current chat only
+ * @param {Object} thread Thread object
+ */
+async function handleUnbindThread(thread) {
+    const confirmed = await showConfirmDialog(
+        `Keep thread "${thread.name}" in this chat only? It will no longer appear in other chats with ${thread.character?.name || 'this character'}.`,
+        { confirmText: 'This Chat Only', cancelText: 'Cancel' }
+    );
+    if (!confirmed) return;
+
+    if (!unbindThreadFromCharacter(thread.id)) {
+        showToast('Failed to move thread', 'error');
+        return;
+    }
+
+    await saveMetadata();
+    refreshScratchPadUI();
+    showToast('Thread moved to this chat', 'success');
+}
+
+/**
+ * Export threads to a downloaded JSON bundle
+ * @param {string[]|null} [threadIds=null] Thread IDs to export, or null for all threads
+ * @returns {number} Number of exported threads
+ */
+export function exportThreadsToFile(threadIds = null) {
+    const bundle = exportThreads(threadIds);
+    const count = bundle.threads.length;
+    if (count === 0) {
+        showToast('No threads to export', 'warning');
+        return 0;
+    }
+
+    const stamp = bundle.exportedAt.replace(/[:.]/g, '-');
+    downloadFile(JSON.stringify(bundle, null, 2), `scratchpad-threads-${stamp}.json`);
+    showToast(`Exported ${count} thread${count !== 1 ? 's' : ''}`, 'success');
+    return count;
+}
+
+/**
+ * Import threads from bundle JSON text
+ * When no mode is given, asks for confirmation and whether to merge or replace.
+ * @param {string} text Bundle JSON text
+ * @param {'merge'|'replace'|null} [mode=null] Import mode, or null to ask
+ * @returns {Promise<number>} Number of imported threads
+ */
+export async function importThreadsFromText(text, mode = null) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch {
+        showToast('Import failed: file is not valid JSON', 'error');
+        return 0;
+    }
+
+    const validation = validateThreadBundle(bundle);
+    if (!validation.valid) {
+        showToast(`Import failed: ${validation.error}`, 'error');
+        return 0;
+    }
+
+    const count = bundle.threads.length;
+    if (count === 0) {
+        showToast('The file contains no threads', 'warning');
+        return 0;
+    }
+
+    let importMode = mode;
+    if (!importMode) {
+        const confirmed = await showConfirmDialog(
+            `Import ${count} thread${count !== 1 ? 's' : ''} into this chat?`,
+            { confirmText: 'Import', cancelText: 'Cancel' }
+        );
+        if (!confirmed) return 0;
+
+        importMode = 'merge';
+        const existingCount = getThreads().length;
+        if (existingCount > 0) {
+            const replace = await showConfirmDialog(
+                `Replace the ${existingCount} existing thread${existingCount !== 1 ? 's' : ''} in this chat? Choose "Merge" to keep them.`,
+                { confirmText: 'Replace', cancelText: 'Merge' }
+            );
+            importMode = replace ? 'replace' : 'merge';
+        }
+    }
+
+    const result = importThreads(bundle, { mode: importMode });
+    if (!result.success) {
+        showToast(`Import failed: ${result.error}`, 'error');
+        return 0;
+    }
+
+    await saveMetadata();
+    refreshScratchPadUI();
+    showToast(`Imported ${result.imported} thread${result.imported !== 1 ? 's' : ''}`, 'success');
+    return result.imported;
+}
+
+/**
+ * Pick a bundle file and import its threads
+ * @returns {Promise<number>} Number of imported threads
+ */
+export async function importThreadsFromFile() {
+    const text = await pickTextFile();
+    if (!text) return 0;
+    return await importThreadsFromText(text);
 }
 
 /**
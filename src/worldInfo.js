@@ -0,0 +1,132 @@
+/**
+ * World Info (lorebook) helpers for Scratch Pad context handling.
+ */
+
+/**
+ * Get the names of all lorebooks known to SillyTavern (read from its World Info editor).
+ * @returns {string[]} Lorebook names
+ */
+export function getWorldInfoNames() {
+    const options = document.querySelectorAll('#world_editor_select option');
+    return [...options]
+        .filter(option => option.value !== '')
+        .map(option => option.textContent.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Build the data SillyTavern's World Info scan can match against besides the chat.
+ * @param {Object} context SillyTavern context
+ * @returns {Object} Global scan data
+ */
+function getGlobalScanData(context) {
+    const char = context.characters?.[context.characterId] || {};
+    return {
+        personaDescription: context.powerUserSettings?.persona_description || '',
+        characterDescription: char.description || '',
+        characterPersonality: char.personality || '',
+        characterDepthPrompt: char.data?.extensions?.depth_prompt?.prompt || '',
+        scenario: char.scenario || '',
+        creatorNotes: char.data?.creator_notes || '',
+        trigger: 'quiet',
+    };
+}
+
+/**
+ * Get the World Info entries SillyTavern activates for the given chat messages.
+ * Runs as a dry run, so timed effects and activation events are not triggered.
+ * @param {Array} chatMessages Chat messages to scan, oldest first
+ * @param {number} maxContext Context size used for the World Info budget
+ * @returns {Promise<string>} Activated entries, or empty string
+ */
+async function getActivatedWorldInfo(chatMessages, maxContext) {
+    const context = SillyTavern.getContext();
+    if (typeof context.getWorldInfoPrompt !== 'function') {
+        console.warn('[ScratchPad] World Info scanning is not available in this SillyTavern version.');
+        return '';
+    }
+
+    // SillyTavern scans newest messages first
+    const scanChat = chatMessages.map(msg => `${msg.name}: ${msg.mes}`).reverse();
+    const result = await context.getWorldInfoPrompt(scanChat, maxContext, true, getGlobalScanData(context));
+
+    const parts = [
+        result?.worldInfoString || [result?.worldInfoBefore, result?.worldInfoAfter].filter(Boolean).join('\n'),
+        ...(result?.anBefore || []),
+        ...(result?.anAfter || []),
+        ...(result?.worldInfoDepth || []).flatMap(depth => depth.entries || []),
+    ];
+    return parts.map(part => (part || '').trim()).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Get all enabled entries of the chosen lorebooks, in their insertion order.
+ * @param {string[]} bookNames Lorebook names
+ * @returns {Promise<string>} Entries, or empty string
+ */
+async function getLorebookEntries(bookNames) {
+    const context = SillyTavern.getContext();
+    if (typeof context.loadWorldInfo !== 'function') {
+        console.warn('[ScratchPad] Lorebooks cannot be loaded in this SillyTavern version.');
+        return '';
+    }
+
+    const sections = [];
+    for (const name of bookNames) {
+        const book = await context.loadWorldInfo(name);
+        if (!book?.entries) {
+            console.warn(`[ScratchPad] Lorebook "${name}" was not found.`);
+            continue;
+        }
+
+        const entries = Object.values(book.entries)
+            .filter(entry => !entry.disable && entry.content?.trim())
+            .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+            .map(entry => entry.content.trim());
+        sections.push(...entries);
+    }
+
+    return sections.join('\n\n');
+}
+
+/**
+ * Get the World Info text for a thread's context settings.
+ * @param {Object} settings Thread context settings (worldInfoMode, worldInfoBooks)
+ * @param {Array} chatMessages Selected chat history, oldest first (scanned in 'activated' mode)
+ * @param {number} maxContext Context size used for the World Info budget
+ * @returns {Promise<string>} World Info text, or empty string
+ */
+export async function getWorldInfoContext(settings, chatMessages, maxContext) {
+    try {
+        if (settings.worldInfoMode === 'activated') {
+            return await getActivatedWorldInfo(chatMessages, maxContext);
+        }
+        if (settings.worldInfoMode === 'books' && settings.worldInfoBooks?.length) {
+            return await getLorebookEntries(settings.worldInfoBooks);
+        }
+    } catch (e) {
+        console.warn('[ScratchPad] Could not load World Info:', e);
+    }
+    return '';
+}
+
+/**
+ * Append World Info to structured message array when present.
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {string} worldInfo
+ */
+export function appendWorldInfoToMessages(messages, worldInfo) {
+    if (!worldInfo) return;
+    messages.push({ role: 'system', content: `World Info:\n\n${worldInfo}` });
+}
+
+/**
+ * Append World Info section to concatenated prompt parts when present.
+ * @param {string[]} parts
+ * @param {string} worldInfo
+ */
+export function appendWorldInfoToPromptParts(parts, worldInfo) {
+    if (!worldInfo) return;
+    parts.push('--- WORLD INFO ---');
+    parts.push(worldInfo);
+}
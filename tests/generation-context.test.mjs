@@ -2,9 +2,10 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 import { ReadableStream } from 'node:stream/web';
 
-import { generateScratchPadResponse, isChatActive } from '../src/generation.js';
-import { createThread, updateThreadContextSettings, addMessage, getThread } from '../src/storage.js';
+import { generateScratchPadResponse, generateSwipe, continueMessage, cancelGeneration, isGenerationActive, getActiveGenerations, isChatActive, inspectPrompt, inspectMessagePrompt, enqueueQuestion, getQueuedQuestions, removeQueuedQuestions, pruneQuestionQueue, clearQuestionQueue, subscribeToQueue, getUnreadAnswerCount, markThreadRead } from '../src/generation.js';
+import { createThread, deleteThread, updateThreadContextSettings, addMessage, getThread, bindThreadToCharacter, pruneChatSummaries } from '../src/storage.js';
 import { streamGeneration } from '../src/streaming.js';
+import { createPromptPreset, deletePromptPreset, exportPromptPresets, importPromptPresets } from '../src/settings.js';
 
 function setupHarness(overrides = {}) {
     const calls = [];
@@ -177,6 +178,194 @@ test('standard generation stores response timing on assistant messages', async (
     assert.ok(Date.parse(assistantMessage.gen_started) <= Date.parse(assistantMessage.gen_finished));
 });
 
+test('character threads can leave out the open chat history', async () => {
+    const { calls } = setupHarness({
+        chat: [{ is_user: true, name: 'User', mes: 'Chat-specific detail' }],
+        characters: [{ name: 'Seraphina', avatar: 'seraphina.png', description: 'Character card text' }],
+    });
+
+    const thread = createThread('Shared Thread', { includeCharacterCard: true });
+    bindThreadToCharacter(thread.id);
+    updateThreadContextSettings(thread.id, { useCurrentChatHistory: false });
+
+    const result = await generateScratchPadResponse('Shared question', thread.id);
+    assert.equal(result.success, true);
+
+    const rawArgs = calls.find(args => args[0] === 'generateRaw')[1];
+    assert.match(rawArgs.prompt, /Character card text/);
+    assert.doesNotMatch(rawArgs.prompt, /--- ROLEPLAY CHAT HISTORY ---/);
+    assert.doesNotMatch(rawArgs.prompt, /Chat-specific detail/);
+});
+
+test('prompts are trimmed oldest-first to fit the context size minus the response length', async () => {
+    const chat = Array.from({ length: 10 }, (_, i) => ({
+        is_user: i % 2 === 0,
+        name: 'User',
+        mes: `chat-${i + 1} one two three four five six seven eight`,
+    }));
+    const countWords = async (text) => text.split(/\s+/).filter(Boolean).length;
+
+    for (const trimOrder of ['chat_first', 'thread_first']) {
+        const rawArgs = await runStandardGeneration({
+            contextOverrides: {
+                chat,
+                chatCompletionSettings: { stream_openai: false, openai_max_context: 200, openai_max_tokens: 50 },
+                getTokenCountAsync: countWords,
+                extensionSettings: {
+                    scratchPad: {
+                        useStandardGeneration: true,
+                        oocSystemPrompt: 'OOC PROMPT',
+                        chatHistoryLimit: 0,
+                        contextTrimOrder: trimOrder,
+                    },
+                },
+            },
+            seedMessages: [
+                { role: 'user', content: 'Older thread question' },
+                { role: 'assistant', content: 'Older thread answer' },
+            ],
+        });
+
+        assert.match(rawArgs.prompt, /chat-10\b/, trimOrder);
+        assert.doesNotMatch(rawArgs.prompt, /chat-1\b/, trimOrder);
+        assert.match(rawArgs.prompt, /New question/, trimOrder);
+        if (trimOrder === 'chat_first') {
+            assert.match(rawArgs.prompt, /Older thread question/);
+        } else {
+            assert.doesNotMatch(rawArgs.prompt, /Older thread question/);
+        }
+    }
+});
+
+test('thread history is trimmed a question/answer pair at a time', async () => {
+    const countWords = async (text) => text.split(/\s+/).filter(Boolean).length;
+    const rawArgs = await runStandardGeneration({
+        contextOverrides: {
+            chatCompletionSettings: { stream_openai: false, openai_max_context: 85, openai_max_tokens: 10 },
+            getTokenCountAsync: countWords,
+            extensionSettings: {
+                scratchPad: {
+                    useStandardGeneration: true,
+                    oocSystemPrompt: 'OOC PROMPT',
+                    chatHistoryLimit: 0,
+                    contextTrimOrder: 'thread_first',
+                },
+            },
+        },
+        seedMessages: [
+            { role: 'user', content: 'First question one two three four five six seven eight nine ten' },
+            { role: 'assistant', content: 'First answer' },
+            { role: 'user', content: 'Second question' },
+            { role: 'assistant', content: 'Second answer' },
+        ],
+    });
+
+    assert.doesNotMatch(rawArgs.prompt, /First question/);
+    assert.doesNotMatch(rawArgs.prompt, /First answer/);
+    assert.match(rawArgs.prompt, /Second question/);
+    assert.match(rawArgs.prompt, /Second answer/);
+});
+
+test('text completion prompts reserve the Response (tokens) setting', async () => {
+    const chat = Array.from({ length: 10 }, (_, i) => ({
+        is_user: i % 2 === 0,
+        name: 'User',
+        mes: `chat-${i + 1} one two three four five six seven eight`,
+    }));
+    const countWords = async (text) => text.split(/\s+/).filter(Boolean).length;
+    const rawArgs = await runStandardGeneration({
+        contextOverrides: {
+            chat,
+            mainApi: 'textgenerationwebui',
+            maxContext: 300,
+            textCompletionSettings: { amount_gen: 200 },
+            getTokenCountAsync: countWords,
+            extensionSettings: { scratchPad: { useStandardGeneration: true, oocSystemPrompt: 'OOC PROMPT', chatHistoryLimit: 0 } },
+        },
+    });
+
+    assert.match(rawArgs.prompt, /chat-10\b/);
+    assert.doesNotMatch(rawArgs.prompt, /chat-5\b/);
+});
+
+test('stopping a generation stops summarizing and does not cache the summary in flight', async () => {
+    const chat = Array.from({ length: 35 }, (_, i) => ({ is_user: i % 2 === 0, name: 'User', mes: `chat-${i + 1}` }));
+    let threadId = null;
+    let summaryRequests = 0;
+    const { context } = setupHarness({
+        chat,
+        extensionSettings: {
+            scratchPad: {
+                useStandardGeneration: true,
+                oocSystemPrompt: 'OOC PROMPT',
+                chatHistoryLimit: 0,
+                summarizeOlderHistory: true,
+                summaryChunkSize: 10,
+                summaryRecentMessages: 10,
+            },
+        },
+        stopGeneration: () => {},
+        generateRaw: async (args) => {
+            if (args.prompt.includes('--- CHAT MESSAGES ---')) {
+                summaryRequests++;
+                cancelGeneration(threadId);
+                return 'Summary finished after Stop';
+            }
+            return 'Assistant response';
+        },
+    });
+    globalThis.toastr = { info: () => {} };
+
+    threadId = createThread('Summaries').id;
+    const result = await generateScratchPadResponse('Question', threadId);
+
+    assert.equal(result.cancelled, true);
+    assert.equal(summaryRequests, 1);
+    assert.deepEqual(context.chatMetadata.scratchPad.summaries || {}, {});
+});
+
+test('older chat history is sent as cached chunk summaries that are invalidated by edits', async () => {
+    const chat = Array.from({ length: 25 }, (_, i) => ({ is_user: i % 2 === 0, name: 'User', mes: `chat-${i + 1}` }));
+    const { context, calls } = setupHarness({
+        chat,
+        extensionSettings: {
+            scratchPad: {
+                useStandardGeneration: true,
+                oocSystemPrompt: 'OOC PROMPT',
+                chatHistoryLimit: 0,
+                summarizeOlderHistory: true,
+                summaryChunkSize: 10,
+                summaryRecentMessages: 10,
+            },
+        },
+        generateRaw: async (args) => {
+            calls.push(['generateRaw', args]);
+            return args.prompt.includes('--- CHAT MESSAGES ---') ? 'Summary of the opening' : 'Assistant response';
+        },
+    });
+    globalThis.toastr = { info: () => {} };
+
+    const isSummaryCall = args => args[0] === 'generateRaw' && args[1].prompt.includes('--- CHAT MESSAGES ---');
+    const thread = createThread('Summaries');
+
+    await generateScratchPadResponse('First question', thread.id);
+    assert.equal(calls.filter(isSummaryCall).length, 1);
+    const prompt = calls.filter(args => args[0] === 'generateRaw').at(-1)[1].prompt;
+    assert.match(prompt, /--- SUMMARY OF EARLIER CHAT HISTORY ---\n\nMessages 1-10: Summary of the opening/);
+    assert.doesNotMatch(prompt, /chat-10\b/);
+    assert.match(prompt, /chat-11\b/);
+
+    // Cached: no new summary request
+    await generateScratchPadResponse('Second question', thread.id);
+    assert.equal(calls.filter(isSummaryCall).length, 1);
+
+    // Editing a summarized message invalidates its summary
+    context.chat[3] = { ...context.chat[3], mes: 'chat-4 (edited)' };
+    assert.equal(pruneChatSummaries(context.chat), 1);
+    await generateScratchPadResponse('Third question', thread.id);
+    assert.equal(calls.filter(isSummaryCall).length, 2);
+});
+
 test('streaming parser emits CRLF-delimited SSE events before stream close', async () => {
     setupHarness({
         chatCompletionSettings: {
@@ -224,3 +413,638 @@ test('streaming parser emits CRLF-delimited SSE events before stream close', asy
         globalThis.fetch = previousFetch;
     }
 });
+
+test('standard generation includes World Info activated by the selected chat history', async () => {
+    let scanArgs = null;
+    const rawArgs = await runStandardGeneration({
+        contextOverrides: {
+            chat: [
+                { is_user: true, name: 'User', mes: 'We reach the old tower' },
+                { is_user: false, name: 'Seraphina', mes: 'The tower is sealed' },
+            ],
+            getWorldInfoPrompt: async (...args) => {
+                scanArgs = args;
+                return { worldInfoString: 'The tower was built by mages.', worldInfoDepth: [{ depth: 2, entries: ['Seraphina fears heights.'] }] };
+            },
+        },
+        threadSettings: { worldInfoMode: 'activated' },
+    });
+
+    assert.deepEqual(scanArgs[0], ['Seraphina: The tower is sealed', 'User: We reach the old tower']);
+    assert.equal(scanArgs[2], true, 'scan should be a dry run');
+    assert.match(rawArgs.prompt, /--- WORLD INFO ---\n\nThe tower was built by mages\.\n\nSeraphina fears heights\./);
+});
+
+test('multi-message generation sends enabled entries of chosen lorebooks as a system message', async () => {
+    const { calls } = setupHarness({
+        extensionSettings: {
+            scratchPad: {
+                useStandardGeneration: false,
+                useMultiMessageFormat: true,
+                oocSystemPrompt: 'OOC PROMPT',
+                chatHistoryLimit: 0,
+            },
+        },
+        loadWorldInfo: async (name) => name === 'Kingdom' ? {
+            entries: {
+                0: { content: 'Second entry', order: 200 },
+                1: { content: 'First entry', order: 100 },
+                2: { content: 'Disabled entry', order: 50, disable: true },
+            },
+        } : null,
+    });
+
+    const thread = createThread('Lore Thread');
+    updateThreadContextSettings(thread.id, { worldInfoMode: 'books', worldInfoBooks: ['Kingdom', 'Missing'] });
+
+    const result = await generateScratchPadResponse('Who rules the kingdom?', thread.id);
+    assert.equal(result.success, true);
+
+    const requestCall = calls.find(args => args[0] === 'sendGenerationRequest');
+    const worldInfoMessage = requestCall[2].prompt.find(message => message.content.startsWith('World Info:'));
+    assert.equal(worldInfoMessage.role, 'system');
+    assert.equal(worldInfoMessage.content, 'World Info:\n\nFirst entry\n\nSecond entry');
+});
+
+test('generation includes the active user persona when enabled', async () => {
+    const persona = {
+        name1: 'Aldric',
+        powerUserSettings: { persona_description: 'A wandering knight with a bad knee.' },
+    };
+
+    const rawArgs = await runStandardGeneration({
+        contextOverrides: persona,
+        threadSettings: { includePersona: true },
+    });
+    assert.match(rawArgs.prompt, /--- USER PERSONA ---\n\nPersona Name: Aldric\n\nDescription: A wandering knight with a bad knee\./);
+
+    const { calls } = setupHarness({
+        ...persona,
+        extensionSettings: {
+            scratchPad: {
+                useStandardGeneration: false,
+                useMultiMessageFormat: true,
+                oocSystemPrompt: 'OOC PROMPT',
+                chatHistoryLimit: 0,
+            },
+        },
+    });
+    const thread = createThread('Persona Thread');
+    updateThreadContextSettings(thread.id, { includePersona: true });
+    await generateScratchPadResponse('How would I react?', thread.id);
+
+    const requestCall = calls.find(args => args[0] === 'sendGenerationRequest');
+    assert.ok(requestCall[2].prompt.some(message => message.role === 'system' && message.content.startsWith('User persona:\n\nPersona Name: Aldric')));
+});
+
+test('generation leaves out the user persona by default', async () => {
+    const rawArgs = await runStandardGeneration({
+        contextOverrides: {
+            name1: 'Aldric',
+            powerUserSettings: { persona_description: 'A wandering knight with a bad knee.' },
+        },
+    });
+    assert.doesNotMatch(rawArgs.prompt, /USER PERSONA/);
+});
+
+function groupContextOverrides(extra = {}) {
+    return {
+        characterId: undefined,
+        groupId: 'group-1',
+        groups: [{ id: 'group-1', name: 'Party', members: ['sera.png', 'kael.png'] }],
+        characters: [
+            { name: 'Kael', avatar: 'kael.png', description: 'Kael card text' },
+            { name: 'Seraphina', avatar: 'sera.png', description: 'Seraphina card text' },
+            { name: 'Outsider', avatar: 'out.png', description: 'Outsider card text' },
+        ],
+        chat: [
+            { is_user: true, name: 'Aldric', mes: 'Hello everyone' },
+            { is_user: false, name: 'Seraphina', mes: 'Welcome back' },
+            { is_user: false, name: 'Kael', mes: 'About time' },
+        ],
+        ...extra,
+    };
+}
+
+test('group chats send every member card in group order and label history by speaker', async () => {
+    const rawArgs = await runStandardGeneration({
+        contextOverrides: groupContextOverrides(),
+        threadSettings: { includeCharacterCard: true },
+    });
+
+    assert.match(rawArgs.prompt, /Character Name: Seraphina\n\nDescription: Seraphina card text\n\n---\n\nCharacter Name: Kael/);
+    assert.doesNotMatch(rawArgs.prompt, /Outsider card text/);
+    assert.match(rawArgs.prompt, /#1 Aldric: Hello everyone\n\n#2 Seraphina: Welcome back\n\n#3 Kael: About time/);
+});
+
+test('group chats send only the member cards chosen in the thread context settings', async () => {
+    const rawArgs = await runStandardGeneration({
+        contextOverrides: groupContextOverrides(),
+        threadSettings: { includeCharacterCard: true, groupMembers: ['kael.png'] },
+    });
+
+    assert.match(rawArgs.prompt, /Kael card text/);
+    assert.doesNotMatch(rawArgs.prompt, /Seraphina card text/);
+});
+
+test('group chats with character card only still send member cards', async () => {
+    const rawArgs = await runStandardGeneration({
+        contextOverrides: groupContextOverrides(),
+        threadSettings: { characterCardOnly: true },
+    });
+
+    assert.match(rawArgs.prompt, /--- CHARACTER INFORMATION ---/);
+    assert.match(rawArgs.prompt, /Seraphina card text/);
+    assert.doesNotMatch(rawArgs.prompt, /Hello everyone/);
+});
+
+test('selected messages range mode sends exactly the hand-picked messages in chat order', async () => {
+    const chat = Array.from({ length: 6 }, (_, index) => ({ is_user: index % 2 === 0, name: 'User', mes: `Message ${index + 1}` }));
+    const rawArgs = await runStandardGeneration({
+        contextOverrides: { chat },
+        threadSettings: { chatHistoryRangeMode: 'selected', chatHistorySelectedIndices: [4, 1, 4, 99] },
+    });
+
+    assert.match(rawArgs.prompt, /--- ROLEPLAY CHAT HISTORY ---\n\n#2 User: Message 2\n\n#5 User: Message 5\n\n---/);
+    assert.doesNotMatch(rawArgs.prompt, /Message 1\b|Message 3|Message 4|Message 6/);
+});
+
+test('threads about a single message quote it and send only its surrounding messages', async () => {
+    const chat = Array.from({ length: 12 }, (_, index) => ({ is_user: false, name: 'Seraphina', mes: `Line ${index + 1}` }));
+    const rawArgs = await runStandardGeneration({
+        contextOverrides: {
+            chat,
+            extensionSettings: {
+                scratchPad: {
+                    useStandardGeneration: true,
+                    oocSystemPrompt: 'OOC PROMPT',
+                    chatHistoryLimit: 0,
+                    focusMessageWindow: 2,
+                },
+            },
+        },
+        threadSettings: { focusMessageIndex: 5, chatHistoryRangeMode: 'between', chatHistoryRangeStart: 1, chatHistoryRangeEnd: 2 },
+    });
+
+    assert.match(rawArgs.prompt, /--- ROLEPLAY CHAT HISTORY ---\n\n#4 Seraphina: Line 4\n\n[\s\S]*#8 Seraphina: Line 8\n\n---/);
+    assert.doesNotMatch(rawArgs.prompt, /Line 3\b|Line 9\b/);
+    assert.match(rawArgs.prompt, /--- MESSAGE IN QUESTION ---\n\n#6 Seraphina: Line 6\n\n--- USER QUESTION ---/);
+    // The message in question is sent once, not also in the history around it
+    assert.equal(rawArgs.prompt.match(/Line 6\b/g).length, 1);
+});
+
+test('the message in question comes between the chat history and the discussion in both prompt formats', async () => {
+    const chat = Array.from({ length: 8 }, (_, index) => ({ is_user: false, name: 'Seraphina', mes: `Line ${index + 1}` }));
+    const seedMessages = [
+        { role: 'user', content: 'Earlier question' },
+        { role: 'assistant', content: 'Earlier answer' },
+    ];
+
+    for (const useMultiMessageFormat of [false, true]) {
+        const rawArgs = await runStandardGeneration({
+            contextOverrides: {
+                chat,
+                extensionSettings: {
+                    scratchPad: { useStandardGeneration: true, useMultiMessageFormat, oocSystemPrompt: 'OOC PROMPT', chatHistoryLimit: 0 },
+                },
+            },
+            threadSettings: { focusMessageIndex: 4 },
+            seedMessages,
+        });
+
+        const text = Array.isArray(rawArgs.prompt) ? rawArgs.prompt.map(m => m.content).join('\n') : rawArgs.prompt;
+        const positions = ['Line 4', 'Line 5', 'Earlier question', 'New question'].map(marker => text.lastIndexOf(marker));
+        assert.ok(positions.every(position => position >= 0), `useMultiMessageFormat: ${useMultiMessageFormat}`);
+        assert.deepEqual([...positions].sort((a, b) => a - b), positions, `useMultiMessageFormat: ${useMultiMessageFormat}`);
+    }
+});
+
+test('thread history keeps quoted chat text as a Markdown blockquote', async () => {
+    const rawArgs = await runStandardGeneration({
+        seedMessages: [
+            { role: 'user', content: '> The tower is sealed\n> — Seraphina, #2\n\nWhy is it sealed?' },
+            { role: 'assistant', content: 'Because of the curse.' },
+        ],
+    });
+
+    assert.match(rawArgs.prompt, /User:\n> The tower is sealed\n> — Seraphina, #2\n\nWhy is it sealed\?/);
+    assert.match(rawArgs.prompt, /Assistant: Because of the curse\./);
+});
+
+test('chat history is numbered and the OOC prompt explains the numbering', async () => {
+    const rawArgs = await runStandardGeneration({
+        contextOverrides: {
+            chat: [
+                { is_user: true, name: 'User', mes: 'First' },
+                { is_user: false, name: 'Seraphina', mes: 'Second' },
+            ],
+        },
+    });
+
+    assert.match(rawArgs.prompt, /#1 User: First\n\n#2 Seraphina: Second/);
+    assert.match(rawArgs.systemPrompt, /numbered by their position in the chat/);
+});
+
+test('the OOC prompt leaves out the numbering note when no chat history is sent', async () => {
+    const rawArgs = await runStandardGeneration({ threadSettings: { characterCardOnly: true } });
+    assert.doesNotMatch(rawArgs.systemPrompt, /numbered/);
+});
+
+test('prompt inspection shows the exact payload and answers keep a fingerprint of their context', async () => {
+    const { context, calls } = setupHarness({
+        chat: [
+            { is_user: true, name: 'User', mes: 'First' },
+            { is_user: false, name: 'Seraphina', mes: 'Second' },
+        ],
+        characters: [{ name: 'Seraphina', description: 'Character card text' }],
+        extensionSettings: {
+            scratchPad: {
+                useStandardGeneration: false,
+                useMultiMessageFormat: true,
+                oocSystemPrompt: 'OOC PROMPT',
+                chatHistoryLimit: 0,
+            },
+        },
+    });
+
+    const thread = createThread('Inspected Thread');
+    const preview = await inspectPrompt('New question', getThread(thread.id), { isFirstMessage: true });
+    assert.deepEqual(
+        preview.sections.map(section => section.key),
+        ['instructions', 'title', 'character', 'chatHistory', 'question']
+    );
+    assert.equal(preview.sections.find(section => section.key === 'chatHistory').label, 'Roleplay chat history (2 messages)');
+    assert.ok(preview.sections.every(section => section.tokens > 0));
+
+    const result = await generateScratchPadResponse('New question', thread.id);
+    assert.equal(result.success, true);
+
+    const sentCall = calls.find(args => args[0] === 'sendGenerationRequest');
+    assert.deepEqual(preview.messages, sentCall[2].prompt);
+
+    const answer = getThread(thread.id).messages.find(msg => msg.role === 'assistant');
+    assert.deepEqual(answer.promptFingerprint, preview.fingerprint);
+    const inspection = await inspectMessagePrompt(thread.id, answer.id);
+    assert.deepEqual(inspection.changedSections, []);
+    assert.deepEqual(inspection.messages, sentCall[2].prompt, 'the first answer is shown with the title instruction it was sent with');
+
+    const swipe = await generateSwipe(thread.id, answer.id);
+    assert.equal(swipe.success, true);
+    assert.deepEqual(answer.swipePromptFingerprints, [preview.fingerprint, preview.fingerprint]);
+    const swipeInspection = await inspectMessagePrompt(thread.id, answer.id);
+    assert.ok(!swipeInspection.sections.some(section => section.key === 'title'), 'swipes are generated without the title instruction');
+
+    context.chat.push({ is_user: true, name: 'User', mes: 'Third' });
+    assert.deepEqual((await inspectMessagePrompt(thread.id, answer.id)).changedSections, ['chatHistory']);
+});
+
+test('threads use the OOC prompt of their preset and fall back to the default prompt when it is deleted', async () => {
+    const { calls } = setupHarness();
+    const preset = createPromptPreset('Continuity checker', 'CONTINUITY PROMPT');
+
+    const thread = createThread('Preset Thread');
+    updateThreadContextSettings(thread.id, { promptPreset: preset.id });
+
+    await generateScratchPadResponse('First question', thread.id);
+    assert.match(calls.at(-1)[1].systemPrompt, /^CONTINUITY PROMPT/);
+
+    deletePromptPreset(preset.id);
+    await generateScratchPadResponse('Second question', thread.id);
+    assert.match(calls.at(-1)[1].systemPrompt, /^OOC PROMPT/);
+});
+
+test('prompt presets round-trip through export and import with unique names', () => {
+    setupHarness();
+    createPromptPreset('Prose critic', 'CRITIC PROMPT');
+
+    const bundle = exportPromptPresets();
+    assert.deepEqual(bundle.presets, [{ name: 'Prose critic', prompt: 'CRITIC PROMPT' }]);
+
+    assert.deepEqual(importPromptPresets(bundle), { success: true, imported: 1 });
+    assert.deepEqual(exportPromptPresets().presets.map(preset => preset.name), ['Prose critic', 'Prose critic (2)']);
+    assert.equal(importPromptPresets({ presets: [] }).success, false);
+});
+
+test('thread sampler overrides apply to streaming request bodies and leave the main settings alone', async () => {
+    const chatCompletionSettings = {
+        stream_openai: true,
+        chat_completion_source: 'openai',
+        temp_openai: 0.7,
+        freq_pen_openai: 0,
+        pres_pen_openai: 0,
+        top_p_openai: 1,
+        openai_max_tokens: 300,
+        show_thoughts: false,
+        reasoning_effort: 'auto',
+        seed: -1,
+    };
+    setupHarness({
+        chatCompletionSettings,
+        getChatCompletionModel: () => 'test-model',
+        getRequestHeaders: () => ({}),
+        extensionSettings: { scratchPad: { useStandardGeneration: false, oocSystemPrompt: 'OOC PROMPT', chatHistoryLimit: 0 } },
+    });
+
+    const thread = createThread('Brainstorm');
+    updateThreadContextSettings(thread.id, {
+        samplerOverrides: { temperature: 1.5, topP: null, maxTokens: 50, seed: 7, reasoningEffort: 'high' },
+    });
+
+    let requestBody;
+    const previousFetch = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+        requestBody = JSON.parse(options.body);
+        return {
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    controller.enqueue(new TextEncoder().encode('data: {"choices":[{"delta":{"content":"Idea"}}]}\n\ndata: [DONE]\n\n'));
+                    controller.close();
+                },
+            }),
+        };
+    };
+
+    try {
+        const result = await generateScratchPadResponse('Give me ideas', thread.id, () => {});
+        assert.equal(result.success, true);
+    } finally {
+        globalThis.fetch = previousFetch;
+    }
+
+    assert.equal(requestBody.temperature, 1.5);
+    assert.equal(requestBody.top_p, 1);
+    assert.equal(requestBody.max_tokens, 50);
+    assert.equal(requestBody.seed, 7);
+    assert.equal(requestBody.reasoning_effort, 'high');
+    assert.equal(chatCompletionSettings.temp_openai, 0.7);
+    assert.equal(chatCompletionSettings.openai_max_tokens, 300);
+});
+
+test('thread sampler overrides never change the live settings for sendGenerationRequest and generateRaw', async () => {
+    const seen = [];
+    // Frozen, so any write to the live settings fails the generation
+    const chatCompletionSettings = Object.freeze({ stream_openai: false, chat_completion_source: 'openai', temp_openai: 0.7, openai_max_tokens: 300, seed: -1 });
+    const textCompletionSettings = Object.freeze({ temp: 0.8 });
+    const { context } = setupHarness({
+        chatCompletionSettings,
+        textCompletionSettings,
+        getChatCompletionModel: () => 'test-model',
+        getRequestHeaders: () => ({}),
+        extensionSettings: { scratchPad: { useStandardGeneration: false, oocSystemPrompt: 'OOC PROMPT', chatHistoryLimit: 0 } },
+    });
+    context.sendGenerationRequest = async () => {
+        seen.push(['sendGenerationRequest']);
+        return {};
+    };
+    context.generateRaw = async (args) => {
+        seen.push(['generateRaw', args.responseLength]);
+        return 'Fact';
+    };
+
+    const previousFetch = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+        const body = JSON.parse(options.body);
+        seen.push(['fetch', body.temperature, body.max_tokens, body.stream]);
+        return { ok: true, json: async () => ({ choices: [{ message: { content: 'Fact' } }] }) };
+    };
+
+    const thread = createThread('Fact check');
+    updateThreadContextSettings(thread.id, { samplerOverrides: { temperature: 0, maxTokens: 40 } });
+
+    try {
+        assert.equal((await generateScratchPadResponse('Is this consistent?', thread.id)).success, true);
+        context.extensionSettings.scratchPad.useStandardGeneration = true;
+        assert.equal((await generateScratchPadResponse('And this?', thread.id)).success, true);
+    } finally {
+        globalThis.fetch = previousFetch;
+    }
+
+    assert.deepEqual(seen, [
+        ['fetch', 0, 40, false],
+        ['generateRaw', 40],
+    ]);
+    assert.equal(context.chatCompletionSettings.temp_openai, 0.7);
+    assert.equal(context.textCompletionSettings.temp, 0.8);
+});
+
+test('continuing an answer sends the partial answer and appends the continuation to the active swipe', async () => {
+    const { context, calls } = setupHarness({
+        chatCompletionSettings: { stream_openai: false, chat_completion_source: 'openai' },
+        extensionSettings: { scratchPad: { useStandardGeneration: false, useMultiMessageFormat: true, oocSystemPrompt: 'OOC PROMPT', chatHistoryLimit: 0 } },
+    });
+
+    const thread = createThread('Long answer');
+    await generateScratchPadResponse('Explain everything', thread.id);
+    const answer = getThread(thread.id).messages.find(msg => msg.role === 'assistant');
+    const firstStarted = answer.gen_started;
+    const firstFinished = answer.gen_finished;
+
+    context.extractMessageFromData = () => ' and the rest.';
+    const result = await continueMessage(thread.id, answer.id);
+    assert.equal(result.success, true);
+    assert.equal(answer.content, 'Assistant response and the rest.');
+    assert.deepEqual(answer.swipes, ['Assistant response and the rest.']);
+    assert.equal(answer.gen_finished, result.gen_finished);
+    assert.ok(answer.gen_finished >= firstFinished);
+    assert.equal(answer.gen_started, firstStarted);
+    assert.equal(result.gen_started, firstStarted);
+
+    // Without prefill support the partial answer is followed by an instruction to continue
+    const sent = calls.filter(args => args[0] === 'sendGenerationRequest').at(-1)[2].prompt;
+    assert.deepEqual(sent.at(-2), { role: 'assistant', content: 'Assistant response' });
+    assert.equal(sent.at(-1).role, 'user');
+    assert.match(sent.at(-1).content, /^Continue your last response/);
+
+    // Prefill-capable sources get the partial answer as generateRaw's prefill
+    context.chatCompletionSettings.chat_completion_source = 'claude';
+    context.extensionSettings.scratchPad.useStandardGeneration = true;
+    await continueMessage(thread.id, answer.id);
+    const rawArgs = calls.filter(args => args[0] === 'generateRaw').at(-1)[1];
+    assert.equal(rawArgs.prefill, 'Assistant response and the rest.');
+    assert.equal(rawArgs.prompt.at(-1).role, 'user');
+    assert.equal(answer.content, 'Assistant response and the rest.Assistant response');
+});
+
+test('generations in different threads run side by side and are cancelled individually', async () => {
+    const pending = [];
+    const { context } = setupHarness();
+    let stopped = 0;
+    context.stopGeneration = () => { stopped++; };
+    context.generateRaw = (args) => new Promise(resolve => pending.push({ args, resolve }));
+
+    const first = createThread('First');
+    const second = createThread('Second');
+    const firstResult = generateScratchPadResponse('First question', first.id);
+    const secondResult = generateScratchPadResponse('Second question', second.id);
+    while (pending.length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    assert.deepEqual(getActiveGenerations().map(generation => generation.threadId), [first.id, second.id]);
+    assert.equal(isGenerationActive(first.id), true);
+
+    assert.equal(cancelGeneration(first.id), true);
+    assert.equal(isGenerationActive(first.id), false);
+    assert.equal(isGenerationActive(second.id), true);
+    assert.equal(stopped, 0, 'SillyTavern requests keep running while another generation needs them');
+
+    pending.find(call => call.args.prompt.includes('First question')).resolve('');
+    pending.find(call => call.args.prompt.includes('Second question')).resolve('Second answer');
+
+    assert.equal((await firstResult).cancelled, true);
+    assert.equal((await secondResult).response, 'Second answer');
+    assert.equal(getThread(first.id).messages.at(-1).status, 'cancelled');
+    assert.equal(getThread(second.id).messages.at(-1).content, 'Second answer');
+    assert.equal(isGenerationActive(), false);
+});
+
+test('generations on different sampler overrides run side by side', async () => {
+    const pending = [];
+    const { context } = setupHarness({ textCompletionSettings: { temp: 0.8 } });
+    context.generateRaw = (args) => new Promise(resolve => pending.push({ args, resolve }));
+
+    const hot = createThread('Hot');
+    const cold = createThread('Cold');
+    updateThreadContextSettings(hot.id, { samplerOverrides: { temperature: 1.5, maxTokens: 500 } });
+    updateThreadContextSettings(cold.id, { samplerOverrides: { temperature: 0, maxTokens: 50 } });
+
+    const hotResult = generateScratchPadResponse('Hot question', hot.id);
+    const coldResult = generateScratchPadResponse('Cold question', cold.id);
+    while (pending.length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    assert.deepEqual(pending.map(call => call.args.responseLength), [500, 50]);
+    pending.forEach(call => call.resolve('Answer'));
+    await Promise.all([hotResult, coldResult]);
+    assert.equal(context.textCompletionSettings.temp, 0.8);
+});
+
+test('queued questions are answered one at a time in order and marked unread', async () => {
+    const pending = [];
+    const { context } = setupHarness();
+    context.generateRaw = (args) => new Promise(resolve => pending.push({ args, resolve }));
+    clearQuestionQueue();
+
+    const events = [];
+    const unsubscribe = subscribeToQueue(event => events.push(event));
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    const first = createThread('First');
+    const second = createThread('Second');
+    enqueueQuestion(first.id, 'First question');
+    enqueueQuestion(second.id, 'Second question');
+    enqueueQuestion(first.id, 'Follow-up question');
+    assert.deepEqual(getQueuedQuestions().map(item => item.status), ['running', 'queued', 'queued']);
+
+    const answered = [];
+    for (let i = 0; i < 3; i++) {
+        while (pending.length <= i) await flush();
+        await flush();
+        assert.equal(pending.length, i + 1, 'only one question is sent at a time');
+        answered.push(pending[i].args.prompt.includes('Follow-up question') ? 'Follow-up' : pending[i].args.prompt.includes('Second question') ? 'Second' : 'First');
+        pending[i].resolve(`Answer ${i + 1}`);
+    }
+    while (getQueuedQuestions().length > 0) await flush();
+
+    assert.deepEqual(answered, ['First', 'Second', 'Follow-up']);
+    assert.equal(getThread(first.id).messages.at(-1).content, 'Answer 3');
+    assert.equal(events.filter(event => event.type === 'finished').length, 3);
+
+    assert.equal(getUnreadAnswerCount(first.id), 2);
+    assert.equal(getUnreadAnswerCount(), 3);
+    markThreadRead(first.id);
+    assert.equal(getUnreadAnswerCount(first.id), 0);
+    assert.equal(getUnreadAnswerCount(), 1);
+    assert.equal(events.at(-1).type, 'read');
+    unsubscribe();
+
+    clearQuestionQueue();
+    assert.equal(getUnreadAnswerCount(), 0);
+});
+
+test('queued questions wait in their chat while another chat is open', async () => {
+    const pending = [];
+    let chatId = 'chat-a';
+    const { context } = setupHarness({ getCurrentChatId: () => chatId });
+    context.generateRaw = (args) => new Promise(resolve => pending.push({ args, resolve }));
+    clearQuestionQueue();
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const chatAMetadata = context.chatMetadata;
+
+    const kept = createThread('Kept');
+    const deleted = createThread('Deleted');
+    const busy = [generateScratchPadResponse('Busy question', kept.id), generateScratchPadResponse('Other busy question', deleted.id)];
+    while (pending.length < 2) await flush();
+    enqueueQuestion(kept.id, 'Kept question');
+    enqueueQuestion(deleted.id, 'Dropped question');
+    assert.deepEqual(getQueuedQuestions().map(item => item.status), ['queued', 'queued']);
+
+    chatId = 'chat-b';
+    context.chatMetadata = {};
+    assert.equal(pruneQuestionQueue(), 0);
+    assert.deepEqual(getQueuedQuestions(), []);
+    pending.forEach(call => call.resolve('Busy answer'));
+    await Promise.all(busy);
+    await flush();
+    assert.equal(pending.length, 2, 'questions are not sent while their chat is closed');
+
+    chatId = 'chat-a';
+    context.chatMetadata = chatAMetadata;
+    deleteThread(deleted.id);
+    assert.equal(pruneQuestionQueue(), 1, 'only the question of the deleted thread is dropped');
+    while (pending.length < 3) await flush();
+    assert.ok(pending[2].args.prompt.includes('Kept question'));
+    pending[2].resolve('Kept answer');
+    while (getQueuedQuestions().length > 0) await flush();
+    assert.equal(getUnreadAnswerCount(kept.id), 1);
+
+    chatId = 'chat-b';
+    context.chatMetadata = {};
+    pruneQuestionQueue();
+    assert.equal(getUnreadAnswerCount(), 0);
+
+    chatId = 'chat-a';
+    context.chatMetadata = chatAMetadata;
+    pruneQuestionQueue();
+    assert.equal(getUnreadAnswerCount(kept.id), 1, 'unread answers are kept across chat switches');
+    clearQuestionQueue();
+});
+
+test('queue parallelism sends questions for different threads side by side', async () => {
+    const pending = [];
+    const { context } = setupHarness();
+    context.extensionSettings.scratchPad.queueConcurrency = 2;
+    context.generateRaw = (args) => new Promise(resolve => pending.push({ args, resolve }));
+    clearQuestionQueue();
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    const first = createThread('First');
+    const second = createThread('Second');
+    enqueueQuestion(first.id, 'First question');
+    enqueueQuestion(first.id, 'Follow-up question');
+    enqueueQuestion(second.id, 'Second question');
+    enqueueQuestion(second.id, 'Dropped question');
+
+    while (pending.length < 2) await flush();
+    await flush();
+    assert.equal(pending.length, 2);
+    assert.ok(pending[0].args.prompt.includes('First question'));
+    assert.ok(pending[1].args.prompt.includes('Second question'), 'the follow-up waits for its own thread');
+
+    assert.equal(removeQueuedQuestions(second.id), 1);
+    assert.deepEqual(getQueuedQuestions(first.id).map(item => item.status), ['running', 'queued']);
+
+    pending[0].resolve('First answer');
+    while (pending.length < 3) await flush();
+    assert.ok(pending[2].args.prompt.includes('Follow-up question'));
+
+    pending[1].resolve('Second answer');
+    pending[2].resolve('Follow-up answer');
+    while (getQueuedQuestions().length > 0) await flush();
+
+    assert.equal(getThread(second.id).messages.length, 2);
+    assert.equal(getUnreadAnswerCount(), 3);
+    clearQuestionQueue();
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createThread, addMessage, addSwipe, editMessage, getMessage, getThread, getTrash, getMessagePairIds, deleteMessages, restoreDeletedMessages } from '../src/storage.js';
+
+function setupHarness() {
+    const context = {
+        chatMetadata: {},
+        chat: new Array(3).fill({ mes: 'x' }),
+    };
+
+    globalThis.SillyTavern = {
+        getContext: () => context,
+    };
+}
+
+test('editMessage updates user content and records the previous version', () => {
+    setupHarness();
+    const thread = createThread('Edits');
+    const question = addMessage(thread.id, 'user', 'Waht happened?');
+
+    editMessage(thread.id, question.id, 'What happened?');
+    editMessage(thread.id, question.id, 'What happened next?');
+
+    const updated = getMessage(thread.id, question.id);
+    assert.equal(updated.content, 'What happened next?');
+    assert.deepEqual(updated.editHistory.map(e => e.content), ['Waht happened?', 'What happened?']);
+    assert.ok(updated.editHistory.every(e => e.editedAt));
+
+    // Unchanged content does not add history
+    editMessage(thread.id, question.id, 'What happened next?');
+    assert.equal(getMessage(thread.id, question.id).editHistory.length, 2);
+});
+
+test('editMessage edits only the active swipe of an assistant message', () => {
+    setupHarness();
+    const thread = createThread('Edits');
+    const answer = addMessage(thread.id, 'assistant', 'First answer');
+    addSwipe(thread.id, answer.id, 'Second answer');
+
+    editMessage(thread.id, answer.id, 'Second answer, fixed');
+
+    const updated = getMessage(thread.id, answer.id);
+    assert.equal(updated.content, 'Second answer, fixed');
+    assert.deepEqual(updated.swipes, ['First answer', 'Second answer, fixed']);
+    assert.deepEqual(updated.editHistory, [{ content: 'Second answer', editedAt: updated.editHistory[0].editedAt, swipeId: 1 }]);
+});
+
+test('getMessagePairIds finds the question/answer pair of either message', () => {
+    setupHarness();
+    const thread = createThread('Pairs');
+    const question = addMessage(thread.id, 'user', 'Question');
+    const answer = addMessage(thread.id, 'assistant', 'Answer');
+    const unanswered = addMessage(thread.id, 'user', 'Unanswered');
+
+    assert.deepEqual(getMessagePairIds(thread.id, question.id), [question.id, answer.id]);
+    assert.deepEqual(getMessagePairIds(thread.id, answer.id), [question.id, answer.id]);
+    assert.deepEqual(getMessagePairIds(thread.id, unanswered.id), []);
+    assert.deepEqual(getMessagePairIds(thread.id, 'missing'), []);
+});
+
+test('deleting a pair or a selection moves the messages to the trash and undo restores their order', () => {
+    setupHarness();
+    const thread = createThread('Pruning');
+    const ids = ['Q1', 'A1', 'Q2', 'A2', 'Q3', 'A3'].map((content, i) => addMessage(thread.id, i % 2 === 0 ? 'user' : 'assistant', content).id);
+    const contents = () => getThread(thread.id).messages.map(m => m.content);
+
+    const pairEntries = deleteMessages(thread.id, getMessagePairIds(thread.id, ids[3]));
+    assert.equal(pairEntries.length, 2);
+    assert.deepEqual(contents(), ['Q1', 'A1', 'Q3', 'A3']);
+    assert.deepEqual(getTrash().map(e => e.message.content), ['A2', 'Q2']);
+
+    restoreDeletedMessages(pairEntries);
+    assert.deepEqual(contents(), ['Q1', 'A1', 'Q2', 'A2', 'Q3', 'A3']);
+    assert.equal(getTrash().length, 0);
+
+    // Selections are deleted in the order the messages were picked
+    const selectionEntries = deleteMessages(thread.id, [ids[5], ids[0], ids[2], 'missing']);
+    assert.equal(selectionEntries.length, 3);
+    assert.deepEqual(contents(), ['A1', 'A2', 'Q3']);
+
+    restoreDeletedMessages(selectionEntries);
+    assert.deepEqual(contents(), ['Q1', 'A1', 'Q2', 'A2', 'Q3', 'A3']);
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findMessageReferences, formatMessageNumber } from '../src/ui/messageRefs.js';
+
+function ranges(text, chatLength = 100) {
+    return findMessageReferences(text, chatLength).map(({ index, length, start, end }) => ({
+        text: text.slice(index, index + length),
+        start,
+        end,
+    }));
+}
+
+test('findMessageReferences finds #N, "message N" and ranges', () => {
+    assert.deepEqual(ranges('In #42 she lies, and in message 7 he knows.'), [
+        { text: '#42', start: 42, end: 42 },
+        { text: 'message 7', start: 7, end: 7 },
+    ]);
+    assert.deepEqual(ranges('See messages 12-15 and #20–#22, also msg 3 to 5.'), [
+        { text: 'messages 12-15', start: 12, end: 15 },
+        { text: '#20–#22', start: 20, end: 22 },
+        { text: 'msg 3 to 5', start: 3, end: 5 },
+    ]);
+});
+
+test('findMessageReferences normalizes reversed ranges', () => {
+    assert.deepEqual(ranges('#9-4'), [{ text: '#9-4', start: 4, end: 9 }]);
+});
+
+test('findMessageReferences ignores numbers outside the chat and non-references', () => {
+    assert.deepEqual(ranges('#0, #101, messages 99-120', 100), []);
+    assert.deepEqual(ranges('C#7 and issue#5 are not messages, nor is 42'), []);
+    assert.deepEqual(ranges('#3', 0), []);
+});
+
+test('formatMessageNumber shows the SillyTavern message ID next to the 1-based number', () => {
+    assert.equal(formatMessageNumber(1), '#1 (ST ID 0)');
+    assert.equal(formatMessageNumber(12), '#12 (ST ID 11)');
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createThread, addMessage, addSwipe, getThreads, exportThreads, importThreads, validateThreadBundle, THREAD_BUNDLE_VERSION } from '../src/storage.js';
+
+function setupHarness(overrides = {}) {
+    const context = {
+        chatMetadata: {},
+        chat: [],
+        getCurrentChatId: () => 'chat-a',
+        ...overrides,
+    };
+
+    globalThis.SillyTavern = {
+        getContext: () => context,
+    };
+
+    return context;
+}
+
+function seedThread(name) {
+    const thread = createThread(name, { includeCharacterCard: false });
+    addMessage(thread.id, 'user', `${name} question`, 'complete', 3);
+    const answer = addMessage(thread.id, 'assistant', `${name} answer`, 'complete', 3);
+    addSwipe(thread.id, answer.id, `${name} second answer`, 'thinking', null, { state: 'visible' });
+    return thread;
+}
+
+test('exportThreads serializes selected threads with swipes and context settings', () => {
+    setupHarness({ chat: new Array(5).fill({ mes: 'x' }) });
+    const first = seedThread('First');
+    seedThread('Second');
+
+    const bundle = exportThreads([first.id]);
+
+    assert.equal(bundle.version, THREAD_BUNDLE_VERSION);
+    assert.equal(bundle.source.chatId, 'chat-a');
+    assert.equal(bundle.threads.length, 1);
+    assert.equal(bundle.threads[0].name, 'First');
+    assert.deepEqual(bundle.threads[0].contextSettings, { includeCharacterCard: false });
+
+    const assistant = bundle.threads[0].messages[1];
+    assert.deepEqual(assistant.swipes, ['First answer', 'First second answer']);
+    assert.equal(assistant.swipeReasoningMeta.length, 2);
+    assert.equal(assistant.chatMessageIndex, 3);
+
+    // Bundle is a copy, not a live reference
+    bundle.threads[0].name = 'Changed';
+    assert.equal(getThreads().find(t => t.id === first.id).name, 'First');
+});
+
+test('validateThreadBundle rejects foreign, future and malformed bundles', () => {
+    setupHarness();
+
+    assert.equal(validateThreadBundle(null).valid, false);
+    assert.equal(validateThreadBundle({ format: 'other', version: 1, threads: [] }).valid, false);
+
+    const future = validateThreadBundle({ format: 'sillytavern-scratchpad-threads', version: THREAD_BUNDLE_VERSION + 1, threads: [] });
+    assert.equal(future.valid, false);
+    assert.match(future.error, /newer/);
+
+    const badMessage = validateThreadBundle({
+        format: 'sillytavern-scratchpad-threads',
+        version: 1,
+        threads: [{ name: 'T', messages: [{ role: 'system', content: 'x' }] }],
+    });
+    assert.equal(badMessage.valid, false);
+});
+
+test('importThreads merges with regenerated IDs and can replace existing threads', () => {
+    setupHarness({ chat: new Array(5).fill({ mes: 'x' }) });
+    const original = seedThread('Original');
+    const bundle = exportThreads();
+
+    const merged = importThreads(bundle, { mode: 'merge' });
+    assert.equal(merged.success, true);
+    assert.equal(merged.imported, 1);
+
+    const threads = getThreads();
+    assert.equal(threads.length, 2);
+    assert.notEqual(threads[0].id, original.id, 'colliding thread ID should be regenerated');
+    assert.equal(threads[0].messages[1].swipes.length, 2);
+
+    const replaced = importThreads(bundle, { mode: 'replace' });
+    assert.equal(replaced.success, true);
+    assert.equal(getThreads().length, 1);
+    assert.equal(getThreads()[0].id, original.id, 'non-colliding ID is kept on replace');
+});
+
+test('importThreads clamps branch indices when importing from another chat', () => {
+    setupHarness({ chat: new Array(10).fill({ mes: 'x' }), getCurrentChatId: () => 'chat-a' });
+    const thread = seedThread('Long chat');
+    thread.messages.forEach(m => { m.chatMessageIndex = 9; });
+    const bundle = exportThreads();
+
+    setupHarness({ chat: new Array(2).fill({ mes: 'x' }), getCurrentChatId: () => 'chat-b' });
+    importThreads(bundle);
+
+    const imported = getThreads()[0];
+    assert.ok(imported.messages.every(m => m.chatMessageIndex === 2));
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatThreadAsMarkdown, formatThreadAsHtml } from '../src/ui/threadExport.js';
+
+function setupHarness() {
+    globalThis.SillyTavern = {
+        getContext: () => ({}),
+        libs: {
+            showdown: {
+                Converter: class {
+                    makeHtml(text) { return `<p>${text}</p>`; }
+                },
+            },
+            DOMPurify: { sanitize: (html) => html },
+        },
+    };
+}
+
+function makeThread() {
+    return {
+        id: 't1',
+        name: 'Plot <Questions>',
+        createdAt: '2026-01-01T10:00:00.000Z',
+        updatedAt: '2026-01-01T10:05:00.000Z',
+        contextSettings: { chatHistoryRangeMode: 'between', chatHistoryRangeStart: 3, chatHistoryRangeEnd: 9, includeSystemPrompt: true },
+        messages: [
+            { id: 'm1', role: 'user', content: 'Who is the villain?', status: 'complete', timestamp: '2026-01-01T10:00:00.000Z' },
+            {
+                id: 'm2',
+                role: 'assistant',
+                content: 'Second guess',
+                thinking: 'Think again',
+                status: 'complete',
+                timestamp: '2026-01-01T10:01:00.000Z',
+                swipes: ['First guess', 'Second guess'],
+                swipeThinking: ['Think once', 'Think again'],
+                swipeGenStarted: ['2026-01-01T10:00:10.000Z', '2026-01-01T10:00:50.000Z'],
+                swipeGenFinished: ['2026-01-01T10:00:12.500Z', '2026-01-01T10:01:00.000Z'],
+                swipeId: 1,
+                gen_started: '2026-01-01T10:00:50.000Z',
+                gen_finished: '2026-01-01T10:01:00.000Z',
+            },
+            { id: 'm3', role: 'user', content: 'Still pending?', status: 'failed', timestamp: '2026-01-01T10:02:00.000Z' },
+        ],
+    };
+}
+
+test('formatThreadAsMarkdown exports the active swipe with metadata and thinking', () => {
+    setupHarness();
+    const markdown = formatThreadAsMarkdown(makeThread());
+
+    assert.match(markdown, /^# Plot <Questions>\n/);
+    assert.match(markdown, /- \*\*Chat history:\*\* Messages 3-9/);
+    assert.match(markdown, /- \*\*Also included:\*\* character card, system prompt/);
+    assert.match(markdown, /### You · /);
+    assert.match(markdown, /generated in 10\.0s/);
+    assert.match(markdown, /> \*\*💭 Model Thinking\*\*\n>\n> Think again/);
+    assert.ok(markdown.includes('Second guess'));
+    assert.ok(!markdown.includes('First guess'));
+    assert.ok(!markdown.includes('Still pending?'));
+});
+
+test('formatThreadAsMarkdown can include every swipe and omit thinking', () => {
+    setupHarness();
+    const markdown = formatThreadAsMarkdown(makeThread(), { allSwipes: true, includeThinking: false });
+
+    assert.match(markdown, /Assistant \(swipe 1 of 2\) · .* · generated in 2\.50s/);
+    assert.match(markdown, /Assistant \(swipe 2 of 2, active\)/);
+    assert.ok(markdown.includes('First guess'));
+    assert.ok(!markdown.includes('Model Thinking'));
+});
+
+test('formatThreadAsHtml escapes the thread name', () => {
+    setupHarness();
+    const html = formatThreadAsHtml(makeThread());
+
+    assert.match(html, /<title>Plot &lt;Questions&gt;<\/title>/);
+    assert.ok(html.includes('💭 Model Thinking'));
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createThread, addMessage, addSwipe, getThreads, forkThread } from '../src/storage.js';
+
+function setupHarness() {
+    const context = {
+        chatMetadata: {},
+        chat: new Array(5).fill({ mes: 'x' }),
+    };
+
+    globalThis.SillyTavern = {
+        getContext: () => context,
+    };
+}
+
+function seedThread() {
+    const thread = createThread('Plot', { includeAuthorsNote: true });
+    addMessage(thread.id, 'user', 'First question', 'complete', 2);
+    const answer = addMessage(thread.id, 'assistant', 'First answer', 'complete', 2);
+    addSwipe(thread.id, answer.id, 'Alternative answer', 'alt thinking');
+    addMessage(thread.id, 'user', 'Second question', 'complete', 4);
+    addMessage(thread.id, 'assistant', 'Second answer', 'complete', 4);
+    return { thread, answer };
+}
+
+test('forkThread copies messages up to the chosen one with the active swipe only', () => {
+    setupHarness();
+    const { thread, answer } = seedThread();
+
+    const fork = forkThread(thread.id, answer.id);
+
+    assert.equal(getThreads()[0].id, fork.id);
+    assert.equal(fork.name, 'Plot (fork)');
+    assert.deepEqual(fork.forkedFrom, { threadId: thread.id, messageId: answer.id });
+    assert.deepEqual(fork.contextSettings, { includeAuthorsNote: true });
+    assert.deepEqual(fork.messages.map(m => m.content), ['First question', 'Alternative answer']);
+    assert.equal(fork.messages[1].swipes, undefined);
+    assert.equal(fork.messages[1].thinking, 'alt thinking');
+    assert.equal(fork.messages[1].chatMessageIndex, 2);
+    assert.notEqual(fork.messages[0].id, thread.messages[0].id);
+
+    // Source thread is untouched
+    assert.equal(thread.messages.length, 4);
+    assert.equal(thread.messages[1].swipes.length, 2);
+});
+
+test('forkThread can keep every swipe', () => {
+    setupHarness();
+    const { thread, answer } = seedThread();
+
+    const fork = forkThread(thread.id, answer.id, { includeSwipes: true });
+
+    assert.deepEqual(fork.messages[1].swipes, ['First answer', 'Alternative answer']);
+    assert.equal(fork.messages[1].swipeId, 1);
+    fork.messages[1].swipes.push('Only in fork');
+    assert.equal(thread.messages[1].swipes.length, 2);
+});
+
+test('forkThread leaves out messages the current chat branch hides', () => {
+    setupHarness();
+    const thread = createThread('Branches');
+    addMessage(thread.id, 'user', 'Shared question', 'complete', 2);
+    addMessage(thread.id, 'user', 'Question from a longer branch', 'complete', 8);
+    addMessage(thread.id, 'assistant', 'Answer from a longer branch', 'complete', 8);
+    const question = addMessage(thread.id, 'user', 'Current question', 'complete', 4);
+
+    const fork = forkThread(thread.id, question.id);
+
+    assert.deepEqual(fork.messages.map(m => m.content), ['Shared question', 'Current question']);
+});
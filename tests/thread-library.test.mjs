@@ -0,0 +1,169 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createThread, addMessage, getThreads, getThread, getThreadsForCurrentBranch, updateThreadContextSettings, getLibrary, getLibraryThreadsForCharacter, promoteThreadToLibrary, getCharacterThreads, bindThreadToCharacter, unbindThreadFromCharacter, deleteThread, deleteMessage, saveMetadata, markThreadModified, getTrash, restoreFromTrash, emptyTrash, purgeExpiredTrash } from '../src/storage.js';
+
+function setupHarness(overrides = {}) {
+    const context = {
+        chatMetadata: {},
+        chat: new Array(10).fill({ mes: 'x' }),
+        extensionSettings: {},
+        characters: [{ name: 'Alice', avatar: 'alice.png' }, { name: 'Bob', avatar: 'bob.png' }],
+        characterId: 0,
+        groupId: null,
+        settingsSaves: 0,
+        getCurrentChatId: () => 'chat-a',
+        saveMetadata: async () => {},
+        saveSettingsDebounced: () => { context.settingsSaves++; },
+        ...overrides,
+    };
+
+    globalThis.SillyTavern = {
+        getContext: () => context,
+    };
+
+    return context;
+}
+
+test('promoteThreadToLibrary moves a thread out of the chat and clears branch indices', async () => {
+    const context = setupHarness();
+    const thread = createThread('Arc analysis');
+    addMessage(thread.id, 'user', 'How has Alice changed?', 'complete', 8);
+
+    const promoted = promoteThreadToLibrary(thread.id, { characterAvatar: 'alice.png' });
+
+    assert.equal(getThreads().length, 0);
+    assert.equal(getLibrary().length, 1);
+    assert.equal(promoted.library.characterName, 'Alice');
+    assert.equal(promoted.library.sourceChatId, 'chat-a');
+    assert.equal(promoted.messages[0].chatMessageIndex, null);
+
+    await saveMetadata();
+    assert.equal(context.settingsSaves, 1);
+});
+
+test('library threads are reachable from other chats and scoped by character', async () => {
+    const context = setupHarness();
+    const global = createThread('Worldbuilding');
+    const scoped = createThread('Alice notes');
+    promoteThreadToLibrary(global.id);
+    promoteThreadToLibrary(scoped.id, { characterAvatar: 'alice.png' });
+
+    // New chat with a different character, same extension settings
+    const other = setupHarness({ extensionSettings: context.extensionSettings, characterId: 1, getCurrentChatId: () => 'chat-b' });
+    assert.deepEqual(getLibraryThreadsForCharacter().map(t => t.name), ['Worldbuilding']);
+
+    const message = addMessage(global.id, 'user', 'Still relevant?', 'complete', 4);
+    assert.equal(message.chatMessageIndex, null);
+    assert.equal(getThread(global.id).messages.length, 1);
+
+    await saveMetadata();
+    assert.equal(other.settingsSaves, 1);
+
+    assert.equal(deleteThread(scoped.id).thread.name, 'Alice notes');
+    assert.equal(getLibrary().length, 1);
+});
+
+test('character threads appear in every chat with that character', async () => {
+    const context = setupHarness();
+    const thread = createThread('Alice arc');
+    addMessage(thread.id, 'user', 'Where is her arc going?', 'complete', 6);
+    createThread('Chat only');
+
+    const bound = bindThreadToCharacter(thread.id);
+    assert.equal(bound.character.avatar, 'alice.png');
+    assert.equal(bound.messages[0].chatMessageIndex, null);
+    assert.deepEqual(getThreads().map(t => t.name), ['Chat only']);
+    assert.deepEqual(getThreadsForCurrentBranch().map(t => t.name), ['Chat only', 'Alice arc']);
+
+    // Another chat with Alice sees the thread; a chat with Bob does not
+    setupHarness({ extensionSettings: context.extensionSettings, chat: [], getCurrentChatId: () => 'chat-b' });
+    assert.deepEqual(getThreadsForCurrentBranch().map(t => t.name), ['Alice arc']);
+    assert.equal(getThreadsForCurrentBranch()[0].messages.length, 1);
+
+    setupHarness({ extensionSettings: context.extensionSettings, characterId: 1 });
+    assert.equal(getThreadsForCurrentBranch().length, 0);
+    assert.equal(getThread(thread.id), null);
+
+    // Unbinding moves it back into the open chat
+    const alice = setupHarness({ extensionSettings: context.extensionSettings });
+    updateThreadContextSettings(thread.id, { useCurrentChatHistory: false });
+    const unbound = unbindThreadFromCharacter(thread.id);
+    assert.equal(unbound.character, undefined);
+    assert.equal('useCurrentChatHistory' in unbound.contextSettings, false);
+    assert.equal(getThreads().length, 1);
+    assert.equal(getCharacterThreads().length, 0);
+
+    await saveMetadata();
+    assert.equal(alice.settingsSaves, 1);
+});
+
+test('reading shared threads does not save the extension settings, changing them does', async () => {
+    const context = setupHarness();
+    const library = createThread('Worldbuilding');
+    promoteThreadToLibrary(library.id);
+    const character = createThread('Alice notes');
+    bindThreadToCharacter(character.id);
+    await saveMetadata();
+    context.settingsSaves = 0;
+
+    getThread(library.id);
+    getThread(character.id);
+    await saveMetadata();
+    assert.equal(context.settingsSaves, 0);
+
+    updateThreadContextSettings(character.id, { useCurrentChatHistory: false });
+    await saveMetadata();
+    assert.equal(context.settingsSaves, 1);
+
+    const message = addMessage(library.id, 'user', 'Question');
+    await saveMetadata();
+    assert.equal(context.settingsSaves, 2);
+
+    message.content = 'Edited directly';
+    markThreadModified(library.id);
+    await saveMetadata();
+    assert.equal(context.settingsSaves, 3);
+});
+
+test('deleted library and character threads go to a shared trash and can be restored', async () => {
+    const context = setupHarness();
+    const library = createThread('Worldbuilding');
+    promoteThreadToLibrary(library.id);
+    const character = createThread('Alice arc');
+    bindThreadToCharacter(character.id);
+    const question = addMessage(character.id, 'user', 'Where is her arc going?');
+    await saveMetadata();
+    context.settingsSaves = 0;
+
+    const libraryEntry = deleteThread(library.id);
+    const characterEntry = deleteThread(character.id);
+    assert.equal(getLibrary().length, 0);
+    assert.equal(getCharacterThreads().length, 0);
+    assert.deepEqual(context.extensionSettings.scratchPad.trash.map(e => e.thread.name), ['Alice arc', 'Worldbuilding']);
+    await saveMetadata();
+    assert.equal(context.settingsSaves, 1);
+
+    // Another chat with Bob sees the library thread in the trash, but not Alice's thread
+    setupHarness({ extensionSettings: context.extensionSettings, characterId: 1, getCurrentChatId: () => 'chat-b' });
+    assert.deepEqual(getTrash().map(e => e.thread.name), ['Worldbuilding']);
+    assert.equal(restoreFromTrash(libraryEntry.id).success, true);
+    assert.deepEqual(getLibrary().map(t => t.name), ['Worldbuilding']);
+
+    const alice = setupHarness({ extensionSettings: context.extensionSettings, getCurrentChatId: () => 'chat-c' });
+    assert.equal(restoreFromTrash(characterEntry.id).success, true);
+    assert.deepEqual(getCharacterThreads().map(t => t.name), ['Alice arc']);
+
+    // Messages of shared threads are trashed with them, not in one chat
+    const messageEntry = deleteMessage(character.id, question.id);
+    assert.equal(messageEntry.characterAvatar, 'alice.png');
+    assert.equal(getTrash().length, 1);
+    assert.deepEqual(alice.chatMetadata.scratchPad.trash, []);
+    assert.equal(emptyTrash(), 1);
+    assert.equal(getTrash().length, 0);
+
+    deleteThread(library.id);
+    const now = Date.parse(getTrash()[0].deletedAt) + 31 * 24 * 60 * 60 * 1000;
+    assert.equal(purgeExpiredTrash(30, now), 1);
+    assert.equal(getTrash().length, 0);
+});
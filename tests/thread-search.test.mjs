@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createThread, addMessage, getThreads, setThreadTags, setThreadFolder } from '../src/storage.js';
+import { parseSearchQuery, searchThreads } from '../src/ui/threadList.js';
+
+function setupHarness() {
+    const context = {
+        chatMetadata: {},
+        chat: new Array(3).fill({ mes: 'x' }),
+        extensionSettings: {},
+    };
+
+    globalThis.SillyTavern = {
+        getContext: () => context,
+        // No Fuse, so only exact title and message matches are found
+        libs: {},
+    };
+}
+
+function names(results) {
+    return results.map(r => r.thread.name).sort();
+}
+
+test('parseSearchQuery reads quoted values, several operators and free text', () => {
+    assert.deepEqual(parseSearchQuery('folder:"Plot ideas" tag:lore'), { text: '', tags: ['lore'], folder: 'Plot ideas' });
+    assert.deepEqual(parseSearchQuery('tag:lore dragon TAG:"open question" eggs'), {
+        text: 'dragon eggs',
+        tags: ['lore', 'open question'],
+        folder: null,
+    });
+    assert.deepEqual(parseSearchQuery('folder:World folder:Plot'), { text: '', tags: [], folder: 'Plot' });
+    assert.deepEqual(parseSearchQuery('tag:"" notag:value'), { text: 'notag:value', tags: [], folder: null });
+    assert.deepEqual(parseSearchQuery(''), { text: '', tags: [], folder: null });
+});
+
+test('searchThreads narrows by every operator before matching free text', () => {
+    setupHarness();
+    const dragons = createThread('Dragon lore');
+    addMessage(dragons.id, 'user', 'Where do the dragons nest?');
+    setThreadTags(dragons.id, ['lore', 'open question']);
+    setThreadFolder(dragons.id, 'Plot ideas');
+
+    const knights = createThread('Knights');
+    addMessage(knights.id, 'user', 'Do the knights fear dragons?');
+    setThreadTags(knights.id, ['lore']);
+    setThreadFolder(knights.id, 'World');
+
+    const notes = createThread('Notes');
+    addMessage(notes.id, 'user', 'Nothing about them here');
+
+    const threads = getThreads();
+    assert.deepEqual(names(searchThreads(threads, 'dragons')), ['Dragon lore', 'Knights']);
+    assert.deepEqual(names(searchThreads(threads, 'tag:lore')), ['Dragon lore', 'Knights']);
+    assert.deepEqual(names(searchThreads(threads, 'tag:LORE tag:"open question"')), ['Dragon lore']);
+    assert.deepEqual(names(searchThreads(threads, 'folder:"plot ideas" tag:lore')), ['Dragon lore']);
+    assert.deepEqual(names(searchThreads(threads, 'folder:World dragons')), ['Knights']);
+    assert.deepEqual(names(searchThreads(threads, 'tag:lore nothing')), []);
+    assert.deepEqual(names(searchThreads(threads, 'tag:missing')), []);
+    assert.deepEqual(searchThreads(threads, '  '), []);
+
+    const [result] = searchThreads(threads, 'folder:World dragons');
+    assert.equal(result.matchType, 'Message');
+    assert.match(result.snippet, /dragons/i);
+});
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createThread, addMessage, getThreads, setThreadPinned, setThreadArchived, reorderThreads, sortThreads } from '../src/storage.js';
+
+function setupHarness() {
+    const context = {
+        chatMetadata: {},
+        chat: new Array(3).fill({ mes: 'x' }),
+    };
+
+    globalThis.SillyTavern = {
+        getContext: () => context,
+    };
+}
+
+function names(threads) {
+    return threads.map(t => t.name);
+}
+
+test('sortThreads keeps pinned threads first for every order', () => {
+    setupHarness();
+    const rules = createThread('World rules');
+    const alpha = createThread('Alpha');
+    const busy = createThread('Busy');
+    addMessage(busy.id, 'user', 'One');
+    addMessage(busy.id, 'assistant', 'Two');
+    rules.createdAt = '2026-01-01T00:00:00.000Z';
+    alpha.createdAt = '2026-01-02T00:00:00.000Z';
+    busy.createdAt = '2026-01-03T00:00:00.000Z';
+
+    setThreadPinned(rules.id, true);
+
+    assert.deepEqual(names(sortThreads(getThreads(), 'name')), ['World rules', 'Alpha', 'Busy']);
+    assert.deepEqual(names(sortThreads(getThreads(), 'created')), ['World rules', 'Busy', 'Alpha']);
+    assert.deepEqual(names(sortThreads(getThreads(), 'messages')), ['World rules', 'Busy', 'Alpha']);
+
+    reorderThreads([alpha.id, rules.id, busy.id]);
+    assert.deepEqual(names(sortThreads(getThreads(), 'custom')), ['World rules', 'Alpha', 'Busy']);
+
+    // A new thread without a custom position comes first among unpinned threads
+    createThread('Fresh');
+    assert.deepEqual(names(sortThreads(getThreads(), 'custom')), ['World rules', 'Fresh', 'Alpha', 'Busy']);
+});
+
+test('archiving unpins a thread and pinning unarchives it', () => {
+    setupHarness();
+    const thread = createThread('Stale');
+
+    setThreadPinned(thread.id, true);
+    setThreadArchived(thread.id, true);
+    assert.equal(thread.archived, true);
+    assert.equal('pinned' in thread, false);
+
+    setThreadPinned(thread.id, true);
+    assert.equal(thread.pinned, true);
+    assert.equal('archived' in thread, false);
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createThread, addMessage, getThread, forkThread, setThreadTags, setThreadFolder } from '../src/storage.js';
+
+function setupHarness() {
+    const context = {
+        chatMetadata: {},
+        chat: new Array(3).fill({ mes: 'x' }),
+    };
+
+    globalThis.SillyTavern = {
+        getContext: () => context,
+    };
+}
+
+test('thread tags and folders are normalized and stored on the thread', () => {
+    setupHarness();
+    const thread = createThread('Organized');
+    const updatedAt = thread.updatedAt;
+
+    assert.deepEqual(setThreadTags(thread.id, ' plot , Lore,plot,, "todo" '), ['plot', 'Lore', 'todo']);
+    assert.equal(setThreadFolder(thread.id, '  Plot   ideas '), 'Plot ideas');
+
+    const stored = getThread(thread.id);
+    assert.deepEqual(stored.tags, ['plot', 'Lore', 'todo']);
+    assert.equal(stored.folder, 'Plot ideas');
+    assert.equal(stored.updatedAt, updatedAt);
+
+    setThreadTags(thread.id, []);
+    setThreadFolder(thread.id, '');
+    assert.equal('tags' in stored, false);
+    assert.equal('folder' in stored, false);
+});
+
+test('forks keep the tags and folder of their source thread', () => {
+    setupHarness();
+    const thread = createThread('Source');
+    const question = addMessage(thread.id, 'user', 'Question');
+    setThreadTags(thread.id, ['lore']);
+    setThreadFolder(thread.id, 'World');
+
+    const fork = forkThread(thread.id, question.id);
+    assert.deepEqual(fork.tags, ['lore']);
+    assert.equal(fork.folder, 'World');
+    assert.notEqual(fork.tags, getThread(thread.id).tags);
+});
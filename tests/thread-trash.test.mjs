@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createThread,
+    addMessage,
+    getThreads,
+    getThread,
+    deleteThread,
+    deleteMessage,
+    clearAllThreads,
+    getTrash,
+    restoreFromTrash,
+    purgeExpiredTrash,
+} from '../src/storage.js';
+
+function setupHarness() {
+    const context = {
+        chatMetadata: {},
+        chat: new Array(3).fill({ mes: 'x' }),
+    };
+
+    globalThis.SillyTavern = {
+        getContext: () => context,
+    };
+}
+
+test('deleted threads and messages can be restored to their original position', () => {
+    setupHarness();
+    const first = createThread('First');
+    const second = createThread('Second');
+    const question = addMessage(second.id, 'user', 'Question');
+    const answer = addMessage(second.id, 'assistant', 'Answer');
+
+    const messageEntry = deleteMessage(second.id, question.id);
+    const threadEntry = deleteThread(first.id);
+
+    assert.deepEqual(getThreads().map(t => t.id), [second.id]);
+    assert.deepEqual(getThread(second.id).messages.map(m => m.id), [answer.id]);
+    assert.deepEqual(getTrash().map(e => e.type), ['thread', 'message']);
+
+    assert.equal(restoreFromTrash(threadEntry.id).success, true);
+    assert.equal(restoreFromTrash(messageEntry.id).success, true);
+
+    assert.deepEqual(getThreads().map(t => t.id), [second.id, first.id]);
+    assert.deepEqual(getThread(second.id).messages.map(m => m.id), [question.id, answer.id]);
+    assert.equal(getTrash().length, 0);
+});
+
+test('threads cleared with clearAllThreads are restored in their original order', () => {
+    setupHarness();
+    const names = ['One', 'Two', 'Three'];
+    for (const name of names) {
+        createThread(name);
+    }
+    const order = getThreads().map(t => t.id);
+
+    for (const entry of clearAllThreads()) {
+        assert.equal(restoreFromTrash(entry.id).success, true);
+    }
+
+    assert.deepEqual(getThreads().map(t => t.id), order);
+    assert.equal(getTrash().length, 0);
+});
+
+test('clearAllThreads moves threads to the trash and expired entries are purged', () => {
+    setupHarness();
+    createThread('One');
+    createThread('Two');
+
+    const entries = clearAllThreads();
+    assert.equal(entries.length, 2);
+    assert.equal(getThreads().length, 0);
+
+    const now = Date.parse(getTrash()[0].deletedAt);
+    getTrash()[0].deletedAt = new Date(now - 31 * 24 * 60 * 60 * 1000).toISOString();
+
+    assert.equal(purgeExpiredTrash(0, now), 0);
+    assert.equal(purgeExpiredTrash(30, now), 1);
+    assert.deepEqual(getTrash().map(e => e.thread.name), ['Two']);
+});